@@ -0,0 +1,26 @@
+/* @flow */
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const path = require('path');
+
+/**
+ * Create a sandbox with packages installed into its node_modules, `root` is
+ * the sandbox package itself. Packages default to version 1.0.0 and
+ * dependencies are resolved from a remote source.
+ */
+export async function createSandbox(packages: {[name: string]: Object}): Promise<string> {
+  const root = await mkdir('esy-sandbox');
+  for (const name of Object.keys(packages)) {
+    const dir = name === 'root' ? root : path.join(root, 'node_modules', name);
+    await fs.mkdirp(dir);
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+      name,
+      version: '1.0.0',
+      _resolved: name === 'root' ? undefined : `https://example.com/${name}.tgz`,
+      ...packages[name],
+    }));
+  }
+  return root;
+}
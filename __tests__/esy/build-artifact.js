@@ -0,0 +1,206 @@
+/* @flow */
+
+import {createSandbox} from './_helpers.js';
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+import * as child from '../../src/util/child.js';
+
+const nodeFs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const tarStream = require('tar-stream');
+const Sandbox = require('../../src/esy/Sandbox.js');
+const BuildConfig = require('../../src/esy/BuildConfig.js');
+const {exportBuild, importBuild, rewritePaths, rewriteSymlinks} = require('../../src/esy/BuildArtifact.js');
+
+async function createStore(name: string) {
+  const dir = await mkdir('esy-artifact');
+  return BuildConfig.createConfig(dir, {ESY__STORE: path.join(dir, name)});
+}
+
+async function expectImportError(promise: Promise<mixed>, message: string) {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.message).toMatch(message);
+}
+
+test('imports only artifacts of the expected build', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*'}, esy: {build: 'make'}},
+    'dep-a': {esy: {build: 'make'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const depA = sandbox.packageInfo.dependencyTree['dep-a'];
+  const config = await createStore('long-store-path');
+  await fs.mkdirp(BuildConfig.getStorePath(config, sandbox, depA, '_install', 'lib'));
+  const artifactPath = path.join(config.sandboxPath, 'dep-a.tar.gz');
+  const {buildKey} = await exportBuild(sandbox, config, depA, artifactPath);
+
+  const dest = await createStore('store');
+  await expectImportError(
+    importBuild(dest, artifactPath, 'dep_a-1.0.0-other'),
+    `expected a build of dep_a-1.0.0-other, got ${buildKey}`,
+  );
+  expect(await fs.exists(path.join(dest.storePath, '_install', buildKey))).toBe(false);
+
+  const {imported} = await importBuild(dest, artifactPath, buildKey);
+  expect(imported).toBe(true);
+  expect(await fs.exists(path.join(dest.storePath, '_install', buildKey, 'lib'))).toBe(true);
+});
+
+test('rejects artifacts with build keys pointing outside of the store', async () => {
+  const dir = await mkdir('esy-artifact');
+  const dest = await createStore('store');
+  await fs.mkdirp(path.join(dir, 'install'));
+  for (const buildKey of ['../../evil', '..', 'a/b', null]) {
+    await fs.writeFile(path.join(dir, 'export.json'), JSON.stringify({
+      buildKey,
+      name: 'evil',
+      version: '1.0.0',
+      storePath: '/a/long/enough/store/path',
+    }));
+    const artifactPath = path.join(dir, 'evil.tar.gz');
+    await child.spawn('tar', ['-czf', artifactPath, '-C', dir, 'export.json', 'install']);
+
+    await expectImportError(importBuild(dest, artifactPath), `invalid build key ${JSON.stringify(buildKey)}`);
+  }
+  expect(await fs.exists(path.join(dest.storePath, '_install'))).toBe(false);
+});
+
+test('exports and imports builds rewriting paths into the destination store', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*'}, esy: {build: 'make'}},
+    'dep-a': {esy: {build: 'make'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const depA = sandbox.packageInfo.dependencyTree['dep-a'];
+  const config = await createStore('long-store-path');
+  const {storePath} = config;
+  const installPath = BuildConfig.getStorePath(config, sandbox, depA, '_install');
+  await fs.mkdirp(path.join(installPath, 'bin'));
+  await fs.writeFile(
+    path.join(installPath, 'bin', 'tool'),
+    `#!/bin/sh\nexec ${installPath}/lib/tool -I${storePath}/x ${storePath}-other/y\0${storePath}`
+  );
+  await fs.chmod(path.join(installPath, 'bin', 'tool'), 0o755);
+  nodeFs.symlinkSync(path.join(installPath, 'bin', 'tool'), path.join(installPath, 'bin', 'link'));
+  const artifactPath = path.join(config.sandboxPath, 'dep-a.tar.gz');
+  const manifest = await exportBuild(sandbox, config, depA, artifactPath);
+  expect(manifest).toEqual({buildKey: path.basename(installPath), name: 'dep-a', version: '1.0.0', storePath});
+
+  const dest = await createStore('store');
+  const padded = dest.storePath + '/'.repeat(storePath.length - dest.storePath.length);
+  expect(await importBuild(dest, artifactPath)).toEqual({manifest, imported: true});
+  expect(await importBuild(dest, artifactPath)).toEqual({manifest, imported: false});
+
+  const importedPath = path.join(dest.storePath, '_install', manifest.buildKey);
+  const tool = path.join(importedPath, 'bin', 'tool');
+  expect(await fs.readFile(tool)).toBe(
+    `#!/bin/sh\nexec ${padded}/_install/${manifest.buildKey}/lib/tool -I${padded}/x ${storePath}-other/y\0${padded}`
+  );
+  expect((await fs.stat(tool)).mode & 0o777).toBe(0o755);
+  expect(await fs.readlink(path.join(importedPath, 'bin', 'link'))).toBe(tool);
+});
+
+// Long enough to import artifacts built in it into temporary stores.
+const STORE_PATH = `/${'store'.repeat(30)}`;
+
+// Pack entries into a tarball the way a malicious build cache could serve it.
+async function packArtifact(dir: string, entries: Array<Object>): Promise<string> {
+  const artifactPath = path.join(dir, 'evil.tar.gz');
+  const packer = tarStream.pack();
+  const written = new Promise((resolve, reject) => {
+    const out = nodeFs.createWriteStream(artifactPath);
+    out.on('close', resolve);
+    out.on('error', reject);
+    packer.pipe(zlib.createGzip()).pipe(out);
+  });
+  const manifest = JSON.stringify({buildKey: 'evil-1.0.0', name: 'evil', version: '1.0.0', storePath: STORE_PATH});
+  packer.entry({name: 'export.json'}, manifest);
+  packer.entry({name: 'install', type: 'directory'});
+  for (const entry of entries) {
+    packer.entry(entry, entry.content);
+  }
+  packer.finalize();
+  await written;
+  return artifactPath;
+}
+
+test('rejects artifacts with symlinks pointing outside of them', async () => {
+  const dir = await mkdir('esy-artifact');
+  const outside = await mkdir('esy-outside');
+  const dest = await createStore('store');
+
+  const throughSymlink = await packArtifact(dir, [
+    {name: 'install/lib', type: 'symlink', linkname: outside},
+    {name: 'install/lib/evil', content: 'evil'},
+  ]);
+  await expectImportError(importBuild(dest, throughSymlink), 'install/lib/evil points outside of the artifact');
+  expect(await fs.exists(path.join(outside, 'evil'))).toBe(false);
+
+  const overSymlink = await packArtifact(dir, [
+    {name: 'install/evil', type: 'symlink', linkname: path.join(outside, 'evil')},
+    {name: 'install/evil', content: 'evil'},
+  ]);
+  await expectImportError(importBuild(dest, overSymlink), 'install/evil points outside of the artifact');
+  expect(await fs.exists(path.join(outside, 'evil'))).toBe(false);
+
+  for (const linkname of [outside, '../../evil', `${STORE_PATH}/../etc`]) {
+    const artifactPath = await packArtifact(dir, [{name: 'install/evil', type: 'symlink', linkname}]);
+    await expectImportError(
+      importBuild(dest, artifactPath),
+      `symlink evil points outside of the artifact: ${linkname}`,
+    );
+  }
+  expect(await fs.exists(path.join(dest.storePath, '_install'))).toBe(false);
+
+  // Links inside of the installation and into the store it was built in are fine.
+  const artifactPath = await packArtifact(dir, [
+    {name: 'install/lib', type: 'directory'},
+    {name: 'install/lib/a', content: 'a'},
+    {name: 'install/bin', type: 'symlink', linkname: 'lib'},
+    {name: 'install/dep', type: 'symlink', linkname: `${STORE_PATH}/_install/dep-1.0.0`},
+  ]);
+  expect((await importBuild(dest, artifactPath)).imported).toBe(true);
+  const importedPath = path.join(dest.storePath, '_install', 'evil-1.0.0');
+  expect(await fs.readlink(path.join(importedPath, 'bin'))).toBe('lib');
+  expect(await fs.readlink(path.join(importedPath, 'dep'))).toBe(`${dest.storePath}/_install/dep-1.0.0`);
+});
+
+test('refuses to import into a store with a longer path', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*'}, esy: {build: 'make'}},
+    'dep-a': {esy: {build: 'make'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const depA = sandbox.packageInfo.dependencyTree['dep-a'];
+  const config = await createStore('store');
+  await fs.mkdirp(BuildConfig.getStorePath(config, sandbox, depA, '_install'));
+  const artifactPath = path.join(config.sandboxPath, 'dep-a.tar.gz');
+  await exportBuild(sandbox, config, depA, artifactPath);
+
+  await expectImportError(
+    importBuild(await createStore('long-store-path'), artifactPath),
+    'store path should not be longer than the one the package was built in',
+  );
+});
+
+test('rewrites only whole store paths', async () => {
+  const dir = await mkdir('esy-rewrite');
+  await fs.writeFile(path.join(dir, 'a'), '/store/x /store-other/x /store:/store.bak /store');
+  nodeFs.symlinkSync('/store', path.join(dir, 'exact'));
+  nodeFs.symlinkSync('/store/x', path.join(dir, 'inside'));
+  nodeFs.symlinkSync('/store-other/x', path.join(dir, 'other'));
+
+  await rewritePaths(dir, '/store', '/dest/');
+  await rewriteSymlinks(dir, '/store', '/dest');
+
+  expect(await fs.readFile(path.join(dir, 'a'))).toBe('/dest//x /store-other/x /dest/:/store.bak /dest/');
+  expect(await fs.readlink(path.join(dir, 'exact'))).toBe('/dest');
+  expect(await fs.readlink(path.join(dir, 'inside'))).toBe('/dest/x');
+  expect(await fs.readlink(path.join(dir, 'other'))).toBe('/store-other/x');
+});
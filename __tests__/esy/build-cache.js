@@ -0,0 +1,124 @@
+/* @flow */
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const http = require('http');
+const path = require('path');
+const {createBuildCache} = require('../../src/esy/BuildCache.js');
+
+function createCacheServer(): Promise<{url: string, artifacts: Map<string, Buffer>, close: () => void}> {
+  const artifacts = new Map();
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/hang/')) {
+      // never respond
+    } else if (req.url.startsWith('/broken/')) {
+      res.statusCode = 500;
+      res.end();
+    } else if (req.method === 'GET') {
+      const artifact = artifacts.get(req.url);
+      if (artifact == null) {
+        res.statusCode = 404;
+        res.end();
+      } else {
+        res.end(artifact);
+      }
+    } else if (req.method === 'PUT') {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        artifacts.set(req.url, Buffer.concat(chunks));
+        res.statusCode = 201;
+        res.end();
+      });
+    } else {
+      res.statusCode = 405;
+      res.end();
+    }
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/cache`,
+        artifacts,
+        close: () => server.close(),
+      });
+    });
+  });
+}
+
+test('directory build cache', async () => {
+  const dir = await mkdir('build-cache');
+  const cache = createBuildCache(path.join(dir, 'cache'));
+
+  const artifactPath = path.join(dir, 'artifact.tar.gz');
+  await fs.writeFile(artifactPath, 'artifact');
+
+  const fetchedPath = path.join(dir, 'fetched.tar.gz');
+  expect(await cache.fetch('pkg-1.0.0-abc', fetchedPath)).toBe(false);
+  expect(await fs.exists(fetchedPath)).toBe(false);
+
+  await cache.store('pkg-1.0.0-abc', artifactPath);
+  expect(await fs.readdir(path.join(dir, 'cache'))).toEqual(['pkg-1.0.0-abc.tar.gz']);
+
+  expect(await cache.fetch('pkg-1.0.0-abc', fetchedPath)).toBe(true);
+  expect(await fs.readFile(fetchedPath)).toBe('artifact');
+});
+
+test('http build cache', async () => {
+  const dir = await mkdir('build-cache');
+  const server = await createCacheServer();
+  const cache = createBuildCache(server.url);
+
+  try {
+    const artifactPath = path.join(dir, 'artifact.tar.gz');
+    await fs.writeFile(artifactPath, 'artifact');
+
+    const fetchedPath = path.join(dir, 'fetched.tar.gz');
+    expect(await cache.fetch('pkg-1.0.0-abc', fetchedPath)).toBe(false);
+
+    await cache.store('pkg-1.0.0-abc', artifactPath);
+    expect(Array.from(server.artifacts.keys())).toEqual(['/cache/pkg-1.0.0-abc.tar.gz']);
+
+    expect(await cache.fetch('pkg-1.0.0-abc', fetchedPath)).toBe(true);
+    expect(await fs.readFile(fetchedPath)).toBe('artifact');
+  } finally {
+    server.close();
+  }
+});
+
+test('http build cache reports server errors', async () => {
+  const dir = await mkdir('build-cache');
+  const server = await createCacheServer();
+  const cache = createBuildCache(server.url.replace('/cache', '/broken/'));
+
+  try {
+    let error;
+    try {
+      await cache.fetch('pkg-1.0.0-abc', path.join(dir, 'fetched.tar.gz'));
+    } catch (err) {
+      error = err;
+    }
+    expect(error && error.message).toMatch(/\/broken\/pkg-1\.0\.0-abc\.tar\.gz failed with status 500$/);
+  } finally {
+    server.close();
+  }
+});
+
+test('http build cache times out requests', async () => {
+  const dir = await mkdir('build-cache');
+  const server = await createCacheServer();
+  const cache = createBuildCache(server.url.replace('/cache', '/hang/'), {timeout: 100});
+
+  try {
+    let error;
+    try {
+      await cache.fetch('pkg-1.0.0-abc', path.join(dir, 'fetched.tar.gz'));
+    } catch (err) {
+      error = err;
+    }
+    expect(error && error.message).toMatch(/\/hang\/pkg-1\.0\.0-abc\.tar\.gz timed out after 100ms$/);
+  } finally {
+    server.close();
+  }
+});
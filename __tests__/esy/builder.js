@@ -0,0 +1,181 @@
+/* @flow */
+
+import {createSandbox} from './_helpers.js';
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const nodeFs = require('fs');
+const path = require('path');
+const Sandbox = require('../../src/esy/Sandbox.js');
+const BuildConfig = require('../../src/esy/BuildConfig.js');
+const Builder = require('../../src/esy/Builder.js');
+
+async function buildSandbox(root: string) {
+  const sandbox = await Sandbox.fromDirectory(root);
+  const config = BuildConfig.createConfig(root, {
+    ESY__STORE: await mkdir('esy-store'),
+    ESY__LOCAL_STORE: await mkdir('esy-local-store'),
+  });
+  const started = [];
+  const build = async () => {
+    const results = await Builder.build(sandbox, config, {
+      onEvent: event => {
+        if (event.type === 'start') {
+          started.push(event.packageInfo.packageJson.name);
+        }
+      },
+    });
+    const statuses = {};
+    results.forEach(result => {
+      statuses[result.packageInfo.packageJson.name] = result.status;
+    });
+    return {results, statuses};
+  };
+  return {sandbox, config, started, build};
+}
+
+test('builds each package once after its dependencies', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*', 'dep-b': '*'}, esy: {build: 'true'}},
+    'dep-a': {dependencies: {'dep-b': '*'}, esy: {build: 'touch $cur__install/lib/dep-a'}},
+    'dep-b': {esy: {build: ['touch $cur__install/lib/dep-b', 'echo "$cur__name" > $cur__install/lib/name']}},
+  });
+  const {sandbox, config, started, build} = await buildSandbox(root);
+
+  const {results, statuses} = await build();
+
+  expect(started).toEqual(['dep-b', 'dep-a', 'root']);
+  expect(results.map(result => result.packageInfo.packageJson.name)).toEqual(['dep-b', 'dep-a', 'root']);
+  expect(statuses).toEqual({'dep-a': 'built', 'dep-b': 'built', root: 'built'});
+  const depB = sandbox.packageInfo.dependencyTree['dep-b'];
+  const installPath = BuildConfig.getStorePath(config, sandbox, depB, '_install');
+  expect(await fs.readFile(path.join(installPath, 'lib', 'name'))).toBe('dep-b\n');
+  expect(await fs.exists(path.join(installPath, 'lib', 'dep-b'))).toBe(true);
+
+  // Dependencies are up to date, the root package is always rebuilt.
+  started.length = 0;
+  expect((await build()).statuses).toEqual({'dep-a': 'cached', 'dep-b': 'cached', root: 'built'});
+  expect(started).toEqual(['root']);
+});
+
+test('runs build commands in bash strict mode and skips dependers of failed builds', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*', 'dep-b': '*', 'dep-c': '*', 'dep-u': '*'}, esy: {build: 'true'}},
+    'dep-a': {dependencies: {'dep-b': '*'}, esy: {build: 'true'}},
+    'dep-b': {esy: {build: 'false | cat'}},
+    'dep-c': {esy: {build: 'true'}},
+    'dep-u': {esy: {build: 'echo "$esy_undefined_variable"'}},
+  });
+  const {started, build} = await buildSandbox(root);
+
+  const {results, statuses} = await build();
+
+  expect(statuses).toEqual({
+    'dep-a': 'skipped',
+    'dep-b': 'failed',
+    'dep-c': 'built',
+    'dep-u': 'failed',
+    root: 'skipped',
+  });
+  expect(started.sort()).toEqual(['dep-b', 'dep-c', 'dep-u']);
+  const depA = results.find(result => result.packageInfo.packageJson.name === 'dep-a');
+  expect(depA && depA.error && depA.error.message).toBe(
+    'dep-a: not built because its dependencies failed to build: dep-b'
+  );
+  const depB = results.find(result => result.packageInfo.packageJson.name === 'dep-b');
+  expect(depB && depB.error && depB.error.message).toMatch('dep-b: build failed with exit code 1');
+});
+
+test('renders bubblewrap arguments which allow writing only to build locations', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*'}, esy: {build: 'true'}},
+    'dep-a': {esy: {build: 'true'}},
+  });
+  const linked = await mkdir('esy-linked');
+  await fs.rename(path.join(root, 'node_modules', 'dep-a'), path.join(linked, 'dep-a'));
+  nodeFs.symlinkSync(path.join(linked, 'dep-a'), path.join(root, 'node_modules', 'dep-a'));
+  const {sandbox, config} = await buildSandbox(root);
+  const depA = sandbox.packageInfo.dependencyTree['dep-a'];
+  const buildPath = BuildConfig.getStorePath(config, sandbox, depA, '_build');
+  const installPath = BuildConfig.getStorePath(config, sandbox, depA, '_insttmp');
+  await fs.mkdirp(buildPath);
+  await fs.mkdirp(installPath);
+  const tmp = nodeFs.realpathSync('/tmp');
+  const sourcePath = path.join(linked, 'dep-a');
+
+  const prevTmpDir = process.env.TMPDIR;
+  delete process.env.TMPDIR;
+  try {
+    // Missing locations (node_modules of dep-a here) are not mounted.
+    expect(await Builder.renderBubblewrapArgs(sandbox, config, depA)).toEqual([
+      '--ro-bind', '/', '/',
+      '--dev-bind', '/dev', '/dev',
+      '--bind', tmp, tmp,
+      '--bind', sourcePath, sourcePath,
+      '--bind', buildPath, buildPath,
+      '--bind', installPath, installPath,
+    ]);
+
+    const tmpDir = await mkdir('esy-tmpdir');
+    process.env.TMPDIR = tmpDir;
+    await fs.mkdirp(path.join(sourcePath, 'node_modules'));
+    expect(await Builder.renderBubblewrapArgs(sandbox, config, depA)).toEqual([
+      '--ro-bind', '/', '/',
+      '--dev-bind', '/dev', '/dev',
+      '--bind', tmp, tmp,
+      '--bind', tmpDir, tmpDir,
+      '--bind', sourcePath, sourcePath,
+      '--ro-bind', path.join(sourcePath, 'node_modules'), path.join(sourcePath, 'node_modules'),
+      '--bind', buildPath, buildPath,
+      '--bind', installPath, installPath,
+    ]);
+  } finally {
+    if (prevTmpDir != null) {
+      process.env.TMPDIR = prevTmpDir;
+    } else {
+      delete process.env.TMPDIR;
+    }
+  }
+});
+
+test('warns once per build that commands run unsandboxed without bubblewrap', async () => {
+  if (process.platform !== 'linux') {
+    return;
+  }
+  // bwrap which can't create a sandbox, like one without user namespaces.
+  const bin = await mkdir('esy-bin');
+  await fs.writeFile(path.join(bin, 'bwrap'), '#!/bin/sh\nexit 1\n');
+  await fs.chmod(path.join(bin, 'bwrap'), 0o755);
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*'}, esy: {build: 'true'}},
+    'dep-a': {esy: {build: 'touch $cur__install/lib/dep-a'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const config = BuildConfig.createConfig(root, {ESY__STORE: await mkdir('esy-store')});
+
+  const prevPath = process.env.PATH;
+  process.env.PATH = `${bin}:${prevPath || ''}`;
+  jest.resetModules();
+  try {
+    // Fresh module so that availability of bubblewrap is checked again.
+    const UnsandboxedBuilder = require('../../src/esy/Builder.js');
+    const build = async () => {
+      const events = [];
+      const results = await UnsandboxedBuilder.build(sandbox, config, {
+        onEvent: event => events.push(event.type === 'warning' ? event.message : event.type),
+      });
+      return {events, statuses: results.map(result => result.status)};
+    };
+
+    const {events, statuses} = await build();
+    expect(statuses).toEqual(['built', 'built']);
+    expect(events.filter(event => event !== 'start' && event !== 'finish')).toEqual([
+      'bubblewrap (bwrap) is not installed or cannot create user namespaces, ' +
+      'builds run without restrictions on where they can write',
+    ]);
+    expect(events[0]).toMatch('bubblewrap');
+    expect((await build()).events.filter(event => event.startsWith('bubblewrap')).length).toBe(1);
+  } finally {
+    process.env.PATH = prevPath;
+  }
+});
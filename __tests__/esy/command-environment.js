@@ -0,0 +1,51 @@
+/* @flow */
+
+import {createSandbox} from './_helpers.js';
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const nodeFs = require('fs');
+const path = require('path');
+const Sandbox = require('../../src/esy/Sandbox.js');
+const BuildConfig = require('../../src/esy/BuildConfig.js');
+const {getCommandEnvironment} = require('../../src/esy/CommandEnvironment.js');
+
+test('recomputes the cached command environment only when the sandbox changes', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '*', 'dep-link': '*'}, esy: {build: null, exportedEnv: {}}},
+    'dep-a': {esy: {build: null, exportedEnv: {A: {val: 'a', scope: 'global'}}}},
+    'dep-link': {_resolved: 'file:../dep-link', esy: {build: null, exportedEnv: {}}},
+  });
+  await fs.writeFile(path.join(root, 'node_modules', 'dep-link', 'main.ml'), 'let x = 1');
+  const config = BuildConfig.createConfig(root, {ESY__STORE: await mkdir('esy-store')});
+  let loads = 0;
+  const getEnvironment = (options = {useLockfile: false}) =>
+    getCommandEnvironment(config, (options: any), () => {
+      loads += 1;
+      return Sandbox.fromDirectory(root, {
+        sourceFingerprintCachePath: BuildConfig.getSourceFingerprintCachePath(config),
+      });
+    });
+
+  const environment = await getEnvironment();
+  expect(loads).toBe(1);
+  expect(await getEnvironment()).toEqual(environment);
+  expect(loads).toBe(1);
+
+  // Sources of linked packages change their install locations.
+  await fs.writeFile(path.join(root, 'node_modules', 'dep-link', 'main.ml'), 'let x = 2');
+  await getEnvironment();
+  expect(loads).toBe(2);
+  await getEnvironment();
+  expect(loads).toBe(2);
+
+  const packageJsonPath = path.join(root, 'node_modules', 'dep-a', 'package.json');
+  nodeFs.utimesSync(packageJsonPath, new Date(2017, 0, 1), new Date(2017, 0, 1));
+  await getEnvironment();
+  expect(loads).toBe(3);
+
+  await getEnvironment({useLockfile: true});
+  expect(loads).toBe(4);
+  await getEnvironment({useLockfile: true});
+  expect(loads).toBe(4);
+});
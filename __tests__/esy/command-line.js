@@ -0,0 +1,46 @@
+/* @flow */
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const path = require('path');
+const {findSandboxPath} = require('../../src/esy/CommandLine.js');
+
+test('finds the sandbox from --sandbox given before the command only', async () => {
+  const root = await mkdir('esy-command-line');
+  await fs.writeFile(path.join(root, 'package.json'), '{}');
+  const cwd = path.join(root, 'src', 'lib');
+  await fs.mkdirp(cwd);
+
+  const prevSandbox = process.env.ESY__SANDBOX;
+  delete process.env.ESY__SANDBOX;
+  try {
+    expect(findSandboxPath(['--sandbox', 'other', 'build'], cwd)).toEqual({
+      sandboxPath: path.join(cwd, 'other'),
+      restArgs: ['build'],
+    });
+    expect(findSandboxPath(['--sandbox=/other', 'build'], cwd)).toEqual({
+      sandboxPath: '/other',
+      restArgs: ['build'],
+    });
+    // Arguments after the command name belong to the command.
+    expect(findSandboxPath(['build', '--sandbox', '/other'], cwd)).toEqual({
+      sandboxPath: root,
+      restArgs: ['build', '--sandbox', '/other'],
+    });
+    expect(findSandboxPath(['ls', '--sandbox=/other'], cwd)).toEqual({
+      sandboxPath: root,
+      restArgs: ['ls', '--sandbox=/other'],
+    });
+
+    process.env.ESY__SANDBOX = '/from-env';
+    expect(findSandboxPath(['build'], cwd)).toEqual({sandboxPath: '/from-env', restArgs: ['build']});
+    expect(findSandboxPath(['--sandbox', '/other'], cwd)).toEqual({sandboxPath: '/other', restArgs: []});
+  } finally {
+    if (prevSandbox != null) {
+      process.env.ESY__SANDBOX = prevSandbox;
+    } else {
+      delete process.env.ESY__SANDBOX;
+    }
+  }
+});
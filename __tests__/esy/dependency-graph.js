@@ -0,0 +1,69 @@
+/* @flow */
+
+import {createSandbox} from './_helpers.js';
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const Sandbox = require('../../src/esy/Sandbox.js');
+const BuildConfig = require('../../src/esy/BuildConfig.js');
+const {collectDependencyGraph, renderGraphAsDot} = require('../../src/esy/DependencyGraph.js');
+
+test('collects packages and dependencies tagged by kind', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '*'},
+      peerDependencies: {'dep-b': '*'},
+      buildTimeDependencies: {'tool': '*'},
+      esy: {build: 'make'},
+    },
+    'dep-a': {dependencies: {'dep-b': '*'}, esy: {build: 'make', buildsInSource: true}},
+    'dep-b': {},
+    'tool': {esy: {build: 'make', buildTimeOnly: true}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const config = BuildConfig.createConfig(root, {ESY__STORE: await mkdir('esy-store')});
+  const depA = sandbox.packageInfo.dependencyTree['dep-a'];
+  await fs.mkdirp(BuildConfig.getStorePath(config, sandbox, depA, '_install'));
+
+  const graph = await collectDependencyGraph(sandbox, config);
+
+  const nodes = {};
+  graph.nodes.forEach(node => {
+    nodes[node.name] = node;
+  });
+  expect(Object.keys(nodes).sort()).toEqual(['dep-a', 'dep-b', 'root', 'tool']);
+  expect(nodes.root.root).toBe(true);
+  expect(nodes.root.sourceType).toBe('local');
+  expect(nodes['dep-a']).toEqual({
+    id: Sandbox.packageInfoKey(sandbox.env, depA),
+    name: 'dep-a',
+    version: '1.0.0',
+    root: false,
+    sourceType: 'remote',
+    source: 'https://example.com/dep-a.tgz',
+    buildPlatform: 'target',
+    buildsInSource: true,
+    hasEsyConfig: true,
+    status: 'built',
+  });
+  expect(nodes['dep-b'].hasEsyConfig).toBe(false);
+  expect(nodes['dep-b'].status).toBe('not-built');
+  expect(nodes.tool.buildPlatform).toBe('host');
+
+  const edges = graph.edges.map(edge => {
+    const from = graph.nodes.find(node => node.id === edge.from);
+    const to = graph.nodes.find(node => node.id === edge.to);
+    return `${from ? from.name : ''} -> ${to ? to.name : ''} (${edge.kind})`;
+  }).sort();
+  expect(edges).toEqual([
+    'dep-a -> dep-b (dependency)',
+    'root -> dep-a (dependency)',
+    'root -> dep-b (peerDependency)',
+    'root -> tool (buildTimeDependency)',
+  ]);
+
+  const dot = renderGraphAsDot(graph);
+  expect(dot).toMatch(/^digraph esy \{/);
+  expect(dot).toMatch(`"${nodes.root.id}" -> "${nodes.tool.id}" [label="buildTimeDependency", style=dashed];`);
+  expect(dot).toMatch(`label="dep-a@1.0.0\\nremote, target, builds in source\\n${nodes['dep-a'].id}", style="filled"`);
+});
@@ -0,0 +1,78 @@
+/* @flow */
+
+const {renderEnvironment} = require('../../src/esy/EnvironmentFormat.js');
+
+const groups = [
+  {
+    packageJsonPath: '/sandbox/package.json',
+    packageJson: {name: 'app', version: '1.0.0'},
+    errors: ['conflicting FOO'],
+    envVars: [
+      {name: 'cur__name', value: 'app', automaticDefault: true},
+      {name: 'PATH', value: '$cur__install/bin:${PATH}'},
+      {name: 'QUOTED', value: 'say "hi" for `$5`\\'},
+      {name: 'UNSET', value: null},
+    ],
+  },
+];
+
+test('renders bash with comments', () => {
+  expect(renderEnvironment(groups, 'bash').split('\n')).toEqual([
+    '',
+    '# app@1.0.0 /sandbox/package.json',
+    '# [ERROR] conflicting FOO',
+    '# [BuiltIns]',
+    'export cur__name="app"',
+    '# [Custom Variables]',
+    'export PATH="${cur__install}/bin:${PATH}"',
+    'export QUOTED="say \\"hi\\" for \\`\\$5\\`\\\\"',
+  ]);
+});
+
+test('renders without comments', () => {
+  expect(renderEnvironment(groups, 'bash', {comments: false}).split('\n')).toEqual([
+    'export cur__name="app"',
+    'export PATH="${cur__install}/bin:${PATH}"',
+    'export QUOTED="say \\"hi\\" for \\`\\$5\\`\\\\"',
+  ]);
+});
+
+test('translates references and escapes literals for fish, powershell and dotenv', () => {
+  const render = format => renderEnvironment(groups, format, {comments: false}).split('\n').slice(1);
+  expect(render('fish')).toEqual([
+    'set -gx PATH "$cur__install/bin:$PATH"',
+    'set -gx QUOTED "say \\"hi\\" for `\\$5`\\\\"',
+  ]);
+  expect(render('powershell')).toEqual([
+    '$env:PATH = "${env:cur__install}/bin:${env:PATH}"',
+    '$env:QUOTED = "say `"hi`" for ```$5``\\"',
+  ]);
+  expect(render('dotenv')).toEqual([
+    'PATH="${cur__install}/bin:${PATH}"',
+    'QUOTED="say \\"hi\\" for `\\$5`\\\\"',
+  ]);
+});
+
+test('closes quotes after references followed by name characters in fish', () => {
+  const envVars = [{name: 'LIB', value: '${cur__name}_lib:$cur__name'}];
+  expect(renderEnvironment([{...groups[0], envVars}], 'fish', {comments: false})).toBe(
+    'set -gx LIB "$cur__name""_lib:$cur__name"'
+  );
+});
+
+test('renders json', () => {
+  expect(JSON.parse(renderEnvironment(groups, 'json'))).toEqual([
+    {
+      name: 'app',
+      version: '1.0.0',
+      packageJsonPath: '/sandbox/package.json',
+      scope: null,
+      errors: ['conflicting FOO'],
+      envVars: [
+        {name: 'cur__name', value: 'app', builtIn: true},
+        {name: 'PATH', value: '$cur__install/bin:${PATH}', builtIn: false},
+        {name: 'QUOTED', value: 'say "hi" for `$5`\\', builtIn: false},
+      ],
+    },
+  ]);
+});
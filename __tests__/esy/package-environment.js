@@ -0,0 +1,212 @@
+/* @flow */
+
+import {createSandbox} from './_helpers.js';
+
+const Sandbox = require('../../src/esy/Sandbox.js');
+const {
+  calculateEnvironment,
+  evalEnvironment,
+  explainEnvironmentVar,
+  resolveEnvironment,
+} = require('../../src/esy/PackageEnvironment.js');
+
+function packageErrors(groups) {
+  return groups.reduce((errors, group) => errors.concat(group.errors), []);
+}
+
+function group(name, envVars) {
+  return {
+    packageJsonPath: `${name}/package.json`,
+    packageJson: {name, esy: {build: null, buildsInSource: false, exportedEnv: {}}},
+    envVars,
+    errors: [],
+  };
+}
+
+test('explains contributions to an environment variable in order', () => {
+  const groups = [
+    group('dep-c', [
+      {name: 'dep_c__install', value: '/store/dep-c', automaticDefault: true},
+      {name: 'FOO', value: '$dep_c__install', scope: 'global'},
+    ]),
+    group('dep-a', [
+      {name: 'FOO', value: '${FOO}:a', scope: 'global'},
+      {name: 'BAR', value: '$FOO'},
+    ]),
+  ];
+  expect(explainEnvironmentVar(groups, 'FOO', {FOO: 'outer'})).toEqual({
+    inheritedValue: 'outer',
+    contributions: [
+      {
+        packageName: 'dep-c',
+        packageJsonPath: 'dep-c/package.json',
+        scope: 'global',
+        builtIn: false,
+        value: '$dep_c__install',
+        expandedValue: '/store/dep-c',
+        shadowedValue: 'outer',
+      },
+      {
+        packageName: 'dep-a',
+        packageJsonPath: 'dep-a/package.json',
+        scope: 'global',
+        builtIn: false,
+        value: '${FOO}:a',
+        expandedValue: '/store/dep-c:a',
+        shadowedValue: '/store/dep-c',
+      },
+    ],
+  });
+  expect(explainEnvironmentVar(groups, 'NOPE')).toEqual({
+    inheritedValue: undefined,
+    contributions: [],
+  });
+});
+
+test('scopes shadow each other in order: global, export, local', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '*'},
+      esy: {build: null, exportedEnv: {FOO: {val: 'local', scope: 'local'}}},
+    },
+    'dep-a': {
+      dependencies: {'dep-b': '*'},
+      esy: {build: null, exportedEnv: {
+        FOO: {val: 'export', scope: 'export'},
+        BAR: {val: 'export', scope: 'export'},
+      }},
+    },
+    'dep-b': {
+      esy: {build: null, exportedEnv: {
+        FOO: {val: 'global', scope: 'global', exclusive: true},
+        BAR: {val: 'global', scope: 'global', exclusive: true},
+        BAZ: {val: 'global', scope: 'global'},
+      }},
+    },
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+
+  const rootGroups = calculateEnvironment(sandbox, sandbox.packageInfo);
+  expect(packageErrors(rootGroups)).toEqual([]);
+  const rootEnv = evalEnvironment(rootGroups);
+  expect(rootEnv.FOO).toBe('local');
+  expect(rootEnv.BAR).toBe('export');
+  expect(rootEnv.BAZ).toBe('global');
+
+  // Exports of dep-a are seen only by its direct dependers.
+  const depA = sandbox.packageInfo.dependencyTree['dep-a'];
+  const depAEnv = evalEnvironment(calculateEnvironment(sandbox, depA));
+  expect(depAEnv.FOO).toBe('global');
+  expect(depAEnv.BAR).toBe('global');
+});
+
+test('exclusivity is checked within a scope', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '*', 'dep-b': '*'},
+      esy: {build: null, exportedEnv: {}},
+    },
+    'dep-a': {
+      esy: {build: null, exportedEnv: {FOO: {val: 'a', scope: 'global', exclusive: true}}},
+    },
+    'dep-b': {
+      esy: {build: null, exportedEnv: {FOO: {val: 'b', scope: 'global'}}},
+    },
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const errors = packageErrors(calculateEnvironment(sandbox, sandbox.packageInfo));
+  expect(errors.length).toBe(1);
+  expect(errors[0]).toMatch(/FOO has already been set in global scope by .*dep-a/);
+});
+
+test('reports references to undefined and invisible variables', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '*', 'dep-b': '*'},
+      esy: {build: null, exportedEnv: {
+        FINDLIB: {val: '$dep_a__lib:$FINDLIB', scope: 'local'},
+        TYPO: {val: '$dep_a__lbi', scope: 'local'},
+        HIDDEN: {val: '$DEP_B_PRIVATE', scope: 'local'},
+        EXTERNAL: {val: '$ESY__STORE', scope: 'local'},
+      }},
+    },
+    'dep-a': {esy: {build: null, exportedEnv: {}}},
+    'dep-b': {
+      esy: {build: null, exportedEnv: {DEP_B_PRIVATE: {val: 'b', scope: 'local'}}},
+    },
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const errors = packageErrors(calculateEnvironment(sandbox, sandbox.packageInfo));
+  expect(errors).toEqual([
+    'TYPO references $dep_a__lbi which is not defined',
+    'HIDDEN references $DEP_B_PRIVATE which is not visible to root: it is exported by dep-b (local scope)',
+  ]);
+});
+
+test('resolves values of variables', () => {
+  const groups = [
+    group('dep-a', [
+      {name: 'dep_a__install', value: '$ESY__STORE/dep-a', automaticDefault: true},
+      {name: 'PATH', value: '$dep_a__install/bin:$PATH'},
+    ]),
+  ];
+  const resolved = resolveEnvironment(groups, {ESY__STORE: '/store', PATH: '/bin'});
+  expect(resolved[0].envVars.map(envVar => envVar.value)).toEqual([
+    '/store/dep-a',
+    '/store/dep-a/bin:/bin',
+  ]);
+  expect(groups[0].envVars[0].value).toBe('$ESY__STORE/dep-a');
+});
+
+test('uses target builds of dependencies when cross compiling', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {ppx: '*', base: '*'}, esy: {build: 'make'}},
+    ppx: {dependencies: {base: '*'}, esy: {build: 'make', buildTimeOnly: true}},
+    base: {esy: {build: 'make'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root, {targetPlatform: 'linux', targetArchitecture: 'arm'});
+  const base = sandbox.packageInfo.dependencyTree.base;
+  const hostBase = sandbox.packageInfo.dependencyTree.ppx.dependencyTree.base;
+  const baseKey = Sandbox.packageInfoKey(sandbox.env, base);
+  const hostBaseKey = Sandbox.packageInfoKey(sandbox.env, hostBase);
+  expect(baseKey).not.toBe(hostBaseKey);
+
+  const groups = calculateEnvironment(sandbox, sandbox.packageInfo);
+  // The first PATH is the one of the sandbox environment, dependencies go on
+  // top of it.
+  const pathVar = groups[0].envVars.filter(envVar => envVar.name === 'PATH')[1];
+  const entries = pathVar && pathVar.value != null ? pathVar.value.split(':') : [];
+  expect(entries.slice(0, 3)).toEqual([
+    `$esy__store/_install/${baseKey}/bin`,
+    `$esy__store/_install/${Sandbox.packageInfoKey(sandbox.env, sandbox.packageInfo.dependencyTree.ppx)}/bin`,
+    `$esy__store/_install/${hostBaseKey}/bin`,
+  ]);
+
+  const baseEnv = evalEnvironment(calculateEnvironment(sandbox, base));
+  expect(baseEnv.esy__target_architecture).toBe('arm');
+  const hostBaseEnv = evalEnvironment(calculateEnvironment(sandbox, hostBase));
+  expect(hostBaseEnv.esy__target_architecture).toBe(process.arch);
+});
+
+test('exports of build time dependencies are seen only by their direct dependers', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {app: '*'}, esy: {build: null, exportedEnv: {}}},
+    app: {
+      buildTimeDependencies: {tool: '*'},
+      esy: {build: null, exportedEnv: {}},
+    },
+    tool: {
+      esy: {build: null, exportedEnv: {TOOL: {val: 'tool', scope: 'global'}}},
+    },
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const app = sandbox.packageInfo.dependencyTree.app;
+
+  const appEnv = evalEnvironment(calculateEnvironment(sandbox, app));
+  expect(appEnv.TOOL).toBe('tool');
+  expect(appEnv.tool__install).toBeDefined();
+
+  const rootEnv = evalEnvironment(calculateEnvironment(sandbox, sandbox.packageInfo));
+  expect(rootEnv.TOOL).toBeUndefined();
+  expect(rootEnv.tool__install).toBeUndefined();
+});
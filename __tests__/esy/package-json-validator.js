@@ -0,0 +1,96 @@
+/* @flow */
+
+const {validatePackageJson} = require('../../src/esy/PackageJsonValidator.js');
+
+function validate(packageJson) {
+  const source = JSON.stringify(packageJson, null, 2);
+  return validatePackageJson(packageJson, source).map(error => ({
+    at: `${error.line || 0}:${error.column || 0} ${error.path.join('.')}`,
+    message: error.message,
+  }));
+}
+
+test('accepts valid config', () => {
+  expect(validate({
+    name: 'pkg',
+    buildTimeDependencies: {ocamlbuild: '*'},
+    esy: {
+      build: ['make', 'make install'],
+      buildsInSource: true,
+      buildTimeOnly: false,
+      exportedEnv: {
+        PKG__X: {val: '$cur__lib', scope: 'local|export', exclusive: true},
+      },
+    },
+  })).toEqual([]);
+});
+
+test('reports unknown keys with suggestions', () => {
+  expect(validate({
+    name: 'pkg',
+    buildTimeDeps: {},
+    esy: {
+      biuld: 'make',
+      buildInSource: true,
+      somethingElse: 1,
+      exportedEnv: {
+        X: {val: 'x', scopes: 'global'},
+      },
+    },
+  })).toEqual([
+    {at: '3:3 buildTimeDeps', message: 'unknown key, did you mean "buildTimeDependencies"?'},
+    {at: '5:5 esy.biuld', message: 'unknown key, did you mean "build"?'},
+    {at: '6:5 esy.buildInSource', message: 'unknown key, did you mean "buildsInSource"?'},
+    {at: '7:5 esy.somethingElse', message: 'unknown key'},
+    {at: '11:9 esy.exportedEnv.X.scopes', message: 'unknown key, did you mean "scope"?'},
+  ]);
+});
+
+test('reports values of wrong types', () => {
+  expect(validate({
+    name: 'pkg',
+    esy: {
+      build: ['make', 1],
+      buildsInSource: 'yes',
+      exportedEnv: {
+        X: {scope: 'globl'},
+        Y: 'y',
+      },
+    },
+  })).toEqual([
+    {at: '6:7 esy.build.1', message: 'build step should be a string, got 1'},
+    {at: '8:5 esy.buildsInSource', message: 'should be true or false, got "yes"'},
+    {at: '10:7 esy.exportedEnv.X', message: 'missing required key "val"'},
+    {
+      at: '11:9 esy.exportedEnv.X.scope',
+      message:
+        'unknown scope "globl", expected global, export, local or their combination with "|", ' +
+        'did you mean "global"?',
+    },
+    {
+      at: '13:7 esy.exportedEnv.Y',
+      message: 'should be an object with "val" and optional "scope" and "exclusive", got "y"',
+    },
+  ]);
+});
+
+test('validates overrides', () => {
+  expect(validate({
+    name: 'pkg',
+    esy: {
+      overrides: {
+        'dep-a': {build: 'make', extend: {exportedEnv: {X: {val: 'x'}}}},
+        '@scope/dep-b@^1.0.0': {buildsInSource: true, exportedEnv: {}},
+        'dep-c@not a range!': {extends: {build: 1}},
+        'dep-d': 'make',
+        '@opam-alpha/dep-e@>= 1.0 & < 2.0': {build: 'make'},
+        '@opam-alpha/dep-f@>= & <': {build: 'make'},
+      },
+    },
+  })).toEqual([
+    {at: '19:7 esy.overrides.dep-c@not a range!', message: '"not a range!" is not a valid version range'},
+    {at: '20:9 esy.overrides.dep-c@not a range!.extends', message: 'unknown key, did you mean "extend"?'},
+    {at: '24:7 esy.overrides.dep-d', message: 'should be an object, got "make"'},
+    {at: '28:7 esy.overrides.@opam-alpha/dep-f@>= & <', message: '">= & <" is not a valid version range'},
+  ]);
+});
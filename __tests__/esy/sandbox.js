@@ -0,0 +1,323 @@
+/* @flow */
+
+import {createSandbox} from './_helpers.js';
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const path = require('path');
+const Sandbox = require('../../src/esy/Sandbox.js');
+
+test('reports installed versions which do not satisfy declared ones', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '^1.0.0'},
+    },
+    'dep-a': {
+      dependencies: {'dep-b': '^2.0.0', 'dep-c': '~1.0.0'},
+    },
+    'dep-b': {version: '1.5.0'},
+    'dep-c': {version: '1.0.3'},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+
+  const {errors} = sandbox.packageInfo;
+  expect(errors.length).toBe(1);
+  expect(errors[0].message).toMatch('"dep-b@^2.0.0" resolved to 1.5.0');
+  expect(errors[0].message).not.toMatch('dep-c');
+  expect(errors[0].message).toMatch('Package dep-a is depended on by "root" -> "dep-a"');
+});
+
+test('reports installed versions which are not valid semver as mismatched', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '^1.0.0', 'dep-b': '*'},
+    },
+    'dep-a': {version: '1.0'},
+    'dep-b': {version: '1.0.0.1'},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+
+  const {errors} = sandbox.packageInfo;
+  expect(errors.length).toBe(1);
+  expect(errors[0].message).toMatch('"dep-a@^1.0.0" resolved to 1.0');
+  expect(errors[0].message).not.toMatch('dep-b');
+});
+
+test('does not check versions of packages with non-semver specs', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {
+        'dep-git': 'git+ssh://git@github.com/esy/dep-git.git#v2',
+        'dep-github': 'esy/dep-github#v2',
+        'dep-file': 'file:../dep-file',
+        'dep-tag': 'latest',
+        '@opam-alpha/dep-opam': '>= 2.0.0',
+      },
+    },
+    'dep-git': {},
+    'dep-github': {},
+    'dep-file': {},
+    'dep-tag': {},
+    '@opam-alpha/dep-opam': {version: '1.02.3'},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+
+  expect(sandbox.packageInfo.errors).toEqual([]);
+  expect(Object.keys(sandbox.packageInfo.dependencyTree).sort()).toEqual([
+    '@opam-alpha/dep-opam',
+    'dep-file',
+    'dep-git',
+    'dep-github',
+    'dep-tag',
+  ]);
+});
+
+async function createCachedPackage(cacheFolder, dirname, packageJson, resolved) {
+  const dir = path.join(cacheFolder, dirname);
+  await fs.mkdirp(dir);
+  await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify(packageJson));
+  await fs.writeFile(path.join(dir, '.yarn-metadata.json'), JSON.stringify({
+    remote: {type: 'tarball', registry: 'npm', resolved},
+    registry: 'npm',
+  }));
+  return dir;
+}
+
+test('loads sandbox from yarn.lock and the yarn cache', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '^1.0.0', 'dep-local': 'file:./dep-local'},
+    },
+    // Stale install, it shouldn't be used.
+    'dep-a': {version: '0.1.0'},
+  });
+  const cacheFolder = await mkdir('esy-yarn-cache');
+  const depA = await createCachedPackage(
+    cacheFolder,
+    'npm-dep-a-1.2.0-abc',
+    {name: 'dep-a', version: '1.2.0', dependencies: {'@scope/dep-b': '~2.0.0'}},
+    'https://example.com/dep-a-1.2.0.tgz#abc'
+  );
+  // Located by its metadata as the hash is not known from yarn.lock.
+  const depB = await createCachedPackage(
+    cacheFolder,
+    'npm-@scope/dep-b-2.0.1-def',
+    {name: '@scope/dep-b', version: '2.0.1'},
+    'https://example.com/dep-b-2.0.1.tgz'
+  );
+  await fs.mkdirp(path.join(root, 'dep-local'));
+  await fs.writeFile(
+    path.join(root, 'dep-local', 'package.json'),
+    JSON.stringify({name: 'dep-local', version: '1.0.0'})
+  );
+  await fs.writeFile(path.join(root, 'yarn.lock'), [
+    'dep-a@^1.0.0:',
+    '  version "1.2.0"',
+    '  resolved "https://example.com/dep-a-1.2.0.tgz#abc"',
+    '  dependencies:',
+    '    "@scope/dep-b" "~2.0.0"',
+    '',
+    '"@scope/dep-b@~2.0.0":',
+    '  version "2.0.1"',
+    '  resolved "https://example.com/dep-b-2.0.1.tgz"',
+    '',
+  ].join('\n'));
+
+  const sandbox = await Sandbox.fromLockfile(root, {yarnCacheFolder: cacheFolder});
+
+  expect(sandbox.packageInfo.errors).toEqual([]);
+  const {dependencyTree} = sandbox.packageInfo;
+  expect(dependencyTree['dep-a'].rootDirectory).toBe(depA);
+  expect(dependencyTree['dep-a'].sourceType).toBe('remote');
+  expect(dependencyTree['dep-a'].source).toBe('https://example.com/dep-a-1.2.0.tgz#abc');
+  expect(dependencyTree['dep-a'].dependencyTree['@scope/dep-b'].rootDirectory).toBe(depB);
+  expect(dependencyTree['dep-local'].rootDirectory).toBe(path.join(root, 'dep-local'));
+  expect(dependencyTree['dep-local'].sourceType).toBe('local');
+});
+
+test('reports packages missing from yarn.lock', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-a': '^1.0.0'}},
+    'dep-a': {},
+  });
+  await fs.writeFile(path.join(root, 'yarn.lock'), '');
+  const cacheFolder = await mkdir('esy-yarn-cache');
+
+  const sandbox = await Sandbox.fromLockfile(root, {yarnCacheFolder: cacheFolder});
+
+  const {errors} = sandbox.packageInfo;
+  expect(errors.length).toBe(1);
+  expect(errors[0].message).toMatch('"dep-a"');
+});
+
+test('applies overrides of the sandbox to matching dependencies', async () => {
+  const overrides = {
+    'dep-a': {build: 'make', extend: {build: 'make install'}},
+    'dep-b@^2.0.0': {build: 'make'},
+    'dep-c': {
+      buildsInSource: true,
+      exportedEnv: {DEP_C__X: {val: 'x'}},
+      extend: {exportedEnv: {DEP_C__Y: {val: 'y'}}},
+    },
+  };
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '*', 'dep-b': '*', 'dep-c': '*'},
+      esy: {build: null, overrides},
+    },
+    'dep-a': {esy: {build: 'configure'}},
+    'dep-b': {version: '1.0.0'},
+    'dep-c': {esy: {build: null, exportedEnv: {DEP_C__Z: {val: 'z'}}}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const {dependencyTree} = sandbox.packageInfo;
+
+  expect(dependencyTree['dep-a'].packageJson.esy.build).toEqual(['make', 'make install']);
+  expect(dependencyTree['dep-b'].packageJson.esy.build).toBe(null);
+  expect(dependencyTree['dep-b'].packageJson.esy.__noEsyConfigPresent).toBe(true);
+  expect(dependencyTree['dep-c'].packageJson.esy.buildsInSource).toBe(true);
+  expect(dependencyTree['dep-c'].packageJson.esy.exportedEnv).toEqual({
+    DEP_C__X: {val: 'x'},
+    DEP_C__Y: {val: 'y'},
+  });
+
+  // Overrides are part of the build key.
+  const env = sandbox.env;
+  const keyWithOverrides = Sandbox.packageInfoKey(env, dependencyTree['dep-a']);
+  const rootWithoutOverrides = await createSandbox({
+    root: {dependencies: {'dep-a': '*'}},
+    'dep-a': {esy: {build: ['make', 'make install']}},
+  });
+  const sandboxWithoutOverrides = await Sandbox.fromDirectory(rootWithoutOverrides);
+  expect(
+    Sandbox.packageInfoKey(env, sandboxWithoutOverrides.packageInfo.dependencyTree['dep-a'])
+  ).not.toBe(keyWithOverrides);
+});
+
+test('applies ranged overrides only to packages with valid versions in range', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'dep-a': '*', 'dep-b': '*', 'dep-c': '*'},
+      esy: {build: null, overrides: {
+        'dep-a@>=1.0.0': {build: 'make a'},
+        'dep-b@>=1.0.0': {build: 'make b'},
+        'dep-c@^1.0.0': {build: 'make c'},
+      }},
+    },
+    'dep-a': {version: '1.0', esy: {build: 'configure'}},
+    'dep-b': {version: 'v1.2.0', esy: {build: 'configure'}},
+    'dep-c': {version: '2.0.0', esy: {build: 'configure'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const {dependencyTree} = sandbox.packageInfo;
+
+  expect(dependencyTree['dep-a'].packageJson.esy.build).toBe('configure');
+  expect(dependencyTree['dep-b'].packageJson.esy.build).toBe('make b');
+  expect(dependencyTree['dep-c'].packageJson.esy.build).toBe('configure');
+});
+
+test('matches overrides of opam packages with opam constraints', async () => {
+  const root = await createSandbox({
+    root: {
+      dependencies: {'@opam-alpha/foo': '*', '@opam-alpha/bar': '*'},
+      esy: {build: null, overrides: {
+        '@opam-alpha/foo@>=1.0.0 <1.2': {build: 'make foo'},
+        '@opam-alpha/bar@>= 1.2': {build: 'make bar'},
+      }},
+    },
+    '@opam-alpha/foo': {version: '1.2~beta', esy: {build: 'configure'}},
+    '@opam-alpha/bar': {version: '1.2~beta', esy: {build: 'configure'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root);
+  const {dependencyTree} = sandbox.packageInfo;
+
+  expect(sandbox.packageInfo.errors).toEqual([]);
+  expect(dependencyTree['@opam-alpha/foo'].packageJson.esy.build).toBe('make foo');
+  expect(dependencyTree['@opam-alpha/bar'].packageJson.esy.build).toBe('configure');
+});
+
+test('keeps host and target builds of a package apart when cross compiling', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {ppx: '*', base: '*'}, esy: {build: 'make'}},
+    ppx: {dependencies: {base: '*'}, esy: {build: 'make', buildTimeOnly: true}},
+    base: {esy: {build: 'make'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root, {targetPlatform: 'linux', targetArchitecture: 'arm'});
+  const describe = packageInfo => `${packageInfo.packageJson.name}:${packageInfo.buildPlatform}`;
+
+  // Target builds of dependencies shadow host ones which come with ppx.
+  const dependencies = Sandbox.collectTransitiveDependencies(sandbox.env, sandbox.packageInfo);
+  expect(dependencies.map(describe)).toEqual(['base:target', 'ppx:host', 'base:host']);
+
+  const visited = [];
+  Sandbox.traversePackageDependencyTree(sandbox.env, sandbox.packageInfo, packageInfo => {
+    visited.push(describe(packageInfo));
+  });
+  expect(visited).toEqual(['base:host', 'ppx:host', 'base:target', 'root:target']);
+
+  // Without cross compilation both are the same build.
+  const hostSandbox = await Sandbox.fromDirectory(root);
+  const hostDependencies = Sandbox.collectTransitiveDependencies(hostSandbox.env, hostSandbox.packageInfo);
+  expect(hostDependencies.map(dep => dep.packageJson.name)).toEqual(['ppx', 'base']);
+});
+
+test('resolves peer dependencies from yarn.lock to what their dependers resolved', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {ocaml: '~4.2.3', 'dep-a': '^1.0.0'}},
+  });
+  const cacheFolder = await mkdir('esy-yarn-cache');
+  const ocaml = await createCachedPackage(
+    cacheFolder,
+    'npm-ocaml-4.2.3-abc',
+    {name: 'ocaml', version: '4.2.3'},
+    'https://example.com/ocaml-4.2.3.tgz#abc'
+  );
+  await createCachedPackage(
+    cacheFolder,
+    'npm-dep-a-1.0.0-def',
+    {name: 'dep-a', version: '1.0.0', peerDependencies: {ocaml: '>= 4.2.0 < 4.5.0'}},
+    'https://example.com/dep-a-1.0.0.tgz#def'
+  );
+  await fs.writeFile(path.join(root, 'yarn.lock'), [
+    'ocaml@~4.2.3:',
+    '  version "4.2.3"',
+    '  resolved "https://example.com/ocaml-4.2.3.tgz#abc"',
+    '',
+    'dep-a@^1.0.0:',
+    '  version "1.0.0"',
+    '  resolved "https://example.com/dep-a-1.0.0.tgz#def"',
+    '',
+  ].join('\n'));
+
+  const sandbox = await Sandbox.fromLockfile(root, {yarnCacheFolder: cacheFolder});
+
+  expect(sandbox.packageInfo.errors).toEqual([]);
+  const depA = sandbox.packageInfo.dependencyTree['dep-a'];
+  expect(depA.dependencyTree.ocaml.rootDirectory).toBe(ocaml);
+});
+
+test('build time dependencies change build keys only of their direct dependers', async () => {
+  const loadWithTool = async (toolVersion: string) => {
+    const root = await createSandbox({
+      root: {dependencies: {top: '*'}},
+      top: {dependencies: {app: '*'}, esy: {build: 'make'}},
+      app: {dependencies: {lib: '*'}, buildTimeDependencies: {tool: '*'}, esy: {build: 'make'}},
+      lib: {esy: {build: 'make'}},
+      tool: {version: toolVersion, esy: {build: 'make'}},
+    });
+    const sandbox = await Sandbox.fromDirectory(root);
+    const top = sandbox.packageInfo.dependencyTree.top;
+    const app = top.dependencyTree.app;
+    return {
+      top: Sandbox.packageInfoKey(sandbox.env, top),
+      app: Sandbox.packageInfoKey(sandbox.env, app),
+      lib: Sandbox.packageInfoKey(sandbox.env, app.dependencyTree.lib),
+    };
+  };
+
+  const keys = await loadWithTool('1.0.0');
+  const keysWithOtherTool = await loadWithTool('1.1.0');
+  expect(keysWithOtherTool.app).not.toBe(keys.app);
+  expect(keysWithOtherTool.top).toBe(keys.top);
+  expect(keysWithOtherTool.lib).toBe(keys.lib);
+});
@@ -0,0 +1,70 @@
+/* @flow */
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const nodeFs = require('fs');
+const path = require('path');
+const {computeSourceFingerprint} = require('../../src/esy/SourceFingerprint.js');
+
+async function createPackage(files: {[relative: string]: string}): Promise<string> {
+  const root = await mkdir('esy-fingerprint');
+  for (const relative of Object.keys(files)) {
+    await fs.mkdirp(path.dirname(path.join(root, relative)));
+    await fs.writeFile(path.join(root, relative), files[relative]);
+  }
+  return root;
+}
+
+test('ignores files matched by ignore rules and build directories', async () => {
+  const root = await createPackage({
+    'package.json': '{}',
+    'src/main.ml': 'let () = ()',
+    '.gitignore': '*.log\n',
+    'src/.esyignore': 'generated.ml\n',
+    'node_modules/dep/index.js': '',
+    '_build/main.native': '',
+    '.git/HEAD': '',
+  });
+  const fingerprint = await computeSourceFingerprint(root);
+
+  await fs.writeFile(path.join(root, 'build.log'), 'log');
+  await fs.writeFile(path.join(root, 'src', 'generated.ml'), 'let x = 1');
+  await fs.writeFile(path.join(root, 'node_modules', 'dep', 'index.js'), 'changed');
+  await fs.writeFile(path.join(root, '_build', 'main.native'), 'changed');
+  await fs.writeFile(path.join(root, '.git', 'HEAD'), 'changed');
+  expect(await computeSourceFingerprint(root)).toBe(fingerprint);
+
+  await fs.writeFile(path.join(root, 'src', 'lib.ml'), 'let x = 1');
+  const withFile = await computeSourceFingerprint(root);
+  expect(withFile).not.toBe(fingerprint);
+
+  await fs.writeFile(path.join(root, 'src', 'main.ml'), 'let () = print_endline ""');
+  expect(await computeSourceFingerprint(root)).not.toBe(withFile);
+});
+
+test('reuses hashes of files with unchanged mtime and size from the manifest', async () => {
+  const root = await createPackage({'package.json': '{}', 'main.ml': 'let x = 1'});
+  const manifestPath = path.join(await mkdir('esy-fingerprint-cache'), 'pkg.json');
+  const mainPath = path.join(root, 'main.ml');
+  const mtime = new Date(2017, 0, 1);
+  nodeFs.utimesSync(mainPath, mtime, mtime);
+
+  const fingerprint = await computeSourceFingerprint(root, manifestPath);
+  const manifest = await fs.readJson(manifestPath);
+  expect(manifest.fingerprint).toBe(fingerprint);
+  expect(Object.keys(manifest.files).sort()).toEqual(['main.ml', 'package.json']);
+
+  // Content is not rehashed as long as mtime and size stay the same.
+  await fs.writeFile(mainPath, 'let x = 2');
+  nodeFs.utimesSync(mainPath, mtime, mtime);
+  expect(await computeSourceFingerprint(root, manifestPath)).toBe(fingerprint);
+  expect(await computeSourceFingerprint(root)).not.toBe(fingerprint);
+
+  nodeFs.utimesSync(mainPath, new Date(2017, 0, 2), new Date(2017, 0, 2));
+  expect(await computeSourceFingerprint(root, manifestPath)).toBe(await computeSourceFingerprint(root));
+
+  // Corrupted manifest is ignored.
+  await fs.writeFile(manifestPath, '{');
+  expect(await computeSourceFingerprint(root, manifestPath)).toBe(await computeSourceFingerprint(root));
+});
@@ -0,0 +1,184 @@
+/* @flow */
+
+import {createSandbox} from './_helpers.js';
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+
+const path = require('path');
+const Sandbox = require('../../src/esy/Sandbox.js');
+const BuildConfig = require('../../src/esy/BuildConfig.js');
+const gcCommand = require('../../src/esy/gcCommand');
+const {getManifestPath} = require('../../src/esy/SourceFingerprint.js');
+const {
+  collectLiveKeys,
+  collectLiveManifests,
+  readStore,
+  readFingerprintGarbage,
+  selectStoreGarbage,
+  selectLocalStoreGarbage,
+} = require('../../src/esy/StoreGarbage.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY;
+
+function entry(key: string, daysAgo: number) {
+  return {key, packageName: key.split('-')[0], paths: [`/store/_install/${key}`], lastUsed: NOW - daysAgo * DAY};
+}
+
+function keys(entries) {
+  return entries.map(entry => entry.key).sort();
+}
+
+test('collects keys of host and target builds and of all versions of packages', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {ppx: '*', base: '*', 'dep-a': '*'}, esy: {build: 'make'}},
+    ppx: {dependencies: {base: '*'}, esy: {build: 'make', buildTimeOnly: true}},
+    base: {esy: {build: 'make'}},
+    'dep-a': {dependencies: {base: '*'}, buildTimeDependencies: {tool: '*'}, esy: {build: 'make'}},
+    'dep-a/node_modules/base': {name: 'base', version: '2.0.0', esy: {build: 'make'}},
+    tool: {esy: {build: 'make'}},
+  });
+  const sandbox = await Sandbox.fromDirectory(root, {targetPlatform: 'linux', targetArchitecture: 'arm'});
+  const {dependencyTree} = sandbox.packageInfo;
+  const depA = dependencyTree['dep-a'];
+  expect(depA.dependencyTree.base.packageJson.version).toBe('2.0.0');
+
+  const liveKeys = collectLiveKeys(sandbox);
+
+  const key = packageInfo => Sandbox.packageInfoKey(sandbox.env, packageInfo);
+  expect(Array.from(liveKeys).sort()).toEqual([
+    key(dependencyTree.ppx),
+    key(dependencyTree.ppx.dependencyTree.base),
+    key(dependencyTree.base),
+    key(depA),
+    key(depA.dependencyTree.base),
+    key(depA.buildTimeDependencyTree.tool),
+  ].sort());
+  expect(liveKeys.size).toBe(6);
+});
+
+test('reads store entries grouped by build key', async () => {
+  const storePath = await mkdir('esy-store');
+  await fs.mkdirp(path.join(storePath, '_install', 'dep__a-1.0.0-abc'));
+  await fs.mkdirp(path.join(storePath, '_build', 'dep__a-1.0.0-abc'));
+  await fs.mkdirp(path.join(storePath, '_build', 'dep_b-1.0.0-def'));
+  // Leftovers of interrupted imports and build cache downloads.
+  await fs.mkdirp(path.join(storePath, '_insttmp', 'dep_c-1.0.0-ghi.tar.gz.import'));
+  await fs.writeFile(path.join(storePath, '_insttmp', 'dep_c-1.0.0-ghi.tar.gz'), '');
+
+  const entries = await readStore(storePath);
+
+  expect(keys(entries)).toEqual(['dep__a-1.0.0-abc', 'dep_b-1.0.0-def']);
+  const depA = entries.find(entry => entry.key === 'dep__a-1.0.0-abc');
+  expect(depA && depA.packageName).toBe('dep__a');
+  expect(depA && depA.paths.sort()).toEqual([
+    path.join(storePath, '_build', 'dep__a-1.0.0-abc'),
+    path.join(storePath, '_install', 'dep__a-1.0.0-abc'),
+  ]);
+});
+
+test('prunes the global store only for explicit sandboxes or by age', () => {
+  const entries = [entry('dep_a-1.0.0-live', 60), entry('dep_a-1.0.0-old', 60), entry('dep_b-1.0.0-new', 1)];
+  const liveKeys = new Set(['dep_a-1.0.0-live']);
+
+  expect(selectStoreGarbage(entries, liveKeys, {explicitSandboxes: false, keep: 3, maxAge: null}, NOW))
+    .toEqual([]);
+  expect(keys(selectStoreGarbage(entries, liveKeys, {explicitSandboxes: true, keep: 3, maxAge: null}, NOW)))
+    .toEqual(['dep_a-1.0.0-old', 'dep_b-1.0.0-new']);
+  expect(keys(selectStoreGarbage(entries, liveKeys, {explicitSandboxes: false, keep: 3, maxAge: 30}, NOW)))
+    .toEqual(['dep_a-1.0.0-old']);
+  expect(keys(selectStoreGarbage(entries, liveKeys, {explicitSandboxes: true, keep: 3, maxAge: 30}, NOW)))
+    .toEqual(['dep_a-1.0.0-old']);
+});
+
+test('keeps live and most recently used builds of each package in the local store', () => {
+  const entries = [
+    entry('dep_a-1.0.0-live', 50),
+    entry('dep_a-1.0.0-recent', 1),
+    entry('dep_a-1.0.0-older', 2),
+    entry('dep_a-1.0.0-oldest', 3),
+    entry('dep_b-1.0.0-one', 40),
+  ];
+  const liveKeys = new Set(['dep_a-1.0.0-live']);
+
+  // The live build counts towards the builds to keep.
+  expect(keys(selectLocalStoreGarbage(entries, liveKeys, {explicitSandboxes: false, keep: 3, maxAge: null}, NOW)))
+    .toEqual(['dep_a-1.0.0-oldest']);
+  expect(keys(selectLocalStoreGarbage(entries, liveKeys, {explicitSandboxes: false, keep: 1, maxAge: null}, NOW)))
+    .toEqual(['dep_a-1.0.0-older', 'dep_a-1.0.0-oldest', 'dep_a-1.0.0-recent']);
+  // Expired builds go even if they would be kept otherwise, live ones stay.
+  expect(keys(selectLocalStoreGarbage(entries, liveKeys, {explicitSandboxes: false, keep: 3, maxAge: 30}, NOW)))
+    .toEqual(['dep_a-1.0.0-oldest', 'dep_b-1.0.0-one']);
+});
+
+test('selects source fingerprint manifests of packages not in the sandbox', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-link': '*', 'dep-a': '*'}, esy: {build: 'make'}},
+    'dep-link': {_resolved: 'file:../dep-link', esy: {build: 'make'}},
+    'dep-a': {esy: {build: 'make'}},
+  });
+  const cachePath = await mkdir('esy-fingerprint-cache');
+  const sandbox = await Sandbox.fromDirectory(root, {sourceFingerprintCachePath: cachePath});
+  const depLink = sandbox.packageInfo.dependencyTree['dep-link'];
+  const liveManifests = collectLiveManifests(sandbox, cachePath);
+  expect(Array.from(liveManifests).sort()).toEqual([
+    getManifestPath(cachePath, 'root', root),
+    getManifestPath(cachePath, 'dep_link', depLink.rootDirectory),
+  ].sort());
+
+  // Manifests of the sandbox packages are written while it's loaded.
+  const stale = getManifestPath(cachePath, 'dep_link', path.join(root, 'elsewhere'));
+  await fs.writeFile(stale, '{}');
+  expect(keys(await readFingerprintGarbage(cachePath, liveManifests)))
+    .toEqual([path.basename(stale)]);
+});
+
+test('prunes only the local store of the current sandbox by default', async () => {
+  const root = await createSandbox({
+    root: {dependencies: {'dep-link': '*'}, esy: {build: 'make'}},
+    'dep-link': {_resolved: 'file:../dep-link', esy: {build: 'make'}},
+  });
+  const storePath = await mkdir('esy-store');
+  const unused = path.join(storePath, '_install', 'dep_a-1.0.0-abc');
+  await fs.mkdirp(unused);
+  const config = BuildConfig.createConfig(root, {ESY__STORE: storePath});
+  const oldBuilds = ['1', '2', '3', '4'].map(hash =>
+    path.join(config.localStorePath, '_install', `dep_link-1.0.0-${hash}`));
+  for (let oldBuild of oldBuilds) {
+    await fs.mkdirp(oldBuild);
+  }
+  const staleManifest = path.join(BuildConfig.getSourceFingerprintCachePath(config), 'dep_old-0.json');
+  await fs.mkdirp(path.dirname(staleManifest));
+  await fs.writeFile(staleManifest, '{}');
+
+  const ESY__STORE = process.env.ESY__STORE;
+  const log = console.log;
+  const output = [];
+  process.env.ESY__STORE = storePath;
+  (console: any).log = message => output.push(message);
+  try {
+    await gcCommand(root, directory =>
+      Sandbox.fromDirectory(directory, {
+        sourceFingerprintCachePath: BuildConfig.getSourceFingerprintCachePath(config),
+      }));
+  } finally {
+    if (ESY__STORE == null) {
+      delete process.env.ESY__STORE;
+    } else {
+      process.env.ESY__STORE = ESY__STORE;
+    }
+    (console: any).log = log;
+  }
+
+  expect(output[0]).toMatch(/skipping the global store/);
+  expect(await fs.exists(unused)).toBe(true);
+  expect(await fs.exists(staleManifest)).toBe(false);
+  // Only three of the builds are kept (the live one isn't built yet).
+  const remaining = [];
+  for (let oldBuild of oldBuilds) {
+    if (await fs.exists(oldBuild)) {
+      remaining.push(oldBuild);
+    }
+  }
+  expect(remaining.length).toBe(3);
+});
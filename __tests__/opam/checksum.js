@@ -0,0 +1,40 @@
+/* @flow */
+
+import {
+  formatChecksum,
+  getChecksums,
+  getStrongestChecksum,
+  isStrongChecksum,
+  parseChecksum,
+} from '../../src/opam/checksum.js';
+
+const MD5 = 'd41d8cd98f00b204e9800998ecf8427e';
+const SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+const SHA512 = 'cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce' +
+  '47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e';
+
+function manifest(opam: Object): Object {
+  return {name: '@opam-alpha/foo', version: '1.0', opam: {url: 'https://example.com/foo.tgz', ...opam}};
+}
+
+test('parses typed and bare checksums', () => {
+  expect(parseChecksum(MD5)).toEqual({algorithm: 'md5', digest: MD5});
+  expect(parseChecksum(`sha256=${SHA256.toUpperCase()}`)).toEqual({algorithm: 'sha256', digest: SHA256});
+  expect(parseChecksum('blake3=abc')).toBe(null);
+  expect(() => parseChecksum('sha512=abc')).toThrow('Invalid sha512 checksum "sha512=abc"');
+  expect(() => parseChecksum('nope')).toThrow('Invalid checksum "nope"');
+  expect(formatChecksum({algorithm: 'sha512', digest: SHA512})).toBe(`sha512=${SHA512}`);
+});
+
+test('picks the strongest checksum of a package', () => {
+  const checksums = getChecksums(manifest({checksums: [`md5=${MD5}`, `sha512=${SHA512}`, `sha256=${SHA256}`]}));
+  expect(checksums.map((checksum) => checksum.algorithm)).toEqual(['md5', 'sha512', 'sha256']);
+  expect(getStrongestChecksum(checksums)).toEqual({algorithm: 'sha512', digest: SHA512});
+  expect(checksums.map(isStrongChecksum)).toEqual([false, true, true]);
+  expect(getStrongestChecksum([])).toBe(null);
+});
+
+test('reads md5 checksum of packages converted by older versions', () => {
+  expect(getChecksums(manifest({checksum: MD5}))).toEqual([{algorithm: 'md5', digest: MD5}]);
+  expect(getChecksums(manifest({}))).toEqual([]);
+});
@@ -0,0 +1,236 @@
+/* @flow */
+
+import type {OpamManifest} from '../../src/resolvers/exotics/opam-resolver.js';
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+import parse from '../../src/opam/parse.js';
+import {convertOpamPackage, readOpamPackage, toNpmVersion} from '../../src/opam/convert.js';
+
+const path = require('path');
+
+function convert(
+  opam: string,
+  url?: string,
+  name: string = 'foo',
+  version: string = '1.2.0',
+  reporter?: Object,
+): OpamManifest {
+  return convertOpamPackage({
+    name,
+    version,
+    opam: parse(opam),
+    url: url != null ? parse(url) : null,
+    files: [],
+  }, reporter);
+}
+
+function createReporter(): Object {
+  return {
+    warnings: [],
+    warn(msg) {
+      this.warnings.push(msg);
+    },
+  };
+}
+
+const SHA256 = '0123456789abcdef'.repeat(4);
+
+const URL = 'archive: "https://example.com/foo.tgz"\nchecksum: "0123456789abcdef0123456789abcdef"';
+
+test('converts opam versions to npm versions', () => {
+  expect(toNpmVersion('1.2.3')).toBe('1.2.3');
+  expect(toNpmVersion('1.2')).toBe('1.2.0');
+  expect(toNpmVersion('1.02')).toBe('1.2.0');
+  expect(toNpmVersion('113')).toBe('113.0.0');
+  expect(toNpmVersion('1.2+beta3')).toBe('1.23.0');
+  expect(toNpmVersion('4.02.0')).toBe('4.2.0');
+  expect(toNpmVersion('4.02.3+trunk')).toBe('4.2.3');
+  expect(toNpmVersion('1.2.3.4')).toBe('1.2.34');
+  expect(toNpmVersion('v0.9.1')).toBe('0.9.1');
+});
+
+test('converts opam package into a package manifest', () => {
+  const manifest = convert([
+    'opam-version: "1.2"',
+    'substs: ["META" "config.ml" {test}]',
+    'build: [',
+    '  ["./configure" "--prefix" prefix "--with-lwt=%{lwt:installed}%"]',
+    '  [make "-j%{jobs}%"]',
+    '  [make "test"] {test}',
+    '  [make "opt"] {ocaml-native}',
+    ']',
+    'install: [make "install" "DOCDIR=%{doc}%/with space"]',
+    'depends: [',
+    '  "ocamlfind" {build}',
+    '  "ounit" {test}',
+    '  "base-unix"',
+    '  "cppo" {>= "1.1" & != "1.3"}',
+    ']',
+    'depopts: ["lwt"]',
+    'available: [ocaml-version >= "4.02.0" & ocaml-version < "4.05"]',
+  ].join('\n'), URL);
+
+  expect(manifest).toEqual({
+    name: '@opam-alpha/foo',
+    version: '1.2.0',
+    scripts: {},
+    peerDependencies: {ocaml: '>=4.2.0 <4.5.0'},
+    dependencies: {
+      substs: 'esy-ocaml/substs',
+      'opam-installer-bin': 'esy-ocaml/opam-installer-bin',
+      '@opam-alpha/ocamlfind': '*',
+      '@opam-alpha/cppo': '>= 1.1 & != 1.3',
+      '@opam-alpha/lwt': '*',
+    },
+    esy: {
+      build: [
+        'substs META.in',
+        './configure --prefix "$cur__install" "--with-lwt=${lwt_installed:-false}"',
+        'make -j4',
+        'make opt',
+        'make install "DOCDIR=$cur__doc/with space"',
+        '(opam-installer --prefix=$cur__install || true)',
+      ],
+      buildsInSource: true,
+      exportedEnv: {
+        foo_version: {val: '1.2.0', scope: 'global'},
+        foo_enable: {val: 'enable', scope: 'global'},
+        foo_installed: {val: 'true', scope: 'global'},
+      },
+    },
+    opam: {
+      url: 'https://example.com/foo.tgz',
+      checksums: ['md5=0123456789abcdef0123456789abcdef'],
+      files: [],
+    },
+  });
+});
+
+test('keeps opam versions and converts constraints on OCaml into npm ranges', () => {
+  const manifest = convert(
+    'depends: ["ocaml" {>= "4.02.3" & != "4.04.0"} "lwt" {>= "2.5" & < "3" | = "dev"} "cmdliner" {build}]',
+    URL,
+    'foo',
+    '4.02.3+trunk',
+  );
+  expect(manifest.version).toBe('4.02.3+trunk');
+  expect(manifest.esy.exportedEnv.foo_version.val).toBe('4.02.3+trunk');
+  expect(manifest.peerDependencies.ocaml).toBe('>=4.2.3 <4.4.0 || >=4.2.3 >4.4.0');
+  expect(manifest.dependencies['@opam-alpha/lwt']).toBe('(>= 2.5 & < 3 | = dev)');
+  expect(manifest.dependencies['@opam-alpha/cmdliner']).toBe('*');
+});
+
+test('compiles filters which depend on the build environment into shell conditionals', () => {
+  const manifest = convert([
+    'build: [',
+    '  [make "lwt"] {lwt:installed & !async:installed}',
+    '  [make "linux"] {os = "linux"}',
+    '  [make "native"] {ocaml-native | lwt:installed}',
+    '  [make "never"] {ocaml-native & doc}',
+    ']',
+  ].join('\n'), URL);
+
+  expect(manifest.esy.build).toEqual([
+    'if [ "${lwt_installed:-false}" = "true" ] && ! [ "${async_installed:-false}" = "true" ]; then make lwt; fi',
+    'if [ "$(uname -s | tr A-Z a-z)" = linux ]; then make linux; fi',
+    'make native',
+    '(opam-installer --prefix=$cur__install || true)',
+  ]);
+});
+
+test('reads source from the url section of opam file', () => {
+  const manifest = convert([
+    'opam-version: "2.0"',
+    'depends: ["ocaml" {>= "4.03"} "dune" {build} "alcotest" {with-test}]',
+    'url {',
+    '  src: "https://example.com/foo.tgz"',
+    `  checksum: ["sha256=${SHA256}" "md5=0123456789abcdef0123456789abcdef" "blake3=ab"]`,
+    '}',
+  ].join('\n'));
+
+  expect(manifest.peerDependencies).toEqual({ocaml: '>=4.3.0'});
+  expect(Object.keys(manifest.dependencies)).toEqual(['substs', 'opam-installer-bin', '@opam-alpha/dune']);
+  expect(manifest.opam.url).toBe('https://example.com/foo.tgz');
+  expect(manifest.opam.checksums).toEqual([
+    `sha256=${SHA256}`,
+    'md5=0123456789abcdef0123456789abcdef',
+    'blake3=ab',
+  ]);
+});
+
+test('converts git sources', () => {
+  expect(convert('build: [make]', 'git: "https://github.com/esy/foo.git#dev"').opam.url)
+    .toBe('git+https://github.com/esy/foo.git#dev');
+  expect(convert('build: [make]\nurl { src: "git+https://github.com/esy/foo.git#v1" }').opam.url)
+    .toBe('git+https://github.com/esy/foo.git#v1');
+});
+
+test('reports unknown variables and missing sources', () => {
+  expect(() => convert('build: [make "%{unknown}%"]', URL)).toThrow('foo.1.2.0: unknown variable "unknown"');
+  expect(() => convert('build: [make]', 'archive: [make]')).toThrow(
+    'foo.1.2.0: expected source url to be a string, got list',
+  );
+  expect(() => convert('url { src: "https://example.com/foo.tgz" checksum: "sha256=abc" }'))
+    .toThrow('foo.1.2.0: Invalid sha256 checksum "sha256=abc"');
+});
+
+test('converts virtual packages without sources', () => {
+  const manifest = convert('build: [["pkg-config" "gmp"]]', undefined, 'conf-gmp');
+  expect(manifest.opam.url).toBe(null);
+  expect(manifest.opam.checksums).toBe(undefined);
+});
+
+test('reports alternative dependencies which are not installed', () => {
+  const reporter = createReporter();
+  const manifest = convert('depends: ["lwt" | ("async" "core" {>= "1.0"})]', URL, 'foo', '1.2.0', reporter);
+
+  expect(manifest.dependencies['@opam-alpha/lwt']).toBe('*');
+  expect(manifest.dependencies['@opam-alpha/async']).toBe(undefined);
+  expect(reporter.warnings).toEqual([
+    'foo.1.2.0: only the first of alternative dependencies is installed, skipping "async", "core"',
+  ]);
+});
+
+test('applies overrides of particular packages', () => {
+  const opam = 'depends: ["ocamlfind" "ocamlbuild" {build} "mirage-net"]\ndepopts: ["lwt" "ssl" "js_of_ocaml"]';
+  const cohttp = convert(opam, URL, 'cohttp');
+  expect(Object.keys(cohttp.dependencies)).toEqual([
+    'substs',
+    'opam-installer-bin',
+    '@opam-alpha/ocamlfind',
+    '@opam-alpha/lwt',
+  ]);
+
+  const ctypes = convert('build: [make]', URL, 'ctypes', '0.11.2');
+  expect(ctypes.dependencies.libffi).toBe('reasonml/libffi#esy');
+  expect(ctypes.esy.exportedEnv.CAML_LD_LIBRARY_PATH).toEqual({
+    val: '$opam_alpha__slash__ctypes__lib/ctypes:$CAML_LD_LIBRARY_PATH',
+    scope: 'global',
+  });
+  expect(convert('build: [make]', URL, 'core_kernel').esy.exportedEnv.CAML_LD_LIBRARY_PATH.val)
+    .toBe('$opam_alpha__slash__core___kernel__lib/stublibs:$CAML_LD_LIBRARY_PATH');
+
+  const ocpBuild = convert('build: [make]', URL, 'ocp-build', '1.99.19-beta');
+  expect(ocpBuild.version).toBe('1.99.19');
+  expect(ocpBuild.esy.exportedEnv.ocp_build_version.val).toBe('1.99.19');
+  expect(convert('build: [make]', URL, 'ocamlbuild').esy.build).toEqual(['true']);
+});
+
+test('reads opam package from a directory', async () => {
+  const dir = await mkdir('opam-package');
+  await fs.writeFile(path.join(dir, 'opam'), 'build: [make]\npatches: ["fix.patch"]\n');
+  await fs.writeFile(path.join(dir, 'url'), URL);
+  await fs.mkdirp(path.join(dir, 'files'));
+  await fs.writeFile(path.join(dir, 'files', 'fix.patch'), '--- a\n+++ b\n');
+
+  const pkg = await readOpamPackage('foo', '1.2.0', dir);
+  const manifest = convertOpamPackage(pkg);
+
+  expect(manifest.opam.files).toEqual([{name: 'fix.patch', content: '--- a\n+++ b\n'}]);
+  expect(manifest.esy.build).toEqual([
+    'patch -p1 < fix.patch',
+    'make',
+    '(opam-installer --prefix=$cur__install || true)',
+  ]);
+});
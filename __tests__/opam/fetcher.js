@@ -0,0 +1,99 @@
+/* @flow */
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+import {SecurityError} from '../../src/errors.js';
+import OpamFetcher from '../../src/fetchers/opam-fetcher.js';
+
+const crypto = require('crypto');
+const path = require('path');
+const {PassThrough} = require('stream');
+
+const CONTENT = 'opam package sources';
+const MD5 = crypto.createHash('md5').update(CONTENT).digest('hex');
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const SHA512 = crypto.createHash('sha512').update(CONTENT).digest('hex');
+const WRONG_SHA256 = '0'.repeat(64);
+const WRONG_SHA512 = '0'.repeat(128);
+
+function manifest(checksums: Array<string>): Object {
+  return {name: '@opam-alpha/foo', version: '1.0', opam: {url: 'https://example.com/foo.tgz', checksums}};
+}
+
+// Fetcher with a registry which responds to every request with CONTENT.
+function createFetcher(dest: string, hash: ?string, options: Object = {}): OpamFetcher {
+  const config = {
+    reporter: {lang: (key) => key},
+    getOption: (key) => options[key],
+    registries: {
+      npm: {
+        request: (url, params) => new Promise((resolve, reject) => {
+          const req = new PassThrough();
+          params.process(req, resolve, reject);
+          req.end(CONTENT);
+        }),
+      },
+    },
+  };
+  return new OpamFetcher(dest, {type: 'opam', registry: 'npm', reference: '@opam-alpha/foo@1.0', hash}, (config: any));
+}
+
+async function getError(fn: () => mixed): Promise<?Error> {
+  try {
+    await fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+}
+
+test('requires a strong checksum unless weak ones are allowed', async () => {
+  const dest = await mkdir('opam-fetcher');
+
+  const md5Only = await getError(() => createFetcher(dest, null)._getChecksums(manifest([`md5=${MD5}`])));
+  expect(md5Only instanceof SecurityError).toBe(true);
+  expect(md5Only && md5Only.message).toBe(
+    '@opam-alpha/foo@1.0: sha256 or sha512 checksum is required to verify https://example.com/foo.tgz, ' +
+    'only md5 checksums found',
+  );
+  const none = await getError(() => createFetcher(dest, null)._getChecksums(manifest([])));
+  expect(none instanceof SecurityError).toBe(true);
+  expect(none && none.message).toMatch(/no checksums found$/);
+
+  const allowed = createFetcher(dest, null, {'opam-allow-weak-checksums': true});
+  expect(allowed._getChecksums(manifest([`md5=${MD5}`]))).toEqual([{algorithm: 'md5', digest: MD5}]);
+  expect(allowed._getChecksums(manifest([]))).toEqual([]);
+
+  // A strong checksum from the lockfile is enough.
+  expect(createFetcher(dest, `sha256=${SHA256}`)._getChecksums(manifest([`md5=${MD5}`]))).toEqual([
+    {algorithm: 'md5', digest: MD5},
+    {algorithm: 'sha256', digest: SHA256},
+  ]);
+});
+
+test('verifies downloaded sources against all checksums', async () => {
+  const dest = await mkdir('opam-fetcher');
+  const filename = path.join(dest, 'foo.tgz');
+  const fetchTarball = (checksums: Array<string>, hash: ?string = null) => {
+    const fetcher = createFetcher(dest, hash);
+    return fetcher._fetchTarball('https://example.com/foo.tgz', filename, fetcher._getChecksums(manifest(checksums)));
+  };
+
+  await fetchTarball([`md5=${MD5}`, `sha256=${SHA256}`, `sha512=${SHA512}`]);
+  expect(await fs.readFile(filename)).toBe(CONTENT);
+
+  const wrongSha256 = await getError(() => fetchTarball([`sha256=${WRONG_SHA256}`, `sha512=${SHA512}`]));
+  expect(wrongSha256 instanceof SecurityError).toBe(true);
+  expect(wrongSha256 && wrongSha256.message).toBe(
+    `Incorrect sha256 checksum (expected ${WRONG_SHA256}, got ${SHA256})`,
+  );
+  const wrongSha512 = await getError(() => fetchTarball([`sha256=${SHA256}`, `sha512=${WRONG_SHA512}`]));
+  expect(wrongSha512 instanceof SecurityError).toBe(true);
+  expect(wrongSha512 && wrongSha512.message).toMatch('Incorrect sha512 checksum');
+
+  // Checksum recorded in the lockfile is verified too.
+  await fetchTarball([`sha256=${SHA256}`], `sha512=${SHA512}`);
+  const wrongLocked = await getError(() => fetchTarball([`sha256=${SHA256}`], `sha512=${WRONG_SHA512}`));
+  expect(wrongLocked instanceof SecurityError).toBe(true);
+  expect(wrongLocked && wrongLocked.message).toMatch('Incorrect sha512 checksum');
+});
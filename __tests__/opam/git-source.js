@@ -0,0 +1,109 @@
+/* @flow */
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+import * as child from '../../src/util/child.js';
+import {NoopReporter} from '../../src/reporters/index.js';
+import OpamResolver from '../../src/resolvers/exotics/opam-resolver.js';
+import OpamFetcher from '../../src/fetchers/opam-fetcher.js';
+
+const path = require('path');
+
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 60000;
+
+function git(cwd: string, ...args: Array<string>): Promise<string> {
+  return child.spawn('git', ['-c', 'user.name=esy', '-c', 'user.email=esy@example.com', ...args], {cwd});
+}
+
+async function createGitRepository(): Promise<{url: string, tagged: string, latest: string}> {
+  const dir = await mkdir('opam-git-source');
+  await git(dir, 'init');
+  await git(dir, 'symbolic-ref', 'HEAD', 'refs/heads/master');
+  await fs.writeFile(path.join(dir, 'hello.ml'), 'print_endline "v1"\n');
+  await git(dir, 'add', 'hello.ml');
+  await git(dir, 'commit', '-m', 'v1');
+  await git(dir, 'tag', 'v1');
+  await fs.writeFile(path.join(dir, 'hello.ml'), 'print_endline "v2"\n');
+  await git(dir, 'commit', '-am', 'v2');
+  return {
+    url: `git+file://${dir}`,
+    tagged: (await git(dir, 'rev-parse', 'v1')).trim(),
+    latest: (await git(dir, 'rev-parse', 'HEAD')).trim(),
+  };
+}
+
+async function createConfig(packages: {[entry: string]: string}): Promise<Object> {
+  const repository = await mkdir('opam-repository');
+  for (const entry of Object.keys(packages)) {
+    const dir = path.join(repository, 'packages', 'foo', entry);
+    await fs.mkdirp(dir);
+    await fs.writeFile(path.join(dir, 'opam'), packages[entry]);
+  }
+  const tempFolder = await mkdir('opam-temp');
+  return {
+    cwd: repository,
+    cacheFolder: await mkdir('opam-cache'),
+    reporter: new NoopReporter(),
+    looseSemver: true,
+    getOption: (key) => (key === 'opam-repository' ? repository : undefined),
+    getTemp: (filename) => path.join(tempFolder, filename),
+    getOfflineMirrorPath: () => null,
+    resolveConstraints: () => Promise.resolve(null),
+  };
+}
+
+function resolve(config: Object, pattern: string): Promise<Object> {
+  const request: Object = {
+    config,
+    reporter: config.reporter,
+    registry: 'npm',
+    pattern,
+    getLocked: () => null,
+  };
+  return new OpamResolver(request, pattern).resolve();
+}
+
+test('pins git sources to commits and fetches them', async () => {
+  const {url, tagged, latest} = await createGitRepository();
+  const config = await createConfig({
+    'foo.1.0': `build: [make]\nurl { src: "${url}#v1" }\n`,
+    'foo.2.0': `build: [make]\nurl { src: "${url}" }\n`,
+  });
+
+  const manifest = await resolve(config, '@opam-alpha/foo@1.0');
+  expect(manifest._remote).toEqual({
+    type: 'opam',
+    registry: 'npm',
+    hash: tagged,
+    reference: '@opam-alpha/foo@1.0',
+    resolved: `@opam-alpha/foo@1.0#${tagged}`,
+  });
+  // Sources without a ref are pinned to the commit master points to.
+  expect((await resolve(config, '@opam-alpha/foo@2.0'))._remote.hash).toBe(latest);
+
+  const dest = await mkdir('opam-fetched');
+  const fetcher = new OpamFetcher(dest, manifest._remote, (config: any));
+  const {hash} = await fetcher._fetch();
+  expect(hash).toBe(tagged);
+  expect(await fs.readFile(path.join(dest, 'hello.ml'))).toBe('print_endline "v1"\n');
+  expect((await fs.readJson(path.join(dest, 'package.json'))).name).toBe('@opam-alpha/foo');
+});
+
+test('refuses to fetch git sources which are not pinned to a commit', async () => {
+  const {url} = await createGitRepository();
+  const config = await createConfig({'foo.1.0': `build: [make]\nurl { src: "${url}#v1" }\n`});
+
+  const fetcher = new OpamFetcher(await mkdir('opam-fetched'), {
+    type: 'opam',
+    registry: 'npm',
+    reference: '@opam-alpha/foo@1.0',
+    hash: 'v1',
+  }, (config: any));
+  let error;
+  try {
+    await fetcher._fetch();
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.message).toBe(`@opam-alpha/foo@1.0: ${url} is not resolved to a commit`);
+});
@@ -0,0 +1,138 @@
+/* @flow */
+
+import parse, {getField} from '../../src/opam/parse.js';
+
+const str = (value) => ({type: 'String', value});
+const ident = (name) => ({type: 'Ident', name});
+
+test('parses fields and sections', () => {
+  const file = parse([
+    'opam-version: "1.2"',
+    '# a comment',
+    'name: "foo" (* a (* nested *) comment *)',
+    'jobs: 4',
+    'pinned: false',
+    'url {',
+    '  src: "https://example.com/foo.tgz"',
+    '  checksum: ["md5=abc" "sha256=def"]',
+    '}',
+    'extra-source "x.patch" { src: "https://example.com/x.patch" }',
+  ].join('\n'));
+
+  expect(file.items.map((item) => item.type === 'Field' ? item.name : item.kind)).toEqual([
+    'opam-version',
+    'name',
+    'jobs',
+    'pinned',
+    'url',
+    'extra-source',
+  ]);
+  expect(getField(file, 'jobs')).toEqual({type: 'Int', value: 4});
+  expect(getField(file, 'pinned')).toEqual({type: 'Bool', value: false});
+  expect(getField(file, 'url.src')).toEqual(str('https://example.com/foo.tgz'));
+  expect(getField(file, 'url.checksum')).toEqual({type: 'List', items: [str('md5=abc'), str('sha256=def')]});
+  expect(getField(file, 'url.missing')).toBe(null);
+  expect(file.items[5]).toEqual({
+    type: 'Section',
+    kind: 'extra-source',
+    name: 'x.patch',
+    items: [{type: 'Field', name: 'src', value: str('https://example.com/x.patch'), line: 10}],
+    line: 10,
+  });
+});
+
+test('parses strings', () => {
+  const file = parse([
+    'a: "with \\"quotes\\" and \\\\ and \\n"',
+    'b: """triple "quoted" string"""',
+    'c: "line \\',
+    '    continued"',
+  ].join('\n'));
+  expect(getField(file, 'a')).toEqual(str('with "quotes" and \\ and \n'));
+  expect(getField(file, 'b')).toEqual(str('triple "quoted" string'));
+  expect(getField(file, 'c')).toEqual(str('line continued'));
+});
+
+test('parses commands with filters', () => {
+  const file = parse([
+    'build: [',
+    '  ["./configure" "--prefix=%{prefix}%" "--enable-foo" {foo:installed}]',
+    '  [make "test"] {test}',
+    ']',
+  ].join('\n'));
+  expect(getField(file, 'build')).toEqual({
+    type: 'List',
+    items: [
+      {
+        type: 'List',
+        items: [
+          str('./configure'),
+          str('--prefix=%{prefix}%'),
+          {type: 'Option', value: str('--enable-foo'), options: [ident('foo:installed')]},
+        ],
+      },
+      {
+        type: 'Option',
+        value: {type: 'List', items: [ident('make'), str('test')]},
+        options: [ident('test')],
+      },
+    ],
+  });
+});
+
+test('parses formulas with precedence of operators', () => {
+  const file = parse([
+    'depends: [',
+    '  "ocaml" {>= "4.02" & < "4.05" | = "dev"}',
+    '  ("lwt" | "async")',
+    ']',
+    'available: [ !preinstalled & ocaml-version >= "4.02.0" | os = "linux" ]',
+  ].join('\n'));
+
+  expect(getField(file, 'depends')).toEqual({
+    type: 'List',
+    items: [
+      {
+        type: 'Option',
+        value: str('ocaml'),
+        options: [{
+          type: 'Logop',
+          op: '|',
+          left: {
+            type: 'Logop',
+            op: '&',
+            left: {type: 'PrefixRelop', op: '>=', value: str('4.02')},
+            right: {type: 'PrefixRelop', op: '<', value: str('4.05')},
+          },
+          right: {type: 'PrefixRelop', op: '=', value: str('dev')},
+        }],
+      },
+      {
+        type: 'Group',
+        items: [{type: 'Logop', op: '|', left: str('lwt'), right: str('async')}],
+      },
+    ],
+  });
+
+  expect(getField(file, 'available')).toEqual({
+    type: 'List',
+    items: [{
+      type: 'Logop',
+      op: '|',
+      left: {
+        type: 'Logop',
+        op: '&',
+        left: {type: 'Not', value: ident('preinstalled')},
+        right: {type: 'Relop', op: '>=', left: ident('ocaml-version'), right: str('4.02.0')},
+      },
+      right: {type: 'Relop', op: '=', left: ident('os'), right: str('linux')},
+    }],
+  });
+});
+
+test('reports syntax errors with location', () => {
+  expect(() => parse('name: "foo"\nbuild: [make', 'foo/opam')).toThrow('foo/opam:2:13: expected a value or "]"');
+  expect(() => parse('name "foo"')).toThrow('opam:1:11: expected ":" or "{" after "name", got end of file');
+  expect(() => parse('name: "foo')).toThrow('opam:1:7: unterminated string');
+  expect(() => parse('name: $')).toThrow('opam:1:7: unexpected character "$"');
+});
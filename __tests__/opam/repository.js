@@ -0,0 +1,88 @@
+/* @flow */
+
+import mkdir from '../_temp.js';
+import * as fs from '../../src/util/fs.js';
+import * as child from '../../src/util/child.js';
+import {getOpamRepository, readOpamPackageCollection} from '../../src/opam/repository.js';
+
+const path = require('path');
+
+async function createRepository(): Promise<string> {
+  const root = await mkdir('opam-repository');
+  const packages = {
+    'foo.1.0': 'build: [make]\n',
+    'foo.1.1': 'build: [make "%{unknown}%"]\n',
+    'foo.2.0': 'build: [make]\ndepends: ["bar"]\n',
+  };
+  for (const entry of Object.keys(packages)) {
+    const dir = path.join(root, 'packages', 'foo', entry);
+    await fs.mkdirp(dir);
+    await fs.writeFile(path.join(dir, 'opam'), packages[entry]);
+    await fs.writeFile(path.join(dir, 'url'), `archive: "https://example.com/${entry}.tgz"\n`);
+  }
+  return root;
+}
+
+async function createConfig(repository: string): Promise<Object> {
+  return {
+    cwd: repository,
+    cacheFolder: await mkdir('opam-cache'),
+    getOption: (key) => (key === 'opam-repository' ? repository : undefined),
+    reporter: {
+      warnings: [],
+      warn(msg) {
+        this.warnings.push(msg);
+      },
+    },
+  };
+}
+
+test('reads and converts packages of a local opam repository', async () => {
+  const root = await createRepository();
+  const config = await createConfig(root);
+
+  const repository = await getOpamRepository((config: any));
+  expect(repository).toEqual({path: root, cacheKey: null});
+  if (repository == null) {
+    return;
+  }
+
+  const collection = await readOpamPackageCollection(repository, 'foo', (config: any));
+  if (collection == null) {
+    throw new Error('expected foo to be found');
+  }
+  // 1.1 uses an unknown variable and is skipped.
+  expect(Object.keys(collection.versions).sort()).toEqual(['1.0', '2.0']);
+  expect(config.reporter.warnings).toEqual(['Skipping opam package foo.1.1: unknown variable "unknown"']);
+  expect(collection.versions['2.0'].name).toBe('@opam-alpha/foo');
+  expect(collection.versions['2.0'].dependencies['@opam-alpha/bar']).toBe('*');
+  expect(collection.versions['2.0'].opam.url).toBe('https://example.com/foo.2.0.tgz');
+
+  expect(await readOpamPackageCollection(repository, 'missing', (config: any))).toBe(null);
+});
+
+test('extracts opam repository tarballs and caches converted packages', async () => {
+  const root = await createRepository();
+  const tarball = path.join(await mkdir('opam-tarball'), 'repository.tar.gz');
+  await child.spawn('tar', ['-czf', tarball, '-C', path.dirname(root), path.basename(root)]);
+  const config = await createConfig(tarball);
+
+  const repository = await getOpamRepository((config: any));
+  if (repository == null) {
+    throw new Error('expected repository to be configured');
+  }
+  expect(repository.path).toBe(
+    path.join(config.cacheFolder, '.opam-repository', repository.cacheKey, path.basename(root)),
+  );
+
+  const collection = await readOpamPackageCollection(repository, 'foo', (config: any));
+  expect(Object.keys(collection ? collection.versions : {}).sort()).toEqual(['1.0', '2.0']);
+  const converted = await fs.readdir(path.join(config.cacheFolder, '.opam-repository', 'converted'));
+  expect(converted.length).toBe(1);
+  expect(await fs.readdir(path.join(config.cacheFolder, '.opam-repository', 'converted', converted[0])))
+    .toEqual(['foo.json']);
+});
+
+test('does not configure opam repository by default', () => {
+  expect(getOpamRepository(({getOption: () => undefined}: any))).toBe(null);
+});
@@ -0,0 +1,38 @@
+/* @flow */
+
+import {
+  detectArchiveFormat,
+  getArchiveFormatFromFilename,
+  isGitSource,
+  parseGitSource,
+  toGitSource,
+} from '../../src/opam/source.js';
+
+test('parses git sources', () => {
+  expect(parseGitSource('git+https://github.com/esy/foo.git#v1.0')).toEqual({
+    url: 'git+https://github.com/esy/foo.git',
+    ref: 'v1.0',
+  });
+  expect(parseGitSource('git://github.com/esy/foo')).toEqual({url: 'git://github.com/esy/foo', ref: 'master'});
+  expect(parseGitSource('https://github.com/esy/foo/archive/v1.0.tar.gz')).toBe(null);
+  expect(isGitSource('git+ssh://git@github.com/esy/foo.git')).toBe(true);
+  expect(toGitSource('https://github.com/esy/foo.git#dev')).toBe('git+https://github.com/esy/foo.git#dev');
+  expect(toGitSource('git://github.com/esy/foo.git')).toBe('git://github.com/esy/foo.git');
+});
+
+test('detects archive formats by magic bytes', () => {
+  const tarHeader = Buffer.alloc(512);
+  tarHeader.write('ustar', 257);
+  expect(detectArchiveFormat(Buffer.from([0x1f, 0x8b, 0x08, 0x00]))).toBe('gzip');
+  expect(detectArchiveFormat(Buffer.from('BZh91AY'))).toBe('bzip');
+  expect(detectArchiveFormat(Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00, 0x00]))).toBe('xz');
+  expect(detectArchiveFormat(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14]))).toBe('zip');
+  expect(detectArchiveFormat(tarHeader)).toBe('tar');
+  expect(detectArchiveFormat(Buffer.from('<html>'))).toBe(null);
+});
+
+test('falls back to file extensions', () => {
+  expect(getArchiveFormatFromFilename('https://example.com/foo-1.0.tbz')).toBe('bzip');
+  expect(getArchiveFormatFromFilename('https://example.com/foo-1.0.tar')).toBe('tar');
+  expect(getArchiveFormatFromFilename('https://example.com/download?id=1')).toBe(null);
+});
@@ -0,0 +1,86 @@
+/* @flow */
+
+import {
+  compareVersions,
+  formatConstraint,
+  maxSatisfying,
+  parseConstraint,
+  satisfies,
+} from '../../src/opam/version.js';
+
+test('orders versions the way opam does', () => {
+  const ordered = [
+    '~~', '~', '~beta', '0', '0.9', '1.0~beta', '1.0', '1.0a', '1.0+a', '1.0.1', '1.2', '1.10', 'v0.9.0',
+  ];
+  for (let i = 0; i < ordered.length; i++) {
+    for (let j = 0; j < ordered.length; j++) {
+      const expected = i < j ? -1 : i > j ? 1 : 0;
+      const result = compareVersions(ordered[i], ordered[j]);
+      expect([ordered[i], ordered[j], result]).toEqual([ordered[i], ordered[j], expected]);
+    }
+  }
+  expect(compareVersions('4.02.3', '4.2.3')).toBe(0);
+  expect(compareVersions('4.02.3+trunk', '4.02.3')).toBe(1);
+});
+
+test('evaluates constraints', () => {
+  expect(satisfies('4.02.3', '>= 4.02 & < 4.05')).toBe(true);
+  expect(satisfies('4.05.0', '>= 4.02 & < 4.05')).toBe(false);
+  expect(satisfies('dev', '>= 4.02 & < 4.05 | = dev')).toBe(true);
+  expect(satisfies('1.3', '!= 1.3')).toBe(false);
+  expect(satisfies('1.2.0', '>=1.1.0 <1.3.0')).toBe(true);
+  expect(satisfies('1.0~beta', '>= 1.0')).toBe(false);
+  expect(satisfies('1.0~beta', '1.0~beta')).toBe(true);
+  expect(satisfies('1.0', '*')).toBe(true);
+  expect(satisfies('1.0', '')).toBe(true);
+  expect(satisfies('1.5', '(< 1 | > 2) & != 3')).toBe(false);
+});
+
+test('picks the greatest satisfying version', () => {
+  const versions = ['1.0~beta', '1.0', '1.0+trunk', '1.10', '1.9', 'dev'];
+  expect(maxSatisfying(versions, '*')).toBe('dev');
+  expect(maxSatisfying(versions, '< 1.5')).toBe('1.0+trunk');
+  expect(maxSatisfying(versions, '< 1.0')).toBe('1.0~beta');
+  expect(maxSatisfying(versions, '> 2 & < 3')).toBe(null);
+});
+
+test('translates npm caret, tilde, x and hyphen ranges', () => {
+  const versions = ['2.5.0', '2.6.0', '3.0.0'];
+  expect(maxSatisfying(versions, '^2.5.0')).toBe('2.6.0');
+  expect(maxSatisfying(versions, '~2.5.0')).toBe('2.5.0');
+  expect(maxSatisfying(versions, '2.x')).toBe('2.6.0');
+  expect(maxSatisfying(versions, '2.5.x')).toBe('2.5.0');
+  expect(maxSatisfying(versions, '2.5.0 - 2.6.0')).toBe('2.6.0');
+  expect(maxSatisfying(versions, '2.5 - 2')).toBe('2.6.0');
+  expect(maxSatisfying(versions, '^2.5.0 || 3.x')).toBe('3.0.0');
+  expect(maxSatisfying(versions, '^3.1.0')).toBe(null);
+
+  expect(formatConstraint(parseConstraint('^1.2.3'))).toBe('>= 1.2.3 & < 2~');
+  expect(formatConstraint(parseConstraint('^0.2.3'))).toBe('>= 0.2.3 & < 0.3~');
+  expect(formatConstraint(parseConstraint('^0.0.3'))).toBe('>= 0.0.3 & < 0.0.4~');
+  expect(formatConstraint(parseConstraint('~1.2.3'))).toBe('>= 1.2.3 & < 1.3~');
+  expect(formatConstraint(parseConstraint('~1'))).toBe('>= 1 & < 2~');
+  expect(formatConstraint(parseConstraint('1.2.*'))).toBe('>= 1.2 & < 1.3~');
+  expect(formatConstraint(parseConstraint('1.2.3 - 2.3'))).toBe('>= 1.2.3 & < 2.4~');
+
+  // Upper bounds exclude pre-releases of the next version, opam versions
+  // compare the opam way and versions on their own are still exact.
+  expect(satisfies('2~beta', '^1.2.3')).toBe(false);
+  expect(satisfies('4.02.3', '^4.2.0')).toBe(true);
+  expect(satisfies('1.2.5', '1.2')).toBe(false);
+});
+
+test('formats constraints so that they parse back', () => {
+  for (const spec of ['*', '= 1.0', '>= 1.0 & < 2.0', '(< 1 | > 2) & != 3', '< 1 | > 2 & != 3']) {
+    expect(formatConstraint(parseConstraint(spec))).toBe(spec);
+  }
+  expect(formatConstraint(parseConstraint('* & >= 1'))).toBe('>= 1');
+});
+
+test('reports invalid constraints', () => {
+  expect(() => parseConstraint('>= 1.0 &')).toThrow(
+    'Invalid version constraint ">= 1.0 &": unexpected end of constraint',
+  );
+  expect(() => parseConstraint('(>= 1.0')).toThrow('unexpected end of constraint');
+  expect(() => parseConstraint('>= <')).toThrow('unexpected "<"');
+});
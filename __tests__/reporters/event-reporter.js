@@ -59,6 +59,21 @@ test('EventReporter.command', async () => {
   })).toMatchSnapshot();
 });
 
+test('EventReporter.packageBuildFinish', async () => {
+  expect(await getBuff((r) => {
+    r.packageBuildFinish({
+      name: 'foo',
+      version: '1.0.0',
+      sourceType: 'local',
+      buildKey: 'foo-1.0.0',
+      status: 'built',
+      duration: 42,
+      logPath: '/store/_build/foo-1.0.0/_esy/build.log',
+      error: null,
+    });
+  })).toMatchSnapshot();
+});
+
 test('EventReporter.warn', async () => {
   expect(await getBuff((r) => {
     r.warn('foobar');
@@ -55,6 +55,32 @@ test("JSONReporter.info", async () => {
   })).toMatchSnapshot();
 });
 
+test("JSONReporter.packageBuildStart", async () => {
+  expect(await getJSONBuff((r) => {
+    r.packageBuildStart({
+      name: "foo",
+      version: "1.0.0",
+      sourceType: "remote",
+      buildKey: "foo-1.0.0",
+    });
+  })).toMatchSnapshot();
+});
+
+test("JSONReporter.packageBuildFinish", async () => {
+  expect(await getJSONBuff((r) => {
+    r.packageBuildFinish({
+      name: "foo",
+      version: "1.0.0",
+      sourceType: "remote",
+      buildKey: "foo-1.0.0",
+      status: "failed",
+      duration: 42,
+      logPath: "/store/_build/foo-1.0.0/_esy/build.log",
+      error: "foo: build failed",
+    });
+  })).toMatchSnapshot();
+});
+
 test("JSONReporter.activity", async () => {
   expect(await getJSONBuff(async function (r): Promise<void> {
     const activity = await r.activity();
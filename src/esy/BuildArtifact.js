@@ -0,0 +1,410 @@
+/**
+ * Relocatable build artifacts.
+ *
+ * A build artifact is a tarball with an installation of a package from the
+ * store along with the metadata needed to import it into another store:
+ *
+ *    export.json   — build key, package name/version and the store path the
+ *                    package was built in
+ *    install/      — contents of `$ESY__STORE/_install/<build key>`
+ *
+ * Built files contain absolute paths into the store they were built in, on
+ * import those paths are rewritten to point into the destination store. As
+ * paths are rewritten in place (they are baked into binaries) the destination
+ * store path is padded with slashes to the length of the original one, thus it
+ * can't be longer than that.
+ *
+ * @flow
+ */
+
+import type {Sandbox, PackageInfo} from './Sandbox';
+import type {BuildConfig} from './BuildConfig';
+
+const nodeFs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const tarStream = require('tar-stream');
+const invariant = require('invariant');
+const {packageInfoKey} = require('./Sandbox');
+const {getStorePath, isRootPackage} = require('./BuildConfig');
+import {MessageError} from '../errors';
+import {promisify} from '../util/promise';
+import * as fs from '../util/fs';
+
+const symlink: (target: string, path: string) => Promise<void> = promisify(nodeFs.symlink);
+const writeFileBuffer: (path: string, data: Buffer) => Promise<void> = promisify(nodeFs.writeFile);
+
+export type BuildArtifactManifest = {
+  buildKey: string;
+  name: string;
+  version: ?string;
+  storePath: string;
+};
+
+const MANIFEST_FILENAME = 'export.json';
+const INSTALL_DIRNAME = 'install';
+
+/**
+ * Pack the installation of a package from the store into a tarball at
+ * `outputPath`.
+ */
+async function exportBuild(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo,
+  outputPath: string
+): Promise<BuildArtifactManifest> {
+  let {name, version} = packageInfo.packageJson;
+  if (isRootPackage(sandbox, packageInfo) || packageInfo.sourceType === 'local') {
+    throw new MessageError(
+      `${name}: only packages from the store can be exported, not linked ones`
+    );
+  }
+  let installPath = getStorePath(config, sandbox, packageInfo, '_install');
+  if (!await fs.exists(installPath)) {
+    throw new MessageError(
+      `${name}: package is not built yet, run "esy build" first`
+    );
+  }
+
+  let manifest = {
+    buildKey: packageInfoKey(sandbox.env, packageInfo),
+    name,
+    version: version || null,
+    storePath: path.resolve(config.storePath),
+  };
+
+  let packer = tarStream.pack();
+  let written = writeStream(
+    packer.pipe(zlib.createGzip()),
+    nodeFs.createWriteStream(outputPath)
+  );
+
+  let manifestBuffer = Buffer.from(JSON.stringify(manifest, null, 2));
+  await addEntry(packer, {
+    name: MANIFEST_FILENAME,
+    size: manifestBuffer.length,
+    mode: 0o644,
+    type: 'file',
+  }, manifestBuffer);
+  await addEntry(packer, {name: INSTALL_DIRNAME, type: 'directory', mode: 0o755});
+
+  for (let file of await fs.walk(installPath)) {
+    let stat = await fs.lstat(file.absolute);
+    let entry = {
+      name: path.join(INSTALL_DIRNAME, file.relative),
+      mode: stat.mode,
+      mtime: stat.mtime,
+    };
+    if (stat.isDirectory()) {
+      await addEntry(packer, {...entry, type: 'directory'});
+    } else if (stat.isSymbolicLink()) {
+      let linkname = await fs.readlink(file.absolute);
+      await addEntry(packer, {...entry, type: 'symlink', linkname});
+    } else if (stat.isFile()) {
+      let buffer = await fs.readFileRaw(file.absolute);
+      await addEntry(packer, {...entry, type: 'file', size: buffer.length}, buffer);
+    }
+  }
+
+  packer.finalize();
+  await written;
+  return manifest;
+}
+
+/**
+ * Build keys are used as names of directories in the store, artifacts from
+ * untrusted locations (a build cache) shouldn't be able to point outside of it.
+ */
+function isValidBuildKey(buildKey: mixed): boolean {
+  return typeof buildKey === 'string' && /^[^./\\][^/\\]*$/.test(buildKey);
+}
+
+/**
+ * Unpack a tarball made by `exportBuild` into the store, rewriting paths to
+ * the store it was built in.
+ *
+ * If `expectedBuildKey` is given the artifact should be a build of it.
+ *
+ * Resolves with the manifest of the artifact and whether it was imported or
+ * the store already had the package installed.
+ */
+async function importBuild(
+  config: BuildConfig,
+  artifactPath: string,
+  expectedBuildKey?: ?string
+): Promise<{manifest: BuildArtifactManifest; imported: boolean}> {
+  let storePath = path.resolve(config.storePath);
+  let stagePath = path.join(
+    storePath,
+    '_insttmp',
+    `${path.basename(artifactPath)}.import`
+  );
+  await fs.unlink(stagePath);
+  await fs.mkdirp(stagePath);
+  try {
+    await extract(artifactPath, stagePath);
+
+    let manifestPath = path.join(stagePath, MANIFEST_FILENAME);
+    if (!await fs.exists(manifestPath) || !(await fs.lstat(manifestPath)).isFile()) {
+      throw new MessageError(
+        `${artifactPath}: not a build artifact, ${MANIFEST_FILENAME} is missing`
+      );
+    }
+    let manifest: BuildArtifactManifest = await fs.readJson(manifestPath);
+    if (!isValidBuildKey(manifest.buildKey)) {
+      throw new MessageError(
+        `${artifactPath}: invalid build key ${JSON.stringify(manifest.buildKey)}`
+      );
+    }
+    if (expectedBuildKey != null && manifest.buildKey !== expectedBuildKey) {
+      throw new MessageError(
+        `${artifactPath}: expected a build of ${expectedBuildKey}, got ${manifest.buildKey}`
+      );
+    }
+    if (typeof manifest.storePath !== 'string' || !path.isAbsolute(manifest.storePath)) {
+      throw new MessageError(
+        `${artifactPath}: invalid store path ${JSON.stringify(manifest.storePath)}`
+      );
+    }
+    let stageInstallPath = path.join(stagePath, INSTALL_DIRNAME);
+    if (!await fs.exists(stageInstallPath) || !(await fs.lstat(stageInstallPath)).isDirectory()) {
+      throw new MessageError(
+        `${artifactPath}: not a build artifact, ${INSTALL_DIRNAME} directory is missing`
+      );
+    }
+    await checkSymlinks(artifactPath, stageInstallPath, manifest.storePath);
+
+    let installPath = path.join(storePath, '_install', manifest.buildKey);
+    if (await fs.exists(installPath)) {
+      return {manifest, imported: false};
+    }
+
+    if (storePath.length > manifest.storePath.length) {
+      throw new MessageError(
+        `${artifactPath}: cannot import into ${storePath}, store path should not ` +
+        `be longer than the one the package was built in: ${manifest.storePath}`
+      );
+    }
+    await rewritePaths(
+      stageInstallPath,
+      manifest.storePath,
+      padStorePath(storePath, manifest.storePath.length)
+    );
+    await rewriteSymlinks(stageInstallPath, manifest.storePath, storePath);
+    await fs.mkdirp(path.dirname(installPath));
+    await fs.rename(stageInstallPath, installPath);
+    return {manifest, imported: true};
+  } finally {
+    await fs.unlink(stagePath);
+  }
+}
+
+// Bytes which can continue a file name, a store path followed by one of those
+// is a prefix of another path, like `/store-other`. Paths can be preceded by
+// anything (`-I/store/...`, `PATH=/store/...:/store/...`) so we check only the
+// byte after them.
+const PATH_NAME_CHAR_RE = /[a-zA-Z0-9._\-+~@]/;
+
+/**
+ * Whether `content` has the path of length `length` at `offset` and not just
+ * a prefix of a longer path.
+ */
+function isPathAt(content: Buffer, offset: number, length: number): boolean {
+  let end = offset + length;
+  return end === content.length || !PATH_NAME_CHAR_RE.test(String.fromCharCode(content[end]));
+}
+
+/**
+ * Rewrite all occurrences of path `from` into `to` inside files found in
+ * `directory`.
+ *
+ * Both strings should be of the same length so that offsets inside binaries
+ * stay valid.
+ */
+async function rewritePaths(directory: string, from: string, to: string): Promise<void> {
+  invariant(
+    from.length === to.length,
+    'Cannot rewrite %s into %s: paths are of different length',
+    from, to
+  );
+  let fromBuffer = Buffer.from(from);
+  let toBuffer = Buffer.from(to);
+  let files = await fs.walk(directory);
+  for (let file of files) {
+    let stat = await fs.lstat(file.absolute);
+    if (!stat.isFile()) {
+      continue;
+    }
+    let content = await fs.readFileBuffer(file.absolute);
+    let changed = false;
+    let offset = content.indexOf(fromBuffer);
+    while (offset > -1) {
+      if (isPathAt(content, offset, fromBuffer.length)) {
+        toBuffer.copy(content, offset);
+        changed = true;
+      }
+      offset = content.indexOf(fromBuffer, offset + fromBuffer.length);
+    }
+    if (!changed) {
+      continue;
+    }
+    await writeFileBuffer(file.absolute, content);
+    await fs.chmod(file.absolute, stat.mode);
+  }
+}
+
+/**
+ * Pad store path with trailing slashes up to `length`, `/store///_install/x`
+ * is still a valid path to `/store/_install/x`.
+ */
+function padStorePath(storePath: string, length: number): string {
+  return storePath + '/'.repeat(length - storePath.length);
+}
+
+/**
+ * Symlinks aren't rewritten in place so we don't need to pad paths inside
+ * them.
+ */
+async function rewriteSymlinks(directory: string, from: string, to: string): Promise<void> {
+  for (let file of await fs.walk(directory)) {
+    let stat = await fs.lstat(file.absolute);
+    if (!stat.isSymbolicLink()) {
+      continue;
+    }
+    let linkname = await fs.readlink(file.absolute);
+    if (linkname === from || linkname.startsWith(`${from}/`)) {
+      await fs.unlink(file.absolute);
+      await symlink(to + linkname.slice(from.length), file.absolute);
+    }
+  }
+}
+
+function addEntry(packer: any, entry: Object, buffer?: ?Buffer): Promise<void> {
+  return new Promise((resolve, reject) => {
+    packer.entry(entry, buffer, err => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function writeStream(source: stream$Readable, dest: stream$Writable): Promise<void> {
+  return new Promise((resolve, reject) => {
+    source.on('error', reject);
+    dest.on('error', reject);
+    dest.on('close', () => resolve());
+    source.pipe(dest);
+  });
+}
+
+/**
+ * Unpack artifact into `dest` keeping symlinks as they are (node-tar re-roots
+ * absolute ones into the destination directory).
+ */
+function extract(artifactPath: string, dest: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    let input = nodeFs.createReadStream(artifactPath);
+    let gunzip = zlib.createGunzip();
+    let untar = tarStream.extract();
+    untar.on('entry', (header, stream, next) => {
+      extractEntry(artifactPath, dest, header, stream).then(() => next(), reject);
+    });
+    input.on('error', reject);
+    gunzip.on('error', reject);
+    untar.on('error', reject);
+    untar.on('finish', () => resolve());
+    input.pipe(gunzip).pipe(untar);
+  });
+}
+
+async function extractEntry(
+  artifactPath: string,
+  dest: string,
+  header: Object,
+  stream: stream$Readable
+): Promise<void> {
+  let entryPath = path.join(dest, header.name);
+  if (!isInside(dest, entryPath) || await hasSymlinkOnPath(dest, entryPath)) {
+    stream.resume();
+    throw new MessageError(
+      `${artifactPath}: ${header.name} points outside of the artifact`
+    );
+  }
+  await fs.mkdirp(path.dirname(entryPath));
+  if (header.type === 'file') {
+    await writeStream(stream, nodeFs.createWriteStream(entryPath, {mode: header.mode}));
+    return;
+  }
+  stream.resume();
+  if (header.type === 'directory') {
+    await fs.mkdirp(entryPath);
+  } else if (header.type === 'symlink') {
+    await symlink(header.linkname, entryPath);
+  }
+}
+
+function isInside(directory: string, p: string): boolean {
+  return p.startsWith(`${directory}${path.sep}`);
+}
+
+/**
+ * Check if `p` or any of its parents up to `directory` is a symlink, an entry
+ * of a malicious artifact could be written through a symlink from a previous
+ * one otherwise.
+ */
+async function hasSymlinkOnPath(directory: string, p: string): Promise<boolean> {
+  let current = directory;
+  for (let part of path.relative(directory, p).split(path.sep)) {
+    current = path.join(current, part);
+    let stat;
+    try {
+      stat = await fs.lstat(current);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return false;
+      }
+      throw err;
+    }
+    if (stat.isSymbolicLink()) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Symlinks of an unpacked installation should point inside of it or into the
+ * store it was built in (those are rewritten into the destination store).
+ */
+async function checkSymlinks(
+  artifactPath: string,
+  installPath: string,
+  storePath: string
+): Promise<void> {
+  for (let file of await fs.walk(installPath)) {
+    let stat = await fs.lstat(file.absolute);
+    if (!stat.isSymbolicLink()) {
+      continue;
+    }
+    let linkname = await fs.readlink(file.absolute);
+    let target = path.resolve(path.dirname(file.absolute), linkname);
+    let intoStore = path.isAbsolute(linkname) &&
+      (target === storePath || isInside(storePath, target));
+    if (!isInside(installPath, target) && !intoStore) {
+      throw new MessageError(
+        `${artifactPath}: symlink ${file.relative} points outside of the artifact: ${linkname}`
+      );
+    }
+  }
+}
+
+module.exports = {
+  exportBuild,
+  importBuild,
+  rewritePaths,
+  rewriteSymlinks,
+};
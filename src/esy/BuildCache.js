@@ -0,0 +1,161 @@
+/**
+ * Remote build cache.
+ *
+ * Build artifacts (see `BuildArtifact`) of remote packages are stored in the
+ * cache under their build keys so that machines which share a cache build
+ * each package only once.
+ *
+ * The cache is configured with `ESY__BUILD_CACHE` which is either a path to a
+ * directory (a local or a shared network one) or an `http://` / `https://`
+ * URL of a server which responds to `GET <url>/<build key>.tar.gz` with an
+ * artifact (or 404 if there's none) and accepts artifacts with
+ * `PUT <url>/<build key>.tar.gz`. Requests to a server which doesn't respond
+ * for `timeout` milliseconds fail.
+ *
+ * @flow
+ */
+
+const nodeFs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const url = require('url');
+import * as fs from '../util/fs';
+
+export type BuildCache = {
+  // Download artifact into `artifactPath`, resolves with `false` if the cache
+  // doesn't have it.
+  fetch: (buildKey: string, artifactPath: string) => Promise<boolean>;
+  store: (buildKey: string, artifactPath: string) => Promise<void>;
+};
+
+export type BuildCacheOptions = {
+  timeout?: number;
+};
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+function createBuildCache(location: string, options: BuildCacheOptions = {}): BuildCache {
+  if (/^https?:\/\//.test(location)) {
+    return createHTTPBuildCache(location, options.timeout || DEFAULT_TIMEOUT);
+  } else {
+    return createDirectoryBuildCache(location);
+  }
+}
+
+function createDirectoryBuildCache(directory: string): BuildCache {
+  let getArtifactPath = buildKey => path.join(directory, `${buildKey}.tar.gz`);
+
+  async function fetch(buildKey, artifactPath) {
+    let cachedPath = getArtifactPath(buildKey);
+    if (!await fs.exists(cachedPath)) {
+      return false;
+    }
+    await copyFile(cachedPath, artifactPath);
+    return true;
+  }
+
+  async function store(buildKey, artifactPath) {
+    let cachedPath = getArtifactPath(buildKey);
+    // Copy under a temporary name and rename so that concurrent readers (the
+    // directory can be shared over NFS) never see a partially written
+    // artifact.
+    let tmpPath = `${cachedPath}.${process.pid}.tmp`;
+    await fs.mkdirp(directory);
+    await copyFile(artifactPath, tmpPath);
+    await fs.rename(tmpPath, cachedPath);
+  }
+
+  return {fetch, store};
+}
+
+function createHTTPBuildCache(baseUrl: string, timeout: number): BuildCache {
+  let getArtifactUrl = buildKey =>
+    `${baseUrl.replace(/\/+$/, '')}/${buildKey}.tar.gz`;
+
+  function fetch(buildKey, artifactPath) {
+    return new Promise((resolve, reject) => {
+      let req = sendRequest('GET', getArtifactUrl(buildKey), timeout, res => {
+        if (res.statusCode === 404) {
+          res.resume();
+          resolve(false);
+        } else if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(
+            `GET ${getArtifactUrl(buildKey)} failed with status ${res.statusCode}`
+          ));
+        } else {
+          let out = nodeFs.createWriteStream(artifactPath);
+          out.on('error', reject);
+          out.on('close', () => resolve(true));
+          res.on('error', reject);
+          res.pipe(out);
+        }
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  function store(buildKey, artifactPath) {
+    return new Promise((resolve, reject) => {
+      let {size} = nodeFs.statSync(artifactPath);
+      let req = sendRequest('PUT', getArtifactUrl(buildKey), timeout, res => {
+        res.resume();
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(
+            `PUT ${getArtifactUrl(buildKey)} failed with status ${res.statusCode}`
+          ));
+        }
+      }, {'Content-Type': 'application/gzip', 'Content-Length': String(size)});
+      req.on('error', reject);
+      let input = nodeFs.createReadStream(artifactPath);
+      input.on('error', reject);
+      input.pipe(req);
+    });
+  }
+
+  return {fetch, store};
+}
+
+function sendRequest(
+  method: string,
+  requestUrl: string,
+  timeout: number,
+  onResponse: (res: http$IncomingMessage) => void,
+  headers: {[name: string]: string} = {}
+) {
+  let {protocol, hostname, port, path: requestPath, auth} = url.parse(requestUrl);
+  let transport = protocol === 'https:' ? https : http;
+  let req = transport.request({
+    method,
+    hostname,
+    port,
+    path: requestPath,
+    auth,
+    headers,
+  }, onResponse);
+  // Fires when the connection is idle for too long, either while waiting for
+  // the response or while reading it.
+  req.setTimeout(timeout, () => {
+    req.destroy(new Error(`${method} ${requestUrl} timed out after ${timeout}ms`));
+  });
+  return req;
+}
+
+function copyFile(src: string, dest: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    let input = nodeFs.createReadStream(src);
+    let output = nodeFs.createWriteStream(dest);
+    input.on('error', reject);
+    output.on('error', reject);
+    output.on('close', () => resolve());
+    input.pipe(output);
+  });
+}
+
+module.exports = {
+  createBuildCache,
+};
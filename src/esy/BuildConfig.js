@@ -0,0 +1,92 @@
+/**
+ * Build configuration: where the sandbox and the stores are located on the
+ * current host.
+ *
+ * The store locations can be overridden with `ESY__STORE` and
+ * `ESY__LOCAL_STORE`, those are passed down to the ejected Makefile and to
+ * commands executed within the sandbox environment. `ESY__BUILD_CACHE`
+ * configures the build cache (none by default).
+ *
+ * @flow
+ */
+
+import type {Sandbox, PackageInfo} from './Sandbox';
+
+const path = require('path');
+const userHome = require('user-home');
+const {packageInfoKey} = require('./Sandbox');
+
+export type StoreTree = '_install' | '_build' | '_insttmp';
+
+export type BuildConfig = {
+  sandboxPath: string;
+  storePath: string;
+  localStorePath: string;
+  // Directory or http(s) URL of the build cache, see BuildCache.
+  buildCache: ?string;
+};
+
+// The store is compatible with any major version 3.
+const ESY__STORE_VERSION = '3.x.x';
+
+function createConfig(
+  sandboxPath: string,
+  env: {[name: string]: ?string} = process.env
+): BuildConfig {
+  let storePath = env.ESY__STORE != null
+    ? env.ESY__STORE
+    : path.join(env.HOME || userHome, '.esy', `store-${ESY__STORE_VERSION}`);
+  let localStorePath = env.ESY__LOCAL_STORE != null
+    ? env.ESY__LOCAL_STORE
+    : path.join(sandboxPath, 'node_modules', '.cache', '_esy', 'store');
+  let buildCache = env.ESY__BUILD_CACHE || null;
+  return {
+    sandboxPath,
+    storePath,
+    localStorePath,
+    buildCache,
+  };
+}
+
+function isRootPackage(sandbox: Sandbox, packageInfo: PackageInfo): boolean {
+  return packageInfo.packageJson.name === sandbox.packageInfo.packageJson.name;
+}
+
+/**
+ * Path inside one of the store trees for a package.
+ *
+ * Root package is built inside the sandbox, linked (local) packages are built
+ * inside the local store and everything else goes to the global store.
+ */
+function getStorePath(
+  config: BuildConfig,
+  sandbox: Sandbox,
+  packageInfo: PackageInfo,
+  tree: StoreTree,
+  ...pathTo: Array<string>
+): string {
+  if (isRootPackage(sandbox, packageInfo)) {
+    return path.join(config.sandboxPath, tree, ...pathTo);
+  }
+  let packageKey = packageInfoKey(sandbox.env, packageInfo);
+  if (packageInfo.sourceType === 'local') {
+    return path.join(config.localStorePath, tree, packageKey, ...pathTo);
+  }
+  return path.join(config.storePath, tree, packageKey, ...pathTo);
+}
+
+/**
+ * Directory with source fingerprint manifests of local packages, it lives in
+ * the local store next to the installs of those packages and `esy gc` removes
+ * manifests of packages which are not in the sandbox anymore.
+ */
+function getSourceFingerprintCachePath(config: BuildConfig): string {
+  return path.join(config.localStorePath, '_fingerprint');
+}
+
+module.exports = {
+  createConfig,
+  isRootPackage,
+  getStorePath,
+  getSourceFingerprintCachePath,
+};
@@ -0,0 +1,88 @@
+/**
+ * Reporting of build progress to the console.
+ *
+ * @flow
+ */
+
+import type {BuildEvent, BuildResult} from './Builder';
+
+import chalk from 'chalk';
+import JSONReporter from '../reporters/json-reporter';
+const fs = require('fs');
+
+const CIRCLE = '◯';
+const CIRCLE_FILLED = '◉';
+const CIRCLE_DOTTED = '◌';
+
+/**
+ * Report build events through a reporter, used for machine readable (--json)
+ * output.
+ */
+function reportBuildEventWith(reporter: JSONReporter, event: BuildEvent) {
+  if (event.type === 'start') {
+    let {packageInfo, buildKey} = event;
+    reporter.packageBuildStart({
+      name: packageInfo.packageJson.name,
+      version: packageInfo.packageJson.version,
+      sourceType: packageInfo.sourceType,
+      buildKey,
+    });
+  } else if (event.type === 'finish') {
+    let {packageInfo, buildKey, status, duration, logPath, error} = event.result;
+    reporter.packageBuildFinish({
+      name: packageInfo.packageJson.name,
+      version: packageInfo.packageJson.version,
+      sourceType: packageInfo.sourceType,
+      buildKey,
+      status,
+      duration,
+      logPath,
+      error: error != null ? error.message : null,
+    });
+  } else if (event.type === 'warning') {
+    reporter.warn(event.message);
+  }
+}
+
+function reportBuildEvent(event: BuildEvent) {
+  if (event.type === 'start') {
+    let {name} = event.packageInfo.packageJson;
+    console.log(chalk.white(` ${CIRCLE} ${name}: building from source...`));
+  } else if (event.type === 'finish') {
+    let {result} = event;
+    let {name} = result.packageInfo.packageJson;
+    if (result.status === 'built') {
+      console.log(chalk.green(` ${CIRCLE_FILLED} ${name}: build complete`));
+    } else if (result.status === 'fetched') {
+      console.log(chalk.green(` ${CIRCLE_FILLED} ${name}: fetched from build cache`));
+    } else if (result.status === 'failed') {
+      console.log(chalk.red(formatBuildFailure(result)));
+    }
+  } else if (event.type === 'warning') {
+    console.error(chalk.yellow(`WARNING ${event.message}`));
+  }
+}
+
+function formatBuildFailure(result: BuildResult) {
+  let {packageInfo, logPath, error} = result;
+  let {name} = packageInfo.packageJson;
+  if (logPath == null || !fs.existsSync(logPath)) {
+    return ` ${CIRCLE_DOTTED} ${name}: build failed:\n\n  ${error ? error.message : 'unknown error'}\n`;
+  }
+  // Show build log inline for linked packages (those are being developed) and
+  // on CI (where there's no way to look into the log afterwards).
+  if (packageInfo.sourceType === 'local' || process.env.CI != null) {
+    let log = fs.readFileSync(logPath, 'utf8')
+      .split('\n')
+      .map(line => `  ${line}`)
+      .join('\n');
+    return ` ${CIRCLE_DOTTED} ${name}: build failed:\n\n${log}\n`;
+  } else {
+    return ` ${CIRCLE_DOTTED} ${name}: build failed, see:\n\n  ${logPath}\n\nfor details`;
+  }
+}
+
+module.exports = {
+  reportBuildEvent,
+  reportBuildEventWith,
+};
@@ -0,0 +1,684 @@
+/**
+ * Build scheduler.
+ *
+ * Builds packages of the sandbox in dependency order, running as many builds
+ * in parallel as the dependency graph (and the number of available CPUs)
+ * allows. This replaces the `make -j` over the ejected Makefile with
+ * `runtime.sh` doing the actual work.
+ *
+ * @flow
+ */
+
+import type {Sandbox, PackageInfo} from './Sandbox';
+import type {BuildConfig} from './BuildConfig';
+import type {BuildCache} from './BuildCache';
+
+const childProcess = require('child_process');
+const nodeFs = require('fs');
+const os = require('os');
+const path = require('path');
+const outdent = require('outdent');
+const {
+  traversePackageDependencyTree,
+  collectTransitiveDependencies,
+  packageInfoKey,
+} = require('./Sandbox');
+const PackageEnvironment = require('./PackageEnvironment');
+const {getStorePath, isRootPackage} = require('./BuildConfig');
+const {createBuildCache} = require('./BuildCache');
+const {exportBuild, importBuild, rewritePaths} = require('./BuildArtifact');
+import BlockingQueue from '../util/blocking-queue';
+import {MessageError} from '../errors';
+import {promisify} from '../util/promise';
+import * as fs from '../util/fs';
+
+const writeFileBuffer: (path: string, data: Buffer) => Promise<void> = promisify(nodeFs.writeFile);
+const utimes: (path: string, atime: Date, mtime: Date) => Promise<void> = promisify(nodeFs.utimes);
+
+export type BuildStatus =
+  | 'built'
+  | 'cached'
+  | 'fetched'
+  | 'failed'
+  | 'skipped';
+
+export type BuildResult = {
+  packageInfo: PackageInfo;
+  buildKey: string;
+  status: BuildStatus;
+  duration: number;
+  logPath: ?string;
+  error: ?BuildError;
+};
+
+export type BuildEvent =
+  | {type: 'start'; packageInfo: PackageInfo; buildKey: string}
+  | {type: 'finish'; result: BuildResult}
+  | {type: 'warning'; message: string};
+
+export type BuildOptions = {
+  concurrency?: number;
+  // Package to build along with its dependencies, defaults to the sandbox
+  // root package.
+  target?: PackageInfo;
+  // Build only dependencies of the target, for example to drop into its build
+  // environment afterwards.
+  dependenciesOnly?: boolean;
+  onEvent?: (event: BuildEvent) => *;
+};
+
+class BuildError extends MessageError {
+  constructor(message: string, packageInfo: PackageInfo, logPath: ?string = null) {
+    super(message);
+    this.packageInfo = packageInfo;
+    this.logPath = logPath;
+  }
+
+  packageInfo: PackageInfo;
+  logPath: ?string;
+}
+
+// Build commands run with bash in strict mode, the same way the ejected
+// Makefile runs them (see `buildEjectCommand/runtime.sh`).
+const BUILD_SHELL = ['/bin/bash', '--noprofile', '--norc', '-e', '-u', '-o', 'pipefail', '-c'];
+
+// Subdirectories of $cur__install which are created before the build starts.
+const INSTALL_TREE_DIRS = ['lib', 'bin', 'sbin', 'man', 'doc', 'share', 'etc'];
+
+/**
+ * Build the sandbox.
+ *
+ * Resolves with build results for all packages in the sandbox (or the
+ * dependency closure of `options.target`), in the order of
+ * `traversePackageDependencyTree` (dependencies first, the target last).
+ * Failures of individual packages do not reject the returned promise but are
+ * reported as results with `failed` status, packages which depend on them are
+ * reported as `skipped`.
+ */
+function build(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  options: BuildOptions = {}
+): Promise<Array<BuildResult>> {
+  let {
+    concurrency = os.cpus().length,
+    onEvent = () => {},
+    target = sandbox.packageInfo,
+    dependenciesOnly = false,
+  } = options;
+
+  let queue = new BlockingQueue('esy build', concurrency);
+  let buildCache = config.buildCache != null
+    ? createBuildCache(config.buildCache)
+    : null;
+  let tasks: Map<string, Promise<BuildResult>> = new Map();
+
+  // Warn (once) that build commands can't be sandboxed before the first one
+  // runs.
+  let sandboxingChecked: ?Promise<void> = null;
+  function checkSandboxing(): Promise<void> {
+    if (sandboxingChecked == null) {
+      sandboxingChecked = isSandboxingAvailable().then(available => {
+        if (!available) {
+          onEvent({type: 'warning', message: UNSANDBOXED_BUILD_WARNING});
+        }
+      });
+    }
+    return sandboxingChecked;
+  }
+
+  function scheduleBuild(packageInfo: PackageInfo): Promise<BuildResult> {
+    let buildKey = packageInfoKey(sandbox.env, packageInfo);
+    let task = tasks.get(buildKey);
+    if (task == null) {
+      task = buildWithDependencies(packageInfo, buildKey);
+      tasks.set(buildKey, task);
+    }
+    return task;
+  }
+
+  async function buildWithDependencies(
+    packageInfo: PackageInfo,
+    buildKey: string
+  ): Promise<BuildResult> {
+    let {dependencyTree, buildTimeDependencyTree} = packageInfo;
+    let dependencies = Object.keys(dependencyTree)
+      .map(name => dependencyTree[name])
+      .concat(Object.keys(buildTimeDependencyTree).map(name => buildTimeDependencyTree[name]));
+    let dependencyResults = await Promise.all(dependencies.map(scheduleBuild));
+    let failedDependencies = dependencyResults
+      .filter(result => result.status === 'failed' || result.status === 'skipped')
+      .map(result => result.packageInfo.packageJson.name);
+    if (failedDependencies.length > 0) {
+      let result = {
+        packageInfo,
+        buildKey,
+        status: 'skipped',
+        duration: 0,
+        logPath: null,
+        error: new BuildError(
+          `${packageInfo.packageJson.name}: not built because its dependencies failed to build: ` +
+          failedDependencies.join(', '),
+          packageInfo
+        ),
+      };
+      onEvent({type: 'finish', result});
+      return result;
+    }
+    return queue.push(buildKey, () =>
+      buildPackage(sandbox, config, buildCache, packageInfo, onEvent, checkSandboxing));
+  }
+
+  let packageInfoList = [];
+  traversePackageDependencyTree(
+    sandbox.env,
+    target,
+    packageInfo => {
+      if (!dependenciesOnly || packageInfo !== target) {
+        packageInfoList.push(packageInfo);
+      }
+    }
+  );
+  return Promise.all(packageInfoList.map(scheduleBuild));
+}
+
+async function buildPackage(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  buildCache: ?BuildCache,
+  packageInfo: PackageInfo,
+  onEvent: (event: BuildEvent) => *,
+  checkSandboxing: () => Promise<void>
+): Promise<BuildResult> {
+  let buildKey = packageInfoKey(sandbox.env, packageInfo);
+  let installPath = getStorePath(config, sandbox, packageInfo, '_install');
+  let startTime = Date.now();
+
+  function finish(status, logPath = null, error = null) {
+    let result = {
+      packageInfo,
+      buildKey,
+      status,
+      duration: Date.now() - startTime,
+      logPath,
+      error,
+    };
+    onEvent({type: 'finish', result});
+    return result;
+  }
+
+  // The root package is always rebuilt, its build system is expected to do
+  // incremental builds. For every other package the build key includes either
+  // the source (remote packages) or the source fingerprint (local packages) so
+  // an existing installation is up to date.
+  if (isRootPackage(sandbox, packageInfo)) {
+    await fs.unlink(installPath);
+  } else if (await fs.exists(installPath)) {
+    // Mark the build as used, `esy gc` keeps recently used builds of linked
+    // packages.
+    let now = new Date();
+    await utimes(installPath, now, now);
+    return finish('cached');
+  }
+
+  // Only remote packages go through the build cache: the root package and
+  // linked packages are being developed and are unlikely to be found there.
+  let useBuildCache =
+    buildCache != null &&
+    !isRootPackage(sandbox, packageInfo) &&
+    packageInfo.sourceType === 'remote';
+
+  if (buildCache != null && useBuildCache) {
+    if (await fetchFromBuildCache(buildCache, config, buildKey, installPath)) {
+      return finish('fetched');
+    }
+  }
+
+  await checkSandboxing();
+  onEvent({type: 'start', packageInfo, buildKey});
+
+  let logPath = getStorePath(config, sandbox, packageInfo, '_build', '_esy', 'build.log');
+  try {
+    await performBuild(sandbox, config, packageInfo);
+  } catch (err) {
+    await fs.unlink(installPath);
+    await fs.unlink(getStorePath(config, sandbox, packageInfo, '_insttmp'));
+    if (err instanceof BuildError) {
+      return finish('failed', err.logPath, err);
+    }
+    let error = new BuildError(
+      `${packageInfo.packageJson.name}: ${err.message}`,
+      packageInfo,
+      logPath
+    );
+    return finish('failed', logPath, error);
+  }
+  if (buildCache != null && useBuildCache) {
+    await storeInBuildCache(buildCache, sandbox, config, packageInfo, buildKey);
+  }
+  return finish('built', logPath);
+}
+
+/**
+ * Fetch build from the build cache and import it into the store.
+ *
+ * The build cache is an optimization so any failure (the cache being
+ * unavailable or an artifact which can't be imported) makes us build the
+ * package instead.
+ */
+async function fetchFromBuildCache(
+  buildCache: BuildCache,
+  config: BuildConfig,
+  buildKey: string,
+  installPath: string
+): Promise<boolean> {
+  let artifactPath = path.join(config.storePath, '_insttmp', `${buildKey}.tar.gz`);
+  try {
+    await fs.mkdirp(path.dirname(artifactPath));
+    if (!await buildCache.fetch(buildKey, artifactPath)) {
+      return false;
+    }
+    await importBuild(config, artifactPath, buildKey);
+    return await fs.exists(installPath);
+  } catch (_err) {
+    return false;
+  } finally {
+    await fs.unlink(artifactPath);
+  }
+}
+
+/**
+ * Upload a successful build to the build cache, failing to do so doesn't fail
+ * the build.
+ */
+async function storeInBuildCache(
+  buildCache: BuildCache,
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo,
+  buildKey: string
+): Promise<void> {
+  let artifactPath = path.join(config.storePath, '_insttmp', `${buildKey}.tar.gz`);
+  try {
+    await exportBuild(sandbox, config, packageInfo, artifactPath);
+    await buildCache.store(buildKey, artifactPath);
+  } catch (_err) {
+    // ignore, the next build will try to upload it again
+  } finally {
+    await fs.unlink(artifactPath);
+  }
+}
+
+async function performBuild(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo
+): Promise<void> {
+  let {name} = packageInfo.packageJson;
+  let installPath = getStorePath(config, sandbox, packageInfo, '_install');
+  let installTmpPath = getStorePath(config, sandbox, packageInfo, '_insttmp');
+  let logPath = getStorePath(config, sandbox, packageInfo, '_build', '_esy', 'build.log');
+
+  let {env, rootPath} = await prepareBuild(sandbox, config, packageInfo);
+
+  let command = renderBuildCommand(packageInfo);
+  if (command != null) {
+    let invocation = await getCommandInvocation(sandbox, config, packageInfo, command);
+    let exitCode = await runCommand(invocation, {cwd: rootPath, env, logPath});
+    if (exitCode !== 0) {
+      throw new BuildError(
+        `${name}: build failed with exit code ${exitCode}, see ${logPath} for details`,
+        packageInfo,
+        logPath
+      );
+    }
+  }
+
+  // $cur__install is baked into built artifacts so we need to rewrite it to
+  // point to the final install location. That's why _insttmp and _install
+  // trees have names of the same length: we can rewrite paths inplace even
+  // inside binaries.
+  await rewritePaths(installTmpPath, installTmpPath, installPath);
+  await fs.unlink(installPath);
+  await fs.mkdirp(path.dirname(installPath));
+  await fs.rename(installTmpPath, installPath);
+}
+
+/**
+ * Drop into an interactive shell within the build environment of a package,
+ * its dependencies should be built already.
+ *
+ * Resolves with the exit code of the shell.
+ */
+async function buildShell(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo
+): Promise<number> {
+  let {env, rootPath} = await prepareBuild(sandbox, config, packageInfo);
+  let rcPath = getStorePath(config, sandbox, packageInfo, '_build', '_esy', 'shell.rc');
+  await fs.writeFile(rcPath, outdent`
+    export PS1="[${packageInfo.packageJson.name} sandbox] $ "
+  `);
+  let [program, args] = await getCommandInvocation(
+    sandbox,
+    config,
+    packageInfo,
+    `exec /bin/bash --noprofile --rcfile '${rcPath.replace(/'/g, `'\\''`)}'`
+  );
+  return new Promise((resolve, reject) => {
+    let proc = childProcess.spawn(program, args, {
+      cwd: rootPath,
+      env,
+      stdio: 'inherit',
+    });
+    proc.on('error', reject);
+    proc.on('close', code => resolve(code));
+  });
+}
+
+/**
+ * Prepare build and install locations of a package.
+ *
+ * Resolves with the build environment and the directory the build command
+ * should be executed in.
+ */
+async function prepareBuild(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo
+): Promise<{env: {[name: string]: string}; rootPath: string}> {
+  let {esy} = packageInfo.packageJson;
+  let installTmpPath = getStorePath(config, sandbox, packageInfo, '_insttmp');
+  let buildPath = getStorePath(config, sandbox, packageInfo, '_build');
+  let rootPath = esy.buildsInSource ? buildPath : packageInfo.rootDirectory;
+
+  let env = getBuildEnvironment(sandbox, config, packageInfo, installTmpPath);
+
+  await fs.unlink(installTmpPath);
+
+  // for in-source builds copy sources over to build location
+  if (esy.buildsInSource) {
+    await fs.unlink(buildPath);
+    await copyTree(packageInfo.rootDirectory, buildPath, [buildPath]);
+  }
+
+  await fs.mkdirp(path.join(buildPath, '_esy'));
+  for (let dir of INSTALL_TREE_DIRS) {
+    await fs.mkdirp(path.join(installTmpPath, dir));
+  }
+
+  await fs.writeFile(
+    path.join(buildPath, '_esy', 'findlib.conf'),
+    renderFindlibConf(sandbox, config, packageInfo)
+  );
+
+  return {env, rootPath};
+}
+
+function getBuildEnvironment(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo,
+  installTmpPath: string
+): {[name: string]: string} {
+  let groups = PackageEnvironment.calculateEnvironment(
+    sandbox,
+    packageInfo,
+    {installDirectory: installTmpPath}
+  );
+  return PackageEnvironment.evalEnvironment(groups, getBuildEnvironmentScope(config));
+}
+
+/**
+ * Variables build environments are evaluated against, everything else from
+ * the environment of the host is scrubbed.
+ */
+function getBuildEnvironmentScope(config: BuildConfig): {[name: string]: string} {
+  let scope = {
+    ESY__SANDBOX: config.sandboxPath,
+    ESY__STORE: config.storePath,
+    ESY__LOCAL_STORE: config.localStorePath,
+  };
+  if (process.env.TMPDIR) {
+    scope.TMPDIR = process.env.TMPDIR;
+  }
+  if (process.env.CI) {
+    scope.CI = process.env.CI;
+  }
+  return scope;
+}
+
+function renderBuildCommand(packageInfo: PackageInfo): ?string {
+  let {build} = packageInfo.packageJson.esy;
+  if (build == null) {
+    return null;
+  } else if (Array.isArray(build)) {
+    return build.join(' && ');
+  } else {
+    return build;
+  }
+}
+
+function renderFindlibConf(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo
+): string {
+  let findLibDestination = getStorePath(config, sandbox, packageInfo, '_insttmp', 'lib');
+  // Note that some packages can query themselves via ocamlfind during its
+  // own build, this is why we include `findLibDestination` in the path too.
+  let findLibPath = collectTransitiveDependencies(sandbox.env, packageInfo)
+    .map(dep => getStorePath(config, sandbox, dep, '_install', 'lib'))
+    .concat(findLibDestination)
+    .join(path.delimiter);
+  return outdent`
+    path = "${findLibPath}"
+    destdir = "${findLibDestination}"
+    ldconf = "ignore"
+    ocamlc = "ocamlc.opt"
+    ocamldep = "ocamldep.opt"
+    ocamldoc = "ocamldoc.opt"
+    ocamllex = "ocamllex.opt"
+    ocamlopt = "ocamlopt.opt"
+  `;
+}
+
+/**
+ * Program and arguments to execute the build command with, see `BUILD_SHELL`.
+ *
+ * On macOS the command runs under `sandbox-exec` which disallows writing
+ * outside of the build, install and source locations of the package. On Linux
+ * the same is done with bubblewrap (`bwrap`) if it is installed and user
+ * namespaces are enabled, otherwise the command runs unrestricted.
+ */
+async function getCommandInvocation(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo,
+  command: string
+): Promise<[string, Array<string>]> {
+  if (process.platform === 'win32') {
+    return [process.env.ComSpec || 'cmd.exe', ['/d', '/s', '/c', command]];
+  }
+  if (process.platform === 'darwin') {
+    let sandboxConfigPath = getStorePath(config, sandbox, packageInfo, '_build', '_esy', 'sandbox.sb');
+    await fs.writeFile(
+      sandboxConfigPath,
+      await renderSandboxConfig(sandbox, config, packageInfo)
+    );
+    return ['sandbox-exec', ['-f', sandboxConfigPath, ...BUILD_SHELL, command]];
+  }
+  if (process.platform === 'linux' && await isBubblewrapAvailable()) {
+    let sandboxArgs = await renderBubblewrapArgs(sandbox, config, packageInfo);
+    return ['bwrap', [...sandboxArgs, ...BUILD_SHELL, command]];
+  }
+  let [shell, ...shellArgs] = BUILD_SHELL;
+  return [shell, [...shellArgs, command]];
+}
+
+const UNSANDBOXED_BUILD_WARNING =
+  'bubblewrap (bwrap) is not installed or cannot create user namespaces, ' +
+  'builds run without restrictions on where they can write';
+
+/**
+ * Check if build commands run sandboxed, see `getCommandInvocation`.
+ */
+function isSandboxingAvailable(): Promise<boolean> {
+  if (process.platform === 'linux') {
+    return isBubblewrapAvailable();
+  }
+  return Promise.resolve(true);
+}
+
+let bubblewrapAvailable: ?Promise<boolean> = null;
+
+/**
+ * Check if bubblewrap is installed and can actually create a sandbox, it can't
+ * if unprivileged user namespaces are disabled in kernel (and bwrap isn't
+ * setuid).
+ */
+function isBubblewrapAvailable(): Promise<boolean> {
+  if (bubblewrapAvailable == null) {
+    bubblewrapAvailable = new Promise(resolve => {
+      let proc = childProcess.spawn('bwrap', ['--ro-bind', '/', '/', '/bin/true'], {
+        stdio: 'ignore',
+      });
+      proc.on('error', () => resolve(false));
+      proc.on('close', code => resolve(code === 0));
+    });
+  }
+  return bubblewrapAvailable;
+}
+
+/**
+ * Arguments for bubblewrap which mirror the macOS sandbox profile: the whole
+ * filesystem is mounted read-only except for tmp directories and the source,
+ * build and install locations of the package. Mounts which go later take
+ * precedence so `node_modules` inside the source root stays read-only.
+ */
+async function renderBubblewrapArgs(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo
+): Promise<Array<string>> {
+  // Mount points are resolved as real paths so that symlinked (linked)
+  // packages get the right directories mounted.
+  let args = [
+    '--ro-bind', '/', '/',
+    '--dev-bind', '/dev', '/dev',
+  ];
+  async function bind(flag, p) {
+    if (await fs.exists(p)) {
+      let realPath = await fs.realpath(p);
+      args.push(flag, realPath, realPath);
+    }
+  }
+  await bind('--bind', '/tmp');
+  if (process.env.TMPDIR) {
+    await bind('--bind', process.env.TMPDIR);
+  }
+  // cur__root
+  // We don't really need to write into cur__root but some build systems
+  // can put .merlin files there so we allow that.
+  await bind('--bind', packageInfo.rootDirectory);
+  await bind('--ro-bind', path.join(packageInfo.rootDirectory, 'node_modules'));
+  // cur__target_dir
+  await bind('--bind', getStorePath(config, sandbox, packageInfo, '_build'));
+  // cur__install
+  await bind('--bind', getStorePath(config, sandbox, packageInfo, '_insttmp'));
+  return args;
+}
+
+async function renderSandboxConfig(
+  sandbox: Sandbox,
+  config: BuildConfig,
+  packageInfo: PackageInfo
+): Promise<string> {
+  let tmpDirGlobal = await fs.realpath('/tmp');
+  let tmpDir = process.env.TMPDIR && await fs.exists(process.env.TMPDIR)
+    ? await fs.realpath(process.env.TMPDIR)
+    : '/does/not/exist';
+  let sourcePath = packageInfo.rootDirectory;
+  return outdent`
+    (version 1.0)
+    (allow default)
+
+    (deny file-write*
+      (subpath "/"))
+
+    (allow file-write*
+      (literal "/dev/null")
+
+      (subpath "${tmpDirGlobal}")
+      (subpath "${tmpDir}")
+
+      ; cur__root
+      ; We don't really need to write into cur__root but some build systems
+      ; can put .merlin files there so we allow that.
+      (subpath "${sourcePath}")
+
+      ; cur__target_dir
+      (subpath "${getStorePath(config, sandbox, packageInfo, '_build')}")
+
+      ; cur__install
+      (subpath "${getStorePath(config, sandbox, packageInfo, '_insttmp')}")
+    )
+
+    (deny file-write*
+      (subpath "${path.join(sourcePath, 'node_modules')}")
+    )
+  `;
+}
+
+function runCommand(
+  [program, args]: [string, Array<string>],
+  options: {cwd: string; env: {[name: string]: string}; logPath: string}
+): Promise<number> {
+  return new Promise((resolve, reject) => {
+    let log = nodeFs.createWriteStream(options.logPath);
+    let proc = childProcess.spawn(program, args, {
+      cwd: options.cwd,
+      env: options.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    proc.stdout.pipe(log, {end: false});
+    proc.stderr.pipe(log, {end: false});
+    proc.on('error', err => {
+      log.end();
+      reject(err);
+    });
+    proc.on('close', code => {
+      log.end(() => resolve(code));
+    });
+  });
+}
+
+async function copyTree(
+  src: string,
+  dest: string,
+  exclude: Array<string> = []
+): Promise<void> {
+  let stat = await fs.lstat(src);
+  if (exclude.indexOf(src) > -1) {
+    return;
+  } else if (stat.isDirectory()) {
+    await fs.mkdirp(dest);
+    for (let name of await fs.readdir(src)) {
+      await copyTree(path.join(src, name), path.join(dest, name), exclude);
+    }
+  } else if (stat.isSymbolicLink()) {
+    await fs.symlink(await fs.readlink(src), dest);
+  } else {
+    await writeFileBuffer(dest, await fs.readFileBuffer(src));
+    await fs.chmod(dest, stat.mode);
+  }
+}
+
+module.exports = {
+  build,
+  buildShell,
+  getBuildEnvironmentScope,
+  renderBubblewrapArgs,
+  BuildError,
+};
@@ -0,0 +1,178 @@
+/**
+ * Environment commands are executed in by `esy shell`, `esy dump-env` and
+ * `esy <command>`.
+ *
+ * Computing it requires loading the whole sandbox so the result is cached
+ * inside the sandbox along with what it was computed from:
+ *
+ *    - mtimes of `package.json` files of all packages in the sandbox, of
+ *      `yarn.lock` and of `node_modules/.yarn-integrity` (changes on each
+ *      install)
+ *    - source fingerprints of linked packages as their build keys (and so
+ *      their install locations) depend on them
+ *    - options the sandbox was loaded with
+ *
+ * The cache is recomputed if any of those changes.
+ *
+ * @flow
+ */
+
+import type {Sandbox, SandboxOptions} from './Sandbox';
+import type {BuildConfig} from './BuildConfig';
+import type {Environment} from './PackageEnvironment';
+
+const path = require('path');
+const PackageEnvironment = require('./PackageEnvironment');
+const {traversePackageDependencyTree} = require('./Sandbox');
+const {getSourceFingerprintCachePath} = require('./BuildConfig');
+const {computeSourceFingerprint, getManifestPath} = require('./SourceFingerprint');
+import * as fs from '../util/fs';
+
+type CommandEnvironmentCache = {
+  options: SandboxOptions;
+  files: {[filename: string]: ?number};
+  linkedPackages: Array<{
+    rootDirectory: string;
+    normalizedName: string;
+    sourceFingerprint: ?string;
+  }>;
+  environment: Environment;
+};
+
+function getCachePath(config: BuildConfig): string {
+  return path.join(config.sandboxPath, 'node_modules', '.cache', '_esy', 'command-env.json');
+}
+
+/**
+ * Resolve with the command environment of the sandbox, loading the sandbox
+ * only if the cached one is stale.
+ */
+async function getCommandEnvironment(
+  config: BuildConfig,
+  options: SandboxOptions,
+  loadSandbox: () => Promise<Sandbox>
+): Promise<Environment> {
+  let cachePath = getCachePath(config);
+  let cache = await readCache(cachePath);
+  if (cache != null && !await isStale(config, options, cache)) {
+    return cache.environment;
+  }
+
+  let sandbox = await loadSandbox();
+  let environment = PackageEnvironment.calculateEnvironment(
+    sandbox,
+    sandbox.packageInfo,
+    {useLooseEnvironment: true}
+  );
+
+  let files = {};
+  let linkedPackages = [];
+  let addFile = async filename => {
+    files[filename] = await getMtime(filename);
+  };
+  await addFile(path.join(config.sandboxPath, 'package.json'));
+  await addFile(path.join(config.sandboxPath, 'yarn.lock'));
+  await addFile(path.join(config.sandboxPath, 'node_modules', '.yarn-integrity'));
+  let packageInfoList = [];
+  traversePackageDependencyTree(
+    sandbox.env,
+    sandbox.packageInfo,
+    packageInfo => packageInfoList.push(packageInfo)
+  );
+  for (let packageInfo of packageInfoList) {
+    await addFile(path.join(packageInfo.rootDirectory, 'package.json'));
+    // Root package is built inside the sandbox and so its location doesn't
+    // depend on its source fingerprint.
+    if (packageInfo.sourceType === 'local' && packageInfo !== sandbox.packageInfo) {
+      linkedPackages.push({
+        rootDirectory: packageInfo.rootDirectory,
+        normalizedName: packageInfo.normalizedName,
+        sourceFingerprint: packageInfo.sourceFingerprint,
+      });
+    }
+  }
+
+  await fs.mkdirp(path.dirname(cachePath));
+  await fs.writeFile(
+    cachePath,
+    JSON.stringify({options, files, linkedPackages, environment})
+  );
+  return environment;
+}
+
+/**
+ * Evaluate command environment into a set of environment variables to execute
+ * commands with, on top of the current process environment.
+ */
+function evalCommandEnvironment(
+  config: BuildConfig,
+  environment: Environment
+): {[name: string]: string} {
+  return PackageEnvironment.evalEnvironment(
+    environment,
+    getCommandEnvironmentScope(config)
+  );
+}
+
+function getCommandEnvironmentScope(config: BuildConfig): {[name: string]: string} {
+  return {
+    ...process.env,
+    ESY__SANDBOX: config.sandboxPath,
+    ESY__STORE: config.storePath,
+    ESY__LOCAL_STORE: config.localStorePath,
+  };
+}
+
+async function isStale(
+  config: BuildConfig,
+  options: SandboxOptions,
+  cache: CommandEnvironmentCache
+): Promise<boolean> {
+  if (JSON.stringify(options) !== JSON.stringify(cache.options)) {
+    return true;
+  }
+  for (let filename in cache.files) {
+    if (await getMtime(filename) !== cache.files[filename]) {
+      return true;
+    }
+  }
+  let sourceFingerprintCachePath = getSourceFingerprintCachePath(config);
+  for (let linkedPackage of cache.linkedPackages) {
+    let sourceFingerprint = await computeSourceFingerprint(
+      linkedPackage.rootDirectory,
+      getManifestPath(
+        sourceFingerprintCachePath,
+        linkedPackage.normalizedName,
+        linkedPackage.rootDirectory
+      )
+    );
+    if (sourceFingerprint !== linkedPackage.sourceFingerprint) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function readCache(cachePath: string): Promise<?CommandEnvironmentCache> {
+  if (!await fs.exists(cachePath)) {
+    return null;
+  }
+  try {
+    return await fs.readJson(cachePath);
+  } catch (_err) {
+    return null;
+  }
+}
+
+async function getMtime(filename: string): Promise<?number> {
+  if (!await fs.exists(filename)) {
+    return null;
+  }
+  return +(await fs.stat(filename)).mtime;
+}
+
+module.exports = {
+  getCommandEnvironment,
+  evalCommandEnvironment,
+  getCommandEnvironmentScope,
+};
@@ -0,0 +1,68 @@
+/**
+ * Helpers shared by esy commands.
+ *
+ * @flow
+ */
+
+import type JSONReporter from '../reporters/json-reporter';
+
+import chalk from 'chalk';
+const nodeFs = require('fs');
+const path = require('path');
+
+function formatError(message: string): string {
+  return `${chalk.red('ERROR')} ${message}`;
+}
+
+/**
+ * Report an error to stderr (or through `reporter` if a command produces JSON)
+ * and exit.
+ */
+function exitWithError(message: string, reporter: ?JSONReporter = null) {
+  if (reporter != null) {
+    reporter.error(message);
+  } else {
+    console.error(formatError(message));
+  }
+  process.exit(1);
+}
+
+/**
+ * Find the sandbox: the directory passed with `--sandbox` (only before the
+ * command name), `$ESY__SANDBOX` or the closest directory with package.json
+ * starting from `cwd`.
+ */
+function findSandboxPath(
+  args: Array<string>,
+  cwd: string = process.cwd()
+): {sandboxPath: ?string; restArgs: Array<string>} {
+  let [name, value] = args.length > 0 ? args[0].split('=', 2) : [];
+  if (name === '--sandbox') {
+    let restArgs = args.slice(1);
+    if (value == null) {
+      value = restArgs.shift();
+    }
+    if (value == null) {
+      exitWithError('--sandbox option requires a value');
+    }
+    return {sandboxPath: path.resolve(cwd, value), restArgs};
+  }
+  if (process.env.ESY__SANDBOX) {
+    return {sandboxPath: path.resolve(cwd, process.env.ESY__SANDBOX), restArgs: args};
+  }
+  let directory = cwd;
+  while (!nodeFs.existsSync(path.join(directory, 'package.json'))) {
+    let parent = path.dirname(directory);
+    if (parent === directory) {
+      return {sandboxPath: null, restArgs: args};
+    }
+    directory = parent;
+  }
+  return {sandboxPath: directory, restArgs: args};
+}
+
+module.exports = {
+  formatError,
+  exitWithError,
+  findSandboxPath,
+};
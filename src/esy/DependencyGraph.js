@@ -0,0 +1,147 @@
+/**
+ * Build graph of the sandbox as data, see `esy graph`.
+ *
+ * Nodes are package builds: the same package built both for the host and for
+ * the target is two nodes. Edges go from a package to its dependencies and
+ * are tagged by the kind of dependency.
+ *
+ * @flow
+ */
+
+import type {Sandbox, PackageInfo} from './Sandbox';
+import type {BuildConfig} from './BuildConfig';
+
+const {packageInfoKey} = require('./Sandbox');
+const {getStorePath} = require('./BuildConfig');
+import * as fs from '../util/fs';
+
+export type DependencyKind = 'dependency' | 'peerDependency' | 'buildTimeDependency';
+
+export type GraphNode = {
+  // Build key of the package, it identifies the node.
+  id: string;
+  name: string;
+  version: ?string;
+  root: boolean;
+  sourceType: 'remote' | 'local';
+  source: string;
+  buildPlatform: 'host' | 'target';
+  buildsInSource: boolean;
+  hasEsyConfig: boolean;
+  // Whether the build of the package is in the store.
+  status: 'built' | 'not-built';
+};
+
+export type GraphEdge = {
+  from: string;
+  to: string;
+  kind: DependencyKind;
+};
+
+export type DependencyGraph = {
+  nodes: Array<GraphNode>;
+  edges: Array<GraphEdge>;
+};
+
+async function collectDependencyGraph(
+  sandbox: Sandbox,
+  config: BuildConfig
+): Promise<DependencyGraph> {
+  let nodes = [];
+  let edges = [];
+  let seen = new Set();
+
+  async function visit(packageInfo: PackageInfo): Promise<string> {
+    let id = packageInfoKey(sandbox.env, packageInfo);
+    if (seen.has(id)) {
+      return id;
+    }
+    seen.add(id);
+    let {packageJson} = packageInfo;
+    let installPath = getStorePath(config, sandbox, packageInfo, '_install');
+    nodes.push({
+      id,
+      name: packageJson.name,
+      version: packageJson.version || null,
+      root: packageInfo === sandbox.packageInfo,
+      sourceType: packageInfo.sourceType,
+      source: packageInfo.source,
+      buildPlatform: packageInfo.buildPlatform,
+      buildsInSource: Boolean(packageJson.esy.buildsInSource),
+      hasEsyConfig: !packageJson.esy.__noEsyConfigPresent,
+      status: await fs.exists(installPath) ? 'built' : 'not-built',
+    });
+    let peerDependencies = packageJson.peerDependencies || {};
+    let dependencies = packageJson.dependencies || {};
+    for (let name of Object.keys(packageInfo.dependencyTree)) {
+      let kind = name in peerDependencies && !(name in dependencies)
+        ? 'peerDependency'
+        : 'dependency';
+      edges.push({from: id, to: await visit(packageInfo.dependencyTree[name]), kind});
+    }
+    for (let name of Object.keys(packageInfo.buildTimeDependencyTree)) {
+      let to = await visit(packageInfo.buildTimeDependencyTree[name]);
+      edges.push({from: id, to, kind: 'buildTimeDependency'});
+    }
+    return id;
+  }
+
+  await visit(sandbox.packageInfo);
+  return {nodes, edges};
+}
+
+const EDGE_STYLE: {[kind: DependencyKind]: string} = {
+  dependency: 'solid',
+  peerDependency: 'dotted',
+  buildTimeDependency: 'dashed',
+};
+
+/**
+ * Render graph in Graphviz dot format.
+ *
+ * Built packages are filled, packages without esy config have dashed borders
+ * and local packages are drawn with rounded corners.
+ */
+function renderGraphAsDot(graph: DependencyGraph): string {
+  let lines = ['digraph esy {', '  node [shape=box];'];
+  for (let node of graph.nodes) {
+    let label = [
+      `${node.name}${node.version != null ? '@' + node.version : ''}`,
+      `${node.sourceType}, ${node.buildPlatform}${node.buildsInSource ? ', builds in source' : ''}`,
+      node.id,
+    ];
+    let style = [];
+    if (node.sourceType === 'local') {
+      style.push('rounded');
+    }
+    if (!node.hasEsyConfig) {
+      style.push('dashed');
+    }
+    if (node.status === 'built') {
+      style.push('filled');
+    }
+    let attrs = [`label=${quote(label.join('\n'))}`];
+    if (style.length > 0) {
+      attrs.push(`style=${quote(style.join(','))}`);
+    }
+    if (node.root) {
+      attrs.push('penwidth=2');
+    }
+    lines.push(`  ${quote(node.id)} [${attrs.join(', ')}];`);
+  }
+  for (let edge of graph.edges) {
+    let attrs = [`label=${quote(edge.kind)}`, `style=${EDGE_STYLE[edge.kind]}`];
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [${attrs.join(', ')}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function quote(value: string): string {
+  return `"${value.replace(/["\\]/g, c => `\\${c}`).replace(/\n/g, '\\n')}"`;
+}
+
+module.exports = {
+  collectDependencyGraph,
+  renderGraphAsDot,
+};
@@ -0,0 +1,187 @@
+/**
+ * Rendering of environment groups (see `PackageEnvironment`) in different
+ * formats:
+ *
+ *    bash        — `export NAME="value"` lines, meant to be sourced
+ *    fish        — `set -gx NAME "value"` lines, meant to be sourced
+ *    powershell  — `$env:NAME = "value"` lines, meant to be dot-sourced
+ *    dotenv      — `NAME="value"` lines, references are kept as `${NAME}`
+ *    json        — groups as they are, for tools which don't speak shell
+ *
+ * Values are rendered unexpanded: references to other variables are
+ * translated into the syntax of the target format so that they are expanded
+ * when the output is sourced.
+ *
+ * @flow
+ */
+
+import type {Environment, EnvironmentGroup, EnvironmentVar} from './PackageEnvironment';
+
+const os = require('os');
+
+export type EnvironmentFormat = 'bash' | 'fish' | 'powershell' | 'dotenv' | 'json';
+
+export type RenderEnvironmentOptions = {
+  // Render comments with package names, errors and sections of built-in and
+  // custom variables.
+  comments?: boolean;
+};
+
+type ShellSyntax = {
+  comment: (line: string) => string;
+  assign: (name: string, value: string) => string;
+};
+
+const FORMATS: Array<EnvironmentFormat> = ['bash', 'fish', 'powershell', 'dotenv', 'json'];
+
+// X platform newline
+const EOL = os.EOL;
+
+const REFERENCE_RE = /\$(?:\{([a-zA-Z_][a-zA-Z0-9_]*)\}|([a-zA-Z_][a-zA-Z0-9_]*))/g;
+
+const hashComment = line => `# ${line}`;
+
+const SHELL_SYNTAX: {[format: EnvironmentFormat]: ShellSyntax} = {
+  bash: {
+    comment: hashComment,
+    assign: (name, value) => {
+      let rendered = renderValue(
+        value,
+        literal => literal.replace(/[\\"$`]/g, c => `\\${c}`),
+        name => `\${${name}}`
+      );
+      return `export ${name}="${rendered}"`;
+    },
+  },
+  fish: {
+    comment: hashComment,
+    assign: (name, value) => {
+      // Braces aren't expanded inside quotes, quotes are closed after a
+      // reference instead if it is followed by characters of a name.
+      let rendered = renderValue(
+        value,
+        literal => literal.replace(/[\\"$]/g, c => `\\${c}`),
+        (name, rest) => (/^[a-zA-Z0-9_]/.test(rest) ? `$${name}""` : `$${name}`)
+      );
+      return `set -gx ${name} "${rendered}"`;
+    },
+  },
+  powershell: {
+    comment: hashComment,
+    assign: (name, value) => {
+      let rendered = renderValue(
+        value,
+        literal => literal.replace(/[`"$]/g, c => `\`${c}`),
+        name => `\${env:${name}}`
+      );
+      return `$env:${name} = "${rendered}"`;
+    },
+  },
+  dotenv: {
+    comment: hashComment,
+    assign: (name, value) => {
+      let rendered = renderValue(
+        value,
+        literal => literal.replace(/[\\"$]/g, c => `\\${c}`),
+        name => `\${${name}}`
+      );
+      return `${name}="${rendered}"`;
+    },
+  },
+};
+
+function renderEnvironment(
+  groups: Environment,
+  format: EnvironmentFormat = 'bash',
+  options: RenderEnvironmentOptions = {}
+): string {
+  if (format === 'json') {
+    return JSON.stringify(groups.map(renderGroupAsJSON), null, 2);
+  }
+  let syntax = SHELL_SYNTAX[format];
+  let {comments = true} = options;
+  return groups
+    .map(group => renderGroup(group, syntax, comments))
+    .filter(rendered => rendered !== '')
+    .join(EOL);
+}
+
+function renderGroup(
+  group: EnvironmentGroup,
+  syntax: ShellSyntax,
+  comments: boolean
+): string {
+  let {name, version} = group.packageJson;
+  // Global scope is the default one, mention only those shadowing it.
+  let scope = group.scope != null && group.scope !== 'global' ? ` [${group.scope}]` : '';
+  let headerLines = comments
+    ? ['', syntax.comment(`${name}${version ? '@' + version : ''} ${group.packageJsonPath}${scope}`)]
+    : [];
+  let errorLines = comments
+    ? group.errors.map(err => syntax.comment(`[ERROR] ${err}`))
+    : [];
+  let renderingBuiltInsForGroup = false;
+  let envVarLines = [];
+  group.envVars.forEach(envVar => {
+    if (envVar.value == null) {
+      return;
+    }
+    if (comments && !renderingBuiltInsForGroup && envVar.automaticDefault) {
+      renderingBuiltInsForGroup = true;
+      envVarLines.push(syntax.comment('[BuiltIns]'));
+    } else if (comments && renderingBuiltInsForGroup && !envVar.automaticDefault) {
+      renderingBuiltInsForGroup = false;
+      envVarLines.push(syntax.comment('[Custom Variables]'));
+    }
+    envVarLines.push(syntax.assign(envVar.name, envVar.value));
+  });
+  return headerLines.concat(errorLines).concat(envVarLines).join(EOL);
+}
+
+function renderGroupAsJSON(group: EnvironmentGroup) {
+  return {
+    name: group.packageJson.name,
+    version: group.packageJson.version || null,
+    packageJsonPath: group.packageJsonPath,
+    scope: group.scope || null,
+    errors: group.errors,
+    envVars: group.envVars
+      .filter(envVar => envVar.value != null)
+      .map((envVar: EnvironmentVar) => ({
+        name: envVar.name,
+        value: envVar.value,
+        builtIn: Boolean(envVar.automaticDefault),
+      })),
+  };
+}
+
+/**
+ * Render a value with references to other variables translated with
+ * `renderReference` (which also gets the rest of the value following the
+ * reference) and everything else escaped with `renderLiteral`.
+ */
+function renderValue(
+  value: string,
+  renderLiteral: (literal: string) => string,
+  renderReference: (name: string, rest: string) => string
+): string {
+  let rendered = '';
+  let lastIndex = 0;
+  value.replace(REFERENCE_RE, (match, bracedName, name, offset) => {
+    rendered += renderLiteral(value.slice(lastIndex, offset));
+    lastIndex = offset + match.length;
+    rendered += renderReference(bracedName || name, value.slice(lastIndex));
+    return match;
+  });
+  return rendered + renderLiteral(value.slice(lastIndex));
+}
+
+function isEnvironmentFormat(format: string): boolean {
+  return FORMATS.indexOf(format) > -1;
+}
+
+module.exports = {
+  FORMATS,
+  renderEnvironment,
+  isEnvironmentFormat,
+};
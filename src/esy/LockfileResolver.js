@@ -0,0 +1,134 @@
+/**
+ * Resolution of dependencies with yarn.lock and the yarn cache, see
+ * `Sandbox.fromLockfile`.
+ *
+ * A dependency declared as `name@versionSpec` resolves to what yarn.lock has
+ * for that pattern and then to the directory yarn fetched it into. Those are
+ * named after the package the same way `Config.generateHardModulePath` does
+ * it, if that doesn't work out (for example for packages with a remote hash
+ * yarn.lock doesn't know about) the cache is searched for a package fetched
+ * from the same location.
+ *
+ * @flow
+ */
+
+import type {ResolvedDependency} from './Sandbox';
+
+import Lockfile from '../lockfile/wrapper';
+import * as constants from '../constants';
+import {explodeHashedUrl} from '../util/version';
+import * as fs from '../util/fs';
+
+const path = require('path');
+
+type LockManifest = {
+  name: string;
+  version: string;
+  uid: string;
+  resolved: ?string;
+  registry: string;
+};
+
+async function createLockfileResolver(
+  sandboxPath: string,
+  cacheFolder: ?string = null
+) {
+  const lockfile = await Lockfile.fromDirectory(sandboxPath);
+  const yarnCacheFolder = cacheFolder || constants.MODULE_CACHE_DIRECTORY;
+  let cacheIndex: ?Promise<Map<string, string>> = null;
+
+  async function findInCache(manifest: LockManifest): Promise<?string> {
+    let location = getCacheLocation(yarnCacheFolder, manifest);
+    if (await readResolved(location) === manifest.resolved) {
+      return location;
+    }
+    if (cacheIndex == null) {
+      cacheIndex = indexCache(yarnCacheFolder);
+    }
+    return (await cacheIndex).get(manifest.resolved || '');
+  }
+
+  return async function resolveWithLockfile(
+    name: string,
+    versionSpec: string,
+    baseDir: string
+  ): Promise<ResolvedDependency> {
+    // Yarn copies packages with file: specs into the cache, we want the
+    // originals to be able to rebuild them when they change.
+    if (versionSpec.startsWith('file:')) {
+      let packageDir = path.resolve(baseDir, versionSpec.slice('file:'.length));
+      return {packageJsonPath: path.join(packageDir, 'package.json'), resolved: null};
+    }
+    let pattern = `${name}@${versionSpec}`;
+    let manifest = lockfile.getLocked(pattern);
+    if (manifest == null) {
+      throw new Error(`${pattern} is not found in ${constants.LOCKFILE_FILENAME}`);
+    }
+    let location = await findInCache(manifest);
+    if (location == null) {
+      throw new Error(`${pattern} is not found in the yarn cache at ${yarnCacheFolder}`);
+    }
+    return {
+      packageJsonPath: path.join(location, 'package.json'),
+      resolved: manifest.resolved,
+    };
+  };
+}
+
+/**
+ * Location of the package in the yarn cache, mirrors
+ * `Config.generateHardModulePath`.
+ */
+function getCacheLocation(cacheFolder: string, manifest: LockManifest): string {
+  let name = `${manifest.registry}-${manifest.name}`;
+  let uid = manifest.uid;
+  let {hash} = explodeHashedUrl(manifest.resolved || '');
+  if (manifest.version && manifest.version !== manifest.uid) {
+    uid = `${manifest.version}-${uid}`;
+  } else if (hash) {
+    uid += `-${hash}`;
+  }
+  return path.join(cacheFolder, `${name}-${uid}`);
+}
+
+/**
+ * Map packages in the yarn cache by the location they were fetched from.
+ */
+async function indexCache(cacheFolder: string): Promise<Map<string, string>> {
+  let index = new Map();
+  async function indexDirectory(dir) {
+    if (!await fs.exists(dir)) {
+      return;
+    }
+    for (let name of await fs.readdir(dir)) {
+      if (name[0] === '.') {
+        continue;
+      }
+      let location = path.join(dir, name);
+      if (await fs.exists(path.join(location, constants.METADATA_FILENAME))) {
+        let resolved = await readResolved(location);
+        if (resolved != null) {
+          index.set(resolved, location);
+        }
+      } else if (name.indexOf('-@') > -1) {
+        // Scoped packages are stored in per scope directories.
+        await indexDirectory(location);
+      }
+    }
+  }
+  await indexDirectory(cacheFolder);
+  return index;
+}
+
+async function readResolved(location: string): Promise<?string> {
+  let metadataPath = path.join(location, constants.METADATA_FILENAME);
+  if (!await fs.exists(metadataPath)) {
+    return null;
+  }
+  let metadata = JSON.parse(await fs.readFile(metadataPath));
+  return metadata.remote != null ? metadata.remote.resolved : null;
+}
+
+module.exports = {
+  createLockfileResolver,
+};
@@ -12,18 +12,23 @@ import type {
 const path = require('path');
 const pathIsInside = require('path-is-inside');
 const fs = require('fs');
-const os = require('os');
 const {mapObject} = require('./Utility');
+const {renderEnvironment} = require('./EnvironmentFormat');
 const {
   traversePackageDependencyTree,
+  traverseVisibleDependencyTree,
   packageInfoKey,
-  collectTransitiveDependencies
+  collectTransitiveDependencies,
+  getPackageBuildEnvironment,
 } = require('./Sandbox');
 
 export type EnvironmentVar = {
   name: string;
   value: ?string;
   automaticDefault?: boolean;
+  // Scope the variable was exported with (as configured, e.g. "global" or
+  // "local|export").
+  scope?: ?string;
 };
 
 export type EnvironmentGroup = {
@@ -31,25 +36,59 @@ export type EnvironmentGroup = {
   packageJson: PackageJson;
   envVars: Array<EnvironmentVar>;
   errors: Array<string>;
+  // Scope of the variables in the group, the sandbox group has none.
+  scope?: EnvironmentScope;
 };
 
+/**
+ * Scopes are separate namespaces which shadow each other in the order:
+ * global, export, local.
+ */
+export type EnvironmentScope = 'global' | 'export' | 'local';
+
 export type Environment = Array<EnvironmentGroup>;
 
+/**
+ * A single contribution to the value of an environment variable, see
+ * `explainEnvironmentVar`.
+ */
+export type EnvironmentVarContribution = {
+  packageName: string;
+  packageJsonPath: string;
+  scope: ?string;
+  builtIn: boolean;
+  // Value as configured, with references to other variables.
+  value: string;
+  // Value at that point with all references expanded.
+  expandedValue: string;
+  // Value this contribution shadows, if any.
+  shadowedValue: ?string;
+};
+
 type EnvironmentConfigState = {
   seenVars: {
-    [name: string]: {
-      packageJsonPath: string;
-      config: EnvironmentVarExport;
+    [scope: EnvironmentScope]: {
+      [name: string]: {
+        packageJsonPath: string;
+        config: EnvironmentVarExport;
+      };
     };
   };
   errors: Array<string>;
   normalizedEnvVars: Array<EnvironmentVar>;
 };
 
-// X platform newline
-const EOL = os.EOL;
 const delim = path.delimiter;
 
+const REFERENCE_RE = /\$(?:\{([a-zA-Z_][a-zA-Z0-9_]*)\}|([a-zA-Z_][a-zA-Z0-9_]*))/g;
+
+/**
+ * Variables provided by esy itself when the environment is evaluated (see
+ * `Builder.getBuildEnvironmentScope`), those can be referenced without being
+ * defined by any package.
+ */
+const EXTERNAL_VARS = ['ESY__SANDBOX', 'ESY__STORE', 'ESY__LOCAL_STORE', 'TMPDIR', 'CI'];
+
 let globalGroups = [];
 let globalSeenVars = {};
 
@@ -105,6 +144,8 @@ function relativeToSandbox(realFromPath, toPath) {
   return (ret == '0') ? "$esy__sandbox" : `$esy__sandbox/${ret}`;
 }
 
+const SCOPES = ['global', 'export', 'local'];
+
 function getScopes(config) {
   if (!config.scope) {
     return {};
@@ -117,6 +158,27 @@ function getScopes(config) {
   return scopeObj;
 }
 
+/**
+ * Select variables exported into a scope, variables configured without a scope
+ * are global.
+ */
+function exportedEnvInScope(
+  exportedEnv: {[name: string]: EnvironmentVarExport},
+  scope: EnvironmentScope
+): {[name: string]: EnvironmentVarExport} {
+  let result = {};
+  for (let name in exportedEnv) {
+    let scopeObj = getScopes(exportedEnv[name]);
+    let inScope = scope === 'global'
+      ? scopeObj.global || !exportedEnv[name].scope
+      : scopeObj[scope];
+    if (inScope) {
+      result[name] = exportedEnv[name];
+    }
+  }
+  return result;
+}
+
 /**
  * Validates env vars that were configured in package.json as opposed to
  * automatically created.
@@ -131,7 +193,17 @@ var validatePackageJsonExportedEnvVar = (envVar, config, inPackageName, envVarCo
     );
   }
   let scopeObj = getScopes(config);
-  if (!scopeObj.global) {
+  let unknownScopes = Object.keys(scopeObj).filter(scope => SCOPES.indexOf(scope) === -1);
+  if (unknownScopes.length > 0) {
+    ret.push(
+      envVar + " has unknown scope " + unknownScopes.join('|') + ", expected " +
+        SCOPES.join(', ') + " or their combination. " +
+        "The owner of " + inPackageName + " likely made a mistake"
+    );
+  }
+  // Variables in local and export scopes are meant to shadow variables of
+  // dependencies and so don't need to be namespaced.
+  if (Object.keys(scopeObj).length === 0) {
     if (!beginsWithPackagePrefix) {
       if (envVar.toUpperCase().indexOf(envVarConfigPrefix) === 0) {
         ret.push(
@@ -149,7 +221,7 @@ var validatePackageJsonExportedEnvVar = (envVar, config, inPackageName, envVarCo
       }
     }
   } else {
-    // Else, it's global, but better not be trying to step on another package!
+    // Else, it's scoped, but better not be trying to step on another package!
     if (!beginsWithPackagePrefix && envVar.indexOf("__") !== -1) {
       ret.push(
         envVar +
@@ -235,13 +307,22 @@ function builtInsPerPackage(
   };
 }
 
+/**
+ * Add variables exported by a package into a scope.
+ *
+ * Exclusivity is checked within the scope only: a variable exported into the
+ * local scope doesn't conflict with the same variable exported into the global
+ * scope, it shadows it.
+ */
 function addEnvConfigForPackage(
   {seenVars, errors, normalizedEnvVars}: EnvironmentConfigState,
   realPathSandboxRootOnEjectingHost,
   packageName,
   packageJsonFilePath,
-  exportedEnv
+  exportedEnv,
+  scope: EnvironmentScope = 'global'
 ) {
+  var seenVarsInScope = seenVars[scope] || {};
   var nextSeenVars = {};
   var nextErrors = []
   var nextNormalizedEnvVars = [];
@@ -250,25 +331,29 @@ function addEnvConfigForPackage(
     nextNormalizedEnvVars.push({
       name: envVar,
       value: config.val,
-      automaticDefault: !!config.__BUILT_IN_DO_NOT_USE_OR_YOU_WILL_BE_PIPd
+      automaticDefault: !!config.__BUILT_IN_DO_NOT_USE_OR_YOU_WILL_BE_PIPd,
+      scope: config.scope || null,
     })
     // The seenVars will only cover the cases when another package declares the
     // variable, not when it's loaded from your bashrc etc.
-    if (seenVars[envVar] && seenVars[envVar].config.exclusive) {
+    let seenVar = seenVarsInScope[envVar];
+    if (seenVar && seenVar.config.exclusive) {
       nextErrors.push(
-        (seenVars[envVar].config.__BUILT_IN_DO_NOT_USE_OR_YOU_WILL_BE_PIPd ? 'Built-in variable ' : '') +
+        (seenVar.config.__BUILT_IN_DO_NOT_USE_OR_YOU_WILL_BE_PIPd ? 'Built-in variable ' : '') +
         envVar +
-          " has already been set by " + relativeToSandbox(realPathSandboxRootOnEjectingHost, seenVars[envVar].packageJsonPath) + " " +
-          "which configured it with exclusive:true. That means it wants to be the only one to set it. Yet " +
-          packageName + " is trying to override it."
+          " has already been set in " + scope + " scope by " +
+          relativeToSandbox(realPathSandboxRootOnEjectingHost, seenVar.packageJsonPath) + " " +
+          "which configured it with exclusive:true. That means it wants to be the only one to set it in " +
+          scope + " scope. Yet " + packageName + " is trying to override it in " + scope + " scope."
       );
     }
-    if (seenVars[envVar] && (config.exclusive)) {
+    if (seenVar && (config.exclusive)) {
       nextErrors.push(
         envVar +
-          " has already been set by " + relativeToSandbox(realPathSandboxRootOnEjectingHost, seenVars[envVar].packageJsonPath) + " " +
-          "and " + packageName + " has configured it with exclusive:true. " +
-          "Sometimes you can reduce the likehood of conflicts by marking some packages as buildTimeOnlyDependencies."
+          " has already been set in " + scope + " scope by " +
+          relativeToSandbox(realPathSandboxRootOnEjectingHost, seenVar.packageJsonPath) + " " +
+          "and " + packageName + " has configured it with exclusive:true in " + scope + " scope. " +
+          "Sometimes you can reduce the likehood of conflicts by moving some packages to buildTimeDependencies."
       );
     }
     nextSeenVars[envVar] = {
@@ -278,13 +363,18 @@ function addEnvConfigForPackage(
   }
   return {
     errors: errors.concat(nextErrors),
-    seenVars: extend(seenVars, nextSeenVars),
+    seenVars: extend(seenVars, {[scope]: extend(seenVarsInScope, nextSeenVars)}),
     normalizedEnvVars: normalizedEnvVars.concat(nextNormalizedEnvVars)
   };
 }
 
+/**
+ * Compute variables a package exports into a scope, built-in variables of the
+ * package are exported into the global scope.
+ */
 function computeEnvVarsForPackage(
   sandbox: Sandbox,
+  scope: EnvironmentScope,
   packageInfo: PackageInfo
 ) {
   let {rootDirectory, packageJson, normalizedName} = packageInfo;
@@ -293,49 +383,47 @@ function computeEnvVarsForPackage(
   if (packageJson.esy && packageJson.esy.__noEsyConfigPresent) {
     return;
   }
-  var packageJsonDir = path.dirname(rootDirectory);
   var packageName = packageJson.name;
   var envVarConfigPrefix = normalizedName;
-  let errors = [];
-  var autoExportedEnvVarsForPackage = builtInsPerPackage(
-    sandbox,
-    envVarConfigPrefix,
-    packageInfo
-  );
+  var exportedEnv = exportedEnvInScope(packageJson.esy.exportedEnv || {}, scope);
+  if (scope !== 'global' && Object.keys(exportedEnv).length === 0) {
+    return;
+  }
 
-  let {
-    seenVars,
-    errors: nextErrors,
-    normalizedEnvVars
-  } = addEnvConfigForPackage(
-    {seenVars: globalSeenVars, errors, normalizedEnvVars: []},
-    sandbox.packageInfo.rootDirectory,
-    packageName,
-    rootDirectory,
-    autoExportedEnvVarsForPackage
-  );
+  let envConfigState = {seenVars: globalSeenVars, errors: [], normalizedEnvVars: []};
 
-  for (var envVar in packageJson.esy.exportedEnv) {
-    nextErrors = nextErrors.concat(
-      validatePackageJsonExportedEnvVar(
-        envVar,
-        packageJson.esy.exportedEnv[envVar],
-        packageName,
-        envVarConfigPrefix
-      )
+  if (scope === 'global') {
+    envConfigState = addEnvConfigForPackage(
+      envConfigState,
+      sandbox.packageInfo.rootDirectory,
+      packageName,
+      rootDirectory,
+      builtInsPerPackage(sandbox, envVarConfigPrefix, packageInfo)
     );
+    // Validate all variables once, not per scope.
+    for (var envVar in packageJson.esy.exportedEnv) {
+      envConfigState.errors = envConfigState.errors.concat(
+        validatePackageJsonExportedEnvVar(
+          envVar,
+          packageJson.esy.exportedEnv[envVar],
+          packageName,
+          envVarConfigPrefix
+        )
+      );
+    }
   }
 
   let {
     seenVars: nextSeenVars,
-    errors: nextNextErrors,
+    errors: nextErrors,
     normalizedEnvVars: nextNormalizedEnvVars
   } = addEnvConfigForPackage(
-    {seenVars, errors: nextErrors, normalizedEnvVars},
+    envConfigState,
     sandbox.packageInfo.rootDirectory,
     packageName,
     path.join(rootDirectory, 'package.json'),
-    packageJson.esy.exportedEnv
+    exportedEnv,
+    scope
   );
 
   /**
@@ -354,10 +442,25 @@ function computeEnvVarsForPackage(
     ),
     packageJson: packageJson,
     envVars: nextNormalizedEnvVars,
-    errors: nextNextErrors
+    errors: nextErrors,
+    scope,
   })
 }
 
+/**
+ * Direct dependencies of a package, including its build time dependencies.
+ */
+function getDirectDependencies(packageInfo: PackageInfo): Array<PackageInfo> {
+  let {dependencyTree, buildTimeDependencyTree} = packageInfo;
+  return Object.keys(dependencyTree)
+    .map(name => dependencyTree[name])
+    .concat(
+      Object.keys(buildTimeDependencyTree)
+        .filter(name => dependencyTree[name] == null)
+        .map(name => buildTimeDependencyTree[name])
+    );
+}
+
 function targetPath(sandbox, packageInfo, tree: '_install' | '_build', ...pathTo) {
   let packageName = packageInfo.packageJson.name;
   let packageSourceType = packageInfo.sourceType;
@@ -428,8 +531,8 @@ function calculateEnvironment(
       },
     };
 
-    let dependencies = collectTransitiveDependencies(packageInfo)
-      .filter(({ esy }) => !esy.__noEsyConfigPresent);
+    let dependencies = collectTransitiveDependencies(sandbox.env, packageInfo)
+      .filter(dep => !dep.packageJson.esy.__noEsyConfigPresent);
     if (dependencies.length > 0) {
       let depPath = dependencies
         .map(dep => targetPath(sandbox, dep, '_install', 'bin'))
@@ -454,7 +557,10 @@ function calculateEnvironment(
       sandbox.packageInfo.rootDirectory,
       "EsySandBox",
       curRootPackageJsonOnEjectingHost,
-      mapObject(options.useLooseEnvironment ? sandbox.looseEnv : sandbox.env, env => ({
+      mapObject(getPackageBuildEnvironment(
+        options.useLooseEnvironment ? sandbox.looseEnv : sandbox.env,
+        packageInfo
+      ), env => ({
         val: env,
         exclusive: false,
         __BUILT_IN_DO_NOT_USE_OR_YOU_WILL_BE_PIPd: false
@@ -503,10 +609,18 @@ function calculateEnvironment(
       envVars: normalizedEnvVars,
       errors: errors
     }];
-    traversePackageDependencyTree(
+    // Scopes are added in the order of their priority so that variables in
+    // the local scope shadow those in the export scope which shadow those in
+    // the global scope.
+    traverseVisibleDependencyTree(
+      sandbox.env,
       packageInfo,
-      computeEnvVarsForPackage.bind(null, sandbox)
+      computeEnvVarsForPackage.bind(null, sandbox, 'global')
+    );
+    getDirectDependencies(packageInfo).forEach(
+      computeEnvVarsForPackage.bind(null, sandbox, 'export')
     );
+    computeEnvVarsForPackage(sandbox, 'local', packageInfo);
   } catch (err) {
     if (err.code === 'ENOENT') {
       console.error("Fail to find package.json!: " + err.message);
@@ -520,43 +634,208 @@ function calculateEnvironment(
   globalGroups = [];
   globalSeenVars = {};
 
+  // Loose environment is evaluated on top of the environment of the host.
+  let externalVars = options.useLooseEnvironment
+    ? EXTERNAL_VARS.concat(Object.keys(process.env))
+    : EXTERNAL_VARS;
+  checkReferences(sandbox, ret, new Set(externalVars));
+
   return ret;
 };
 
-function printEnvironment(groups: Environment) {
-  return groups.map(function(group) {
-    let headerLines = [
-      '',
-      '# ' + group.packageJson.name + (group.packageJson.version ? '@' + (group.packageJson.version) : '') + ' ' +  group.packageJsonPath ,
-    ];
-    let renderingBuiltInsForGroup = false;
-    let errorLines = group.errors.map(err => {
-      return '# [ERROR] ' + err
-    });
-    let envVarLines = group.envVars
-      .map(envVar => {
-        if (envVar.value == null) {
-          return null;
+/**
+ * Report references to variables which are not defined at the point they are
+ * referenced (and so would be expanded into empty strings) as errors of the
+ * groups they are found in.
+ *
+ * A variable can always reference itself: that's how values are appended to
+ * (possibly empty) values of the scopes being shadowed.
+ */
+function checkReferences(
+  sandbox: Sandbox,
+  groups: Environment,
+  externalVars: Set<string>
+) {
+  let defined = new Set(externalVars);
+  let exportedVars = null;
+  groups.forEach(group => {
+    group.envVars.forEach(envVar => {
+      if (envVar.value == null) {
+        return;
+      }
+      for (let name of getReferences(envVar.value)) {
+        if (name === envVar.name || defined.has(name)) {
+          continue;
+        }
+        if (exportedVars == null) {
+          exportedVars = collectExportedVars(sandbox);
         }
-        let exportLine = `export ${envVar.name}="${envVar.value}"`;
-        if (!renderingBuiltInsForGroup && envVar.automaticDefault) {
-          renderingBuiltInsForGroup = true;
-          return ['# [BuiltIns]', exportLine ].join(EOL);
-        } else if (renderingBuiltInsForGroup && !envVar.automaticDefault) {
-          renderingBuiltInsForGroup = false;
-          return ['# [Custom Variables]', exportLine ].join(EOL);
+        let exportedBy = exportedVars.get(name);
+        if (exportedBy != null) {
+          group.errors.push(
+            `${envVar.name} references $${name} which is not visible to ` +
+            `${group.packageJson.name}: it is exported by ${exportedBy.join(', ')}`
+          );
         } else {
-          return exportLine;
+          group.errors.push(
+            `${envVar.name} references $${name} which is not defined`
+          );
         }
-      })
-      .filter(envVar => envVar != null);
-    return headerLines.concat(errorLines).concat(envVarLines).join(EOL);
-  }).join(EOL);
-};
+      }
+      defined.add(envVar.name);
+    });
+  });
+}
+
+/**
+ * All variables exported by packages of the sandbox along with packages (and
+ * scopes) which export them.
+ */
+function collectExportedVars(sandbox: Sandbox): Map<string, Array<string>> {
+  let exportedVars = new Map();
+  let add = (name, exportedBy) => {
+    exportedVars.set(name, (exportedVars.get(name) || []).concat(exportedBy));
+  };
+  traversePackageDependencyTree(sandbox.env, sandbox.packageInfo, packageInfo => {
+    let {packageJson, normalizedName} = packageInfo;
+    if (packageJson.esy.__noEsyConfigPresent) {
+      return;
+    }
+    Object.keys(builtInsPerPackage(sandbox, normalizedName, packageInfo))
+      .forEach(name => add(name, `${packageJson.name} (built-in)`));
+    let exportedEnv = packageJson.esy.exportedEnv || {};
+    Object.keys(exportedEnv).forEach(name => {
+      let scope = exportedEnv[name].scope || 'global';
+      add(name, `${packageJson.name} (${scope} scope)`);
+    });
+  });
+  return exportedVars;
+}
+
+function getReferences(value: string): Set<string> {
+  let references = new Set();
+  value.replace(REFERENCE_RE, (match, bracedName, name) => {
+    references.add(bracedName || name);
+    return match;
+  });
+  return references;
+}
+
+function printEnvironment(groups: Environment) {
+  return renderEnvironment(groups, 'bash');
+}
+
+/**
+ * Evaluate environment groups into a set of k-v pairs with all variable
+ * references expanded.
+ *
+ * Variables are expanded in order so that each one can reference variables
+ * defined before it, this is the same semantics bash provides when it sources
+ * the output of `printEnvironment`. References to variables not defined yet
+ * are looked up in `scope` and expanded into empty strings if not found there.
+ */
+function evalEnvironment(
+  groups: Environment,
+  scope: {[name: string]: string} = {}
+): {[name: string]: string} {
+  return foldEnvironment(groups, scope, () => {});
+}
+
+/**
+ * Trace how the value of an environment variable is composed: evaluate groups
+ * the same way `evalEnvironment` does and record each package which sets the
+ * variable along with the value it sees at that point.
+ */
+function explainEnvironmentVar(
+  groups: Environment,
+  name: string,
+  scope: {[name: string]: string} = {}
+): {inheritedValue: ?string; contributions: Array<EnvironmentVarContribution>} {
+  let contributions = [];
+  foldEnvironment(groups, scope, (group, envVar, expandedValue, env) => {
+    if (envVar.name === name) {
+      contributions.push({
+        packageName: group.packageJson.name,
+        packageJsonPath: group.packageJsonPath,
+        scope: envVar.scope,
+        builtIn: !!envVar.automaticDefault,
+        value: envVar.value,
+        expandedValue,
+        shadowedValue: env[name],
+      });
+    }
+  });
+  return {inheritedValue: scope[name], contributions};
+}
+
+/**
+ * Replace values of variables with the values they are evaluated to, the same
+ * way `evalEnvironment` does, so that printed environment doesn't depend on
+ * the shell to expand references.
+ */
+function resolveEnvironment(
+  groups: Environment,
+  scope: {[name: string]: string} = {}
+): Environment {
+  let resolved: Map<EnvironmentVar, string> = new Map();
+  foldEnvironment(groups, scope, (_group, envVar, expandedValue) => {
+    resolved.set(envVar, expandedValue);
+  });
+  return groups.map(group => ({
+    ...group,
+    envVars: group.envVars.map(envVar => {
+      let value = resolved.get(envVar);
+      return value != null ? {...envVar, value} : envVar;
+    }),
+  }));
+}
+
+/**
+ * Expand variables of groups in order on top of `scope` calling `onEnvVar`
+ * with each expanded value and the environment as it was before the variable
+ * is set. Returns the resulting environment.
+ */
+function foldEnvironment(
+  groups: Environment,
+  scope: {[name: string]: string},
+  onEnvVar: (
+    group: EnvironmentGroup,
+    envVar: EnvironmentVar,
+    expandedValue: string,
+    env: {[name: string]: string}
+  ) => void
+): {[name: string]: string} {
+  let env = {...scope};
+  groups.forEach(group => {
+    group.envVars.forEach(envVar => {
+      if (envVar.value == null) {
+        return;
+      }
+      let expandedValue = expandEnvVarValue(envVar.value, env);
+      onEnvVar(group, envVar, expandedValue, env);
+      env[envVar.name] = expandedValue;
+    });
+  });
+  return env;
+}
+
+function expandEnvVarValue(value: string, env: {[name: string]: string}) {
+  return value.replace(
+    REFERENCE_RE,
+    (_match, bracedName, name) => {
+      let resolved = env[bracedName || name];
+      return resolved != null ? resolved : '';
+    }
+  );
+}
 
 module.exports = {
   calculateEnvironment,
   printEnvironment,
+  evalEnvironment,
+  resolveEnvironment,
+  explainEnvironmentVar,
+  SCOPES,
 };
 
 /**
@@ -0,0 +1,353 @@
+/**
+ * Validation of package.json fields esy understands: the `esy` config and
+ * `buildTimeDependencies`.
+ *
+ * The loader (see `Sandbox`) fills defaults and accepts anything else, this is
+ * a stricter check meant to run on packages before they are published (see
+ * `esy lint`): it reports unknown keys (with suggestions for misspelled ones)
+ * and values of wrong types along with their location in the file.
+ *
+ * @flow
+ */
+
+const leven = require('leven');
+const typos = require('./typos');
+const {SCOPES} = require('./PackageEnvironment');
+const {createVersionMatcher} = require('./Sandbox');
+
+export type ValidationError = {
+  path: Array<string>;
+  message: string;
+  // Location of the offending key in the source, if known.
+  line: ?number;
+  column: ?number;
+};
+
+type Location = {line: number; column: number};
+
+type Validator = (value: mixed, path: Array<string>, report: Report) => void;
+
+type Report = (path: Array<string>, message: string) => void;
+
+const ESY_CONFIG_KEYS = ['build', 'buildsInSource', 'buildTimeOnly', 'exportedEnv', 'overrides'];
+const OVERRIDE_KEYS = ['build', 'buildsInSource', 'exportedEnv', 'extend'];
+const OVERRIDE_EXTEND_KEYS = ['build', 'exportedEnv'];
+const EXPORTED_ENV_VAR_KEYS = ['val', 'scope', 'exclusive'];
+const TOP_LEVEL_KEYS = ['esy', 'buildTimeDependencies'];
+
+/**
+ * Validate package.json, `source` is its raw content used to locate errors.
+ */
+function validatePackageJson(
+  packageJson: Object,
+  source: ?string = null
+): Array<ValidationError> {
+  let errors = [];
+  let report = (path, message) => {
+    errors.push({path, message, line: null, column: null});
+  };
+
+  for (let key of Object.keys(packageJson)) {
+    let suggestion = typos[key];
+    if (suggestion != null && TOP_LEVEL_KEYS.indexOf(suggestion) > -1) {
+      report([key], `unknown key, did you mean "${suggestion}"?`);
+    }
+  }
+  if (packageJson.buildTimeDependencies != null) {
+    validateDependencies(packageJson.buildTimeDependencies, ['buildTimeDependencies'], report);
+  }
+  if (packageJson.esy != null) {
+    validateEsyConfig(packageJson.esy, ['esy'], report);
+  }
+
+  if (source != null) {
+    let locations = locateKeys(source);
+    errors.forEach(error => {
+      let location = findLocation(locations, error.path);
+      if (location != null) {
+        error.line = location.line;
+        error.column = location.column;
+      }
+    });
+  }
+  return errors;
+}
+
+function validateEsyConfig(esy, path, report) {
+  if (!isObject(esy)) {
+    report(path, `should be an object, got ${describe(esy)}`);
+    return;
+  }
+  validateKeys(esy, ESY_CONFIG_KEYS, path, report);
+  validateBuild(esy.build, path.concat('build'), report);
+  validateOptional(esy.buildsInSource, path.concat('buildsInSource'), report, validateBoolean);
+  validateOptional(esy.buildTimeOnly, path.concat('buildTimeOnly'), report, validateBoolean);
+  validateOptional(esy.exportedEnv, path.concat('exportedEnv'), report, validateExportedEnv);
+  validateOptional(esy.overrides, path.concat('overrides'), report, validateOverrides);
+}
+
+function validateOverrides(overrides, path, report) {
+  if (!isObject(overrides)) {
+    report(path, `should be an object, got ${describe(overrides)}`);
+    return;
+  }
+  for (let packageSpec of Object.keys(overrides)) {
+    let overridePath = path.concat(packageSpec);
+    let override = overrides[packageSpec];
+    // Name can be scoped, version range is what comes after the next @.
+    let idx = packageSpec.indexOf('@', packageSpec.startsWith('@') ? 1 : 0);
+    // Checked with the same matcher overrides are applied with.
+    if (idx > -1 && createVersionMatcher(packageSpec.slice(0, idx), packageSpec.slice(idx + 1)) == null) {
+      report(overridePath, `"${packageSpec.slice(idx + 1)}" is not a valid version range`);
+    }
+    if (!isObject(override)) {
+      report(overridePath, `should be an object, got ${describe(override)}`);
+      continue;
+    }
+    validateKeys(override, OVERRIDE_KEYS, overridePath, report);
+    validateBuild(override.build, overridePath.concat('build'), report);
+    validateOptional(override.buildsInSource, overridePath.concat('buildsInSource'), report, validateBoolean);
+    validateOptional(override.exportedEnv, overridePath.concat('exportedEnv'), report, validateExportedEnv);
+    let {extend} = override;
+    if (extend == null) {
+      continue;
+    }
+    let extendPath = overridePath.concat('extend');
+    if (!isObject(extend)) {
+      report(extendPath, `should be an object, got ${describe(extend)}`);
+      continue;
+    }
+    validateKeys(extend, OVERRIDE_EXTEND_KEYS, extendPath, report);
+    validateBuild(extend.build, extendPath.concat('build'), report);
+    validateOptional(extend.exportedEnv, extendPath.concat('exportedEnv'), report, validateExportedEnv);
+  }
+}
+
+function validateBuild(build, path, report) {
+  if (build == null || typeof build === 'string') {
+    return;
+  }
+  if (!Array.isArray(build)) {
+    report(path, `should be a string or an array of strings, got ${describe(build)}`);
+    return;
+  }
+  build.forEach((step, idx) => {
+    if (typeof step !== 'string') {
+      report(path.concat(String(idx)), `build step should be a string, got ${describe(step)}`);
+    }
+  });
+}
+
+function validateExportedEnv(exportedEnv, path, report) {
+  if (!isObject(exportedEnv)) {
+    report(path, `should be an object, got ${describe(exportedEnv)}`);
+    return;
+  }
+  for (let name of Object.keys(exportedEnv)) {
+    let envVarPath = path.concat(name);
+    let config = exportedEnv[name];
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+      report(envVarPath, `"${name}" is not a valid environment variable name`);
+    }
+    if (!isObject(config)) {
+      report(
+        envVarPath,
+        `should be an object with "val" and optional "scope" and "exclusive", got ${describe(config)}`
+      );
+      continue;
+    }
+    validateKeys(config, EXPORTED_ENV_VAR_KEYS, envVarPath, report);
+    if (config.val == null) {
+      report(envVarPath, 'missing required key "val"');
+    } else if (typeof config.val !== 'string') {
+      report(envVarPath.concat('val'), `should be a string, got ${describe(config.val)}`);
+    }
+    validateOptional(config.scope, envVarPath.concat('scope'), report, validateScope);
+    validateOptional(config.exclusive, envVarPath.concat('exclusive'), report, validateBoolean);
+  }
+}
+
+function validateScope(scope, path, report) {
+  if (typeof scope !== 'string') {
+    report(path, `should be a string, got ${describe(scope)}`);
+    return;
+  }
+  for (let item of scope.split('|')) {
+    if (SCOPES.indexOf(item) === -1) {
+      let suggestion = suggest(item, SCOPES);
+      report(
+        path,
+        `unknown scope "${item}", expected ${SCOPES.join(', ')} or their combination with "|"` +
+        (suggestion != null ? `, did you mean "${suggestion}"?` : '')
+      );
+    }
+  }
+}
+
+function validateDependencies(dependencies, path, report) {
+  if (!isObject(dependencies)) {
+    report(path, `should be an object, got ${describe(dependencies)}`);
+    return;
+  }
+  for (let name of Object.keys(dependencies)) {
+    if (typeof dependencies[name] !== 'string') {
+      report(path.concat(name), `version should be a string, got ${describe(dependencies[name])}`);
+    }
+  }
+}
+
+function validateBoolean(value, path, report) {
+  if (typeof value !== 'boolean') {
+    report(path, `should be true or false, got ${describe(value)}`);
+  }
+}
+
+function validateOptional(value: mixed, path: Array<string>, report: Report, validate: Validator) {
+  if (value != null) {
+    validate(value, path, report);
+  }
+}
+
+function validateKeys(obj: Object, knownKeys: Array<string>, path: Array<string>, report: Report) {
+  for (let key of Object.keys(obj)) {
+    if (knownKeys.indexOf(key) > -1) {
+      continue;
+    }
+    let suggestion = knownKeys.indexOf(typos[key]) > -1
+      ? typos[key]
+      : suggest(key, knownKeys);
+    report(
+      path.concat(key),
+      'unknown key' + (suggestion != null ? `, did you mean "${suggestion}"?` : '')
+    );
+  }
+}
+
+function suggest(value: string, candidates: Array<string>): ?string {
+  let suggestion = null;
+  let minSteps = Infinity;
+  for (let candidate of candidates) {
+    let steps = leven(value.toLowerCase(), candidate.toLowerCase());
+    if (steps < minSteps && steps <= Math.max(2, Math.floor(candidate.length / 4))) {
+      suggestion = candidate;
+      minSteps = steps;
+    }
+  }
+  return suggestion;
+}
+
+function isObject(value: mixed): boolean {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value: mixed): string {
+  if (value === null) {
+    return 'null';
+  } else if (Array.isArray(value)) {
+    return 'an array';
+  } else if (typeof value === 'object') {
+    return 'an object';
+  } else {
+    return JSON.stringify(value) || typeof value;
+  }
+}
+
+function findLocation(locations: Map<string, Location>, path: Array<string>): ?Location {
+  for (let length = path.length; length > 0; length--) {
+    let location = locations.get(path.slice(0, length).join('\0'));
+    if (location != null) {
+      return location;
+    }
+  }
+  return null;
+}
+
+/**
+ * Locations of all object keys (and array items) in a JSON document, keyed by
+ * their paths. The document is expected to be valid JSON.
+ */
+function locateKeys(source: string): Map<string, Location> {
+  let locations = new Map();
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+
+  function advance() {
+    if (source[pos] === '\n') {
+      line += 1;
+      column = 1;
+    } else {
+      column += 1;
+    }
+    pos += 1;
+  }
+
+  function skipWhitespace() {
+    while (pos < source.length && /\s/.test(source[pos])) {
+      advance();
+    }
+  }
+
+  function skipSeparator(separator) {
+    skipWhitespace();
+    if (source[pos] === separator) {
+      advance();
+    }
+    skipWhitespace();
+  }
+
+  function parseString(): string {
+    let start = pos;
+    advance();
+    while (pos < source.length && source[pos] !== '"') {
+      if (source[pos] === '\\') {
+        advance();
+      }
+      advance();
+    }
+    advance();
+    return JSON.parse(source.slice(start, pos));
+  }
+
+  function parseValue(path: Array<string>) {
+    skipWhitespace();
+    let c = source[pos];
+    if (c === '{') {
+      advance();
+      skipWhitespace();
+      while (pos < source.length && source[pos] !== '}') {
+        let location = {line, column};
+        let keyPath = path.concat(parseString());
+        locations.set(keyPath.join('\0'), location);
+        skipSeparator(':');
+        parseValue(keyPath);
+        skipSeparator(',');
+      }
+      advance();
+    } else if (c === '[') {
+      advance();
+      skipWhitespace();
+      let idx = 0;
+      while (pos < source.length && source[pos] !== ']') {
+        let itemPath = path.concat(String(idx++));
+        locations.set(itemPath.join('\0'), {line, column});
+        parseValue(itemPath);
+        skipSeparator(',');
+      }
+      advance();
+    } else if (c === '"') {
+      parseString();
+    } else {
+      while (pos < source.length && /[^\s,\]}]/.test(source[pos])) {
+        advance();
+      }
+    }
+  }
+
+  parseValue([]);
+  return locations;
+}
+
+module.exports = {
+  validatePackageJson,
+};
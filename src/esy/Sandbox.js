@@ -6,9 +6,16 @@ const crypto = require('crypto');
 const path = require('path');
 const outdent = require('outdent');
 const resolveBase = require('resolve');
+const semver = require('semver');
 const {mapObject} = require('./Utility');
+const {computeSourceFingerprint, getManifestPath} = require('./SourceFingerprint');
+const LockfileResolver = require('./LockfileResolver');
+const opamVersion = require('../opam/version');
 import * as fs from '../util/fs';
 
+// Scope opam packages are published under, see opam resolver.
+const OPAM_SCOPE = 'opam-alpha';
+
 function resolve(packageName, baseDirectory, topLevelDir): Promise<string> {
   return new Promise((resolve, reject) => {
     // If we don't pass paths:[..] which includes the topLevelDir,
@@ -57,16 +64,36 @@ export type Sandbox = {
  */
 export type Environment = {[name: string]: string};
 
+/**
+ * Packages are built either for the host (build time tools, like compilers
+ * and ppx rewriters, which are executed during the build) or for the target
+ * platform. Those are the same unless we cross compile.
+ */
+export type BuildPlatform = 'host' | 'target';
+
 export type PackageInfo = {
   source: string;
   sourceType: 'remote' | 'local',
+  buildPlatform: BuildPlatform;
   normalizedName: string;
   rootDirectory: string;
   packageJson: PackageJson;
   dependencyTree: DependencyTree;
+  // Dependencies needed only to build the package (build tools), they are
+  // always built for the host and are not visible to dependers of the package.
+  buildTimeDependencyTree: DependencyTree;
   errors: Array<{message: string}>;
 
+  // Hash of the package sources, computed only for local packages as remote
+  // packages are identified by their source already.
+  sourceFingerprint?: ?string;
+
+  // Overrides of the sandbox applied to the esy config of the package (see
+  // `EsyConfigOverride`), `packageJson.esy` has them applied already.
+  overrides?: Array<PackageOverride>;
+
   __cachedPackageHash?: string;
+  __cachedPackageLinkHash?: string;
 };
 
 export type PackageJsonVersionSpec = {
@@ -81,11 +108,50 @@ export type EnvironmentVarExport = {
 };
 
 export type EsyConfig = {
-  build: ?string;
+  build: ?(string | Array<string>);
   buildsInSource: boolean;
+  // Package is a tool which is executed during builds of its dependers (a
+  // compiler, a ppx rewriter, ...) and thus is always built for the host.
+  // Not defaulted so that build keys of packages which don't set it stay the
+  // same.
+  buildTimeOnly?: boolean;
   exportedEnv: {
     [name: string]: EnvironmentVarExport;
-  }
+  };
+  // Overrides of esy config of dependencies, keyed by package name optionally
+  // followed by a version range (`name@range`), see `EsyConfigOverride`.
+  // Only the ones of the sandbox package are applied.
+  overrides?: {
+    [packageSpec: string]: EsyConfigOverride;
+  };
+};
+
+/**
+ * Override of esy config of a dependency declared by the sandbox: `build`,
+ * `buildsInSource` and `exportedEnv` replace the ones of the package while
+ * `extend.build` commands are run after the ones of the package and
+ * `extend.exportedEnv` variables are added to (or replace same named) ones
+ * the package exports.
+ */
+export type EsyConfigOverride = {
+  build?: string | Array<string>;
+  buildsInSource?: boolean;
+  exportedEnv?: {
+    [name: string]: EnvironmentVarExport;
+  };
+  extend?: {
+    build?: string | Array<string>;
+    exportedEnv?: {
+      [name: string]: EnvironmentVarExport;
+    };
+  };
+};
+
+export type PackageOverride = {
+  packageSpec: string;
+  name: string;
+  versionSpec: string;
+  override: EsyConfigOverride;
 };
 
 export type PackageJson = {
@@ -95,6 +161,7 @@ export type PackageJson = {
   peerDependencies?: PackageJsonVersionSpec;
   devDependencies?: PackageJsonVersionSpec;
   optionalDependencies?: PackageJsonVersionSpec;
+  buildTimeDependencies?: PackageJsonVersionSpec;
 
   // This is specific to npm, make sure we get rid of that if we want to port to
   // other package installers.
@@ -111,57 +178,160 @@ export type DependencyTree = {
 };
 
 
+/**
+ * Where a dependency resolved to: location of its package.json and, for
+ * packages resolved from a registry or a remote source, what it was resolved
+ * to (see `PackageJson._resolved`).
+ */
+export type ResolvedDependency = {
+  packageJsonPath: string;
+  resolved: ?string;
+};
+
+/**
+ * Resolve dependency declared as `name@versionSpec` by a package located at
+ * `baseDir`.
+ */
+export type DependencyResolver = (
+  name: string,
+  versionSpec: string,
+  baseDir: string
+) => Promise<ResolvedDependency>;
+
 type SandboxBuildContext = {
   packageDependencyTrace: Array<string>;
-  buildPackageInfo: (string, SandboxBuildContext) => Promise<PackageInfo>;
-  resolve: (string, string) => Promise<string>;
+  buildPlatform: BuildPlatform;
+  buildPackageInfo: (ResolvedDependency, SandboxBuildContext) => Promise<PackageInfo>;
+  resolve: DependencyResolver;
+  // What dependers of the package resolved their dependencies to, peer
+  // dependencies of the package resolve to those.
+  peerResolutions: Map<string, ResolvedDependency>;
+  sourceFingerprintCachePath: ?string;
+  overrides: Array<PackageOverride>;
+};
+
+export type SandboxOptions = {
+  // Platform and architecture to build for, default to the ones of the host.
+  targetPlatform?: ?string;
+  targetArchitecture?: ?string;
+
+  // Directory to keep source fingerprint manifests of local packages in, so
+  // that only changed files are rehashed between invocations.
+  sourceFingerprintCachePath?: ?string;
+
+  // Load the sandbox from yarn.lock (see `fromLockfile`) instead of resolving
+  // packages in node_modules.
+  useLockfile?: boolean;
+
+  // Yarn cache to find packages locked in yarn.lock in, defaults to the yarn
+  // default one.
+  yarnCacheFolder?: ?string;
 };
 
-async function fromDirectory(directory: string): Promise<Sandbox> {
+/**
+ * Load sandbox by resolving dependencies the way node does, starting from
+ * node_modules of the package which depends on them. This reflects what is
+ * installed (and linked) right now.
+ *
+ * With `useLockfile` option the sandbox is loaded with `fromLockfile` instead.
+ */
+function fromDirectory(
+  directory: string,
+  options: SandboxOptions = {}
+): Promise<Sandbox> {
+  if (options.useLockfile) {
+    return fromLockfile(directory, options);
+  }
+  const source = path.resolve(directory);
+  const resolveCache: Map<string, Promise<ResolvedDependency>> = new Map();
+
+  function resolveWithCache(name, versionSpec, baseDir): Promise<ResolvedDependency> {
+    let key = `${baseDir}__${name}`;
+    let resolution = resolveCache.get(key);
+    if (resolution == null) {
+      resolution = resolve(
+        `${name}/package.json`,
+        baseDir,
+        path.join(source, 'node_modules')
+      ).then(packageJsonPath => ({packageJsonPath, resolved: null}));
+      resolveCache.set(key, resolution);
+    }
+    return resolution;
+  }
+
+  return loadSandbox(source, resolveWithCache, options);
+}
+
+/**
+ * Load sandbox from yarn.lock: each dependency is what is locked for it and
+ * is read from the yarn cache (dependencies with `file:` specs are read from
+ * where they point to).
+ *
+ * Unlike `fromDirectory` this doesn't depend on how node_modules is laid out
+ * (hoisting) or on it being linked at all, only on packages being fetched.
+ */
+async function fromLockfile(
+  directory: string,
+  options: SandboxOptions = {}
+): Promise<Sandbox> {
   const source = path.resolve(directory);
-  const env = getEnvironment();
+  const resolveWithLockfile = await LockfileResolver.createLockfileResolver(
+    source,
+    options.yarnCacheFolder
+  );
+  return loadSandbox(source, resolveWithLockfile, options);
+}
+
+async function loadSandbox(
+  source: string,
+  resolveDependency: DependencyResolver,
+  options: SandboxOptions
+): Promise<Sandbox> {
+  const env = getEnvironment(options.targetPlatform, options.targetArchitecture);
   const looseEnv = {...env};
   delete looseEnv.PATH;
   delete looseEnv.SHELL;
-  const packageJson = await readPackageJson(path.join(directory, 'package.json'));
-  const depSpecList = objectToDependencySpecList(
-    packageJson.dependencies,
-    packageJson.peerDependencies
+  const packageJson = await readPackageJson(path.join(source, 'package.json'));
+  const depSpecList = objectToDependencySpecList(packageJson.dependencies);
+  const peerDepSpecList = objectToDependencySpecList(packageJson.peerDependencies);
+  const buildTimeDepSpecList = objectToDependencySpecList(
+    packageJson.buildTimeDependencies
   );
 
-  if (depSpecList.length > 0) {
-
-    const resolveCache: Map<string, Promise<string>> = new Map();
-
-    async function resolveWithCache(packageName, baseDir): Promise<string> {
-      let key = `${baseDir}__${packageName}`;
-      let resolution = resolveCache.get(key);
-      if (resolution == null) {
-        resolution = await resolve(packageName, baseDir, path.join(directory, 'node_modules'));
-        resolveCache.set(key, resolution);
-      }
-      return resolution;
-    }
+  if (depSpecList.length > 0 || peerDepSpecList.length > 0 || buildTimeDepSpecList.length > 0) {
 
     const packageInfoCache: Map<string, Promise<PackageInfo>> = new Map();
 
-    async function buildPackageInfoWithCache(baseDirectory, context): Promise<PackageInfo> {
-      let packageInfo = packageInfoCache.get(baseDirectory);
+    async function buildPackageInfoWithCache(resolution, context): Promise<PackageInfo> {
+      // The same package can be built both for the host and for the target.
+      let key = `${context.buildPlatform}__${resolution.packageJsonPath}`;
+      let packageInfo = packageInfoCache.get(key);
       if (packageInfo == null) {
-        packageInfo = buildPackageInfo(baseDirectory, context);
-        packageInfoCache.set(baseDirectory, packageInfo);
+        packageInfo = buildPackageInfo(resolution, context);
+        packageInfoCache.set(key, packageInfo);
       }
       return packageInfo;
     }
 
+    const context = {
+      resolve: resolveDependency,
+      peerResolutions: new Map(),
+      buildPackageInfo: buildPackageInfoWithCache,
+      packageDependencyTrace: [packageJson.name],
+      buildPlatform: 'target',
+      sourceFingerprintCachePath: options.sourceFingerprintCachePath,
+      overrides: parseOverrides(packageJson.esy.overrides),
+    };
     const [dependencyTree, errors] = await buildDependencyTree(
       source,
       depSpecList,
-      {
-        resolve: resolveWithCache,
-        buildPackageInfo: buildPackageInfoWithCache,
-        packageDependencyTrace: [packageJson.name],
-      }
+      context,
+      peerDepSpecList
+    );
+    const [buildTimeDependencyTree, buildTimeErrors] = await buildDependencyTree(
+      source,
+      buildTimeDepSpecList,
+      {...context, buildPlatform: 'host'}
     );
 
     return {
@@ -170,11 +340,13 @@ async function fromDirectory(directory: string): Promise<Sandbox> {
       packageInfo: {
         source: `local:${await fs.realpath(source)}`,
         sourceType: 'local',
+        buildPlatform: 'target',
         normalizedName: normalizeName(packageJson.name),
         rootDirectory: source,
         packageJson,
         dependencyTree,
-        errors,
+        buildTimeDependencyTree,
+        errors: errors.concat(buildTimeErrors),
       }
     };
   } else {
@@ -184,10 +356,12 @@ async function fromDirectory(directory: string): Promise<Sandbox> {
       packageInfo: {
         source: `local:${await fs.realpath(source)}`,
         sourceType: 'local',
+        buildPlatform: 'target',
         normalizedName: normalizeName(packageJson.name),
         rootDirectory: source,
         packageJson,
         dependencyTree: {},
+        buildTimeDependencyTree: {},
         errors: [],
       }
     };
@@ -196,59 +370,190 @@ async function fromDirectory(directory: string): Promise<Sandbox> {
 
 /**
  * Traverse package dependency tree.
+ *
+ * This visits everything needed to build the package, including build time
+ * dependencies of all packages in the tree.
+ *
+ * Packages are visited once per build key (see `packageInfoKey`): the same
+ * package built both for the host and for the target (or installed with
+ * different versions) is visited once per build.
  */
 function traversePackageDependencyTree(
+  env: Environment,
+  packageInfo: PackageInfo,
+  handler: (packageInfo: PackageInfo) => *
+): void {
+  let seen = new Set();
+  traversePackageDependencyTreeImpl(
+    env,
+    packageInfo,
+    seen,
+    handler,
+    () => true
+  );
+}
+
+/**
+ * Traverse dependencies visible while the package is built.
+ *
+ * Those are its dependencies with their transitive dependencies and its own
+ * build time dependencies (with their transitive dependencies), build time
+ * dependencies of other packages in the tree are not visible.
+ */
+function traverseVisibleDependencyTree(
+  env: Environment,
   packageInfo: PackageInfo,
   handler: (packageInfo: PackageInfo) => *
 ): void {
   let seen = new Set();
   traversePackageDependencyTreeImpl(
+    env,
     packageInfo,
     seen,
-    handler
+    handler,
+    dep => dep === packageInfo
   );
 }
 
 function traversePackageDependencyTreeImpl(
+  env,
   packageInfo,
   seen,
-  handler
+  handler,
+  withBuildTimeDependencies
 ) {
-  let {dependencyTree} = packageInfo;
-  for (let dependencyName in dependencyTree) {
-    if (seen.has(dependencyName)) {
+  for (let dep of getDependencies(packageInfo, withBuildTimeDependencies(packageInfo))) {
+    let key = packageInfoKey(env, dep.packageInfo);
+    if (seen.has(key)) {
       continue;
     }
-    seen.add(dependencyName);
+    seen.add(key);
     traversePackageDependencyTreeImpl(
-      dependencyTree[dependencyName],
+      env,
+      dep.packageInfo,
       seen,
-      handler
+      handler,
+      withBuildTimeDependencies
     );
   }
   handler(packageInfo)
 }
 
+/**
+ * Dependencies of a package, build time dependencies (if requested) go after
+ * regular ones.
+ */
+function getDependencies(
+  packageInfo: PackageInfo,
+  withBuildTimeDependencies: boolean
+): Array<{name: string; packageInfo: PackageInfo}> {
+  let {dependencyTree, buildTimeDependencyTree} = packageInfo;
+  let dependencies = Object.keys(dependencyTree)
+    .map(name => ({name, packageInfo: dependencyTree[name]}));
+  if (withBuildTimeDependencies) {
+    dependencies = dependencies.concat(
+      Object.keys(buildTimeDependencyTree)
+        .map(name => ({name, packageInfo: buildTimeDependencyTree[name]}))
+    );
+  }
+  return dependencies;
+}
+
+export type PackageLookupResult =
+  | {type: 'found'; packageInfo: PackageInfo}
+  | {type: 'error'; message: string};
+
+/**
+ * Find a package in the dependency tree by its real or normalized name,
+ * optionally qualified with a version (`name@version`).
+ *
+ * Reports an error if no package matches or if several different packages
+ * match (they can be installed at different locations with different versions)
+ * along with the dependency paths which lead to them.
+ */
+function lookupPackage(
+  packageInfo: PackageInfo,
+  spec: string
+): PackageLookupResult {
+  let {name, versionSpec} = parseDependencySpec(spec);
+  let matches: Array<{packageInfo: PackageInfo; trace: Array<string>}> = [];
+  let seen = new Set();
+
+  function visit(packageInfo, trace) {
+    if (seen.has(packageInfo.rootDirectory)) {
+      return;
+    }
+    seen.add(packageInfo.rootDirectory);
+    let {packageJson, normalizedName} = packageInfo;
+    let nameMatches = packageJson.name === name || normalizedName === name;
+    let versionMatches = versionSpec == null || packageJson.version === versionSpec;
+    if (nameMatches && versionMatches) {
+      matches.push({packageInfo, trace});
+    }
+    for (let {packageInfo: dependency} of getDependencies(packageInfo, true)) {
+      visit(dependency, trace.concat(dependency.packageJson.name));
+    }
+  }
+
+  visit(packageInfo, [packageInfo.packageJson.name]);
+
+  if (matches.length === 0) {
+    return {
+      type: 'error',
+      message: `Package "${spec}" is not found among the sandbox packages`,
+    };
+  } else if (matches.length > 1) {
+    return {
+      type: 'error',
+      message: formatAmbiguousPackageError(spec, matches),
+    };
+  } else {
+    return {type: 'found', packageInfo: matches[0].packageInfo};
+  }
+}
+
+/**
+ * Collect dependencies visible while the package is built, see
+ * `traverseVisibleDependencyTree`.
+ *
+ * Dependencies built for the same platform as the package go first so that
+ * when cross compiling the target builds of packages shadow the host builds
+ * which come along with build tools.
+ */
 function collectTransitiveDependencies(
+  env: Environment,
+  packageInfo: PackageInfo
+): Array<PackageInfo> {
+  let seen = new Set();
+  let dependencies = collectTransitiveDependenciesImpl(env, packageInfo, seen, true);
+  return dependencies
+    .filter(dep => dep.buildPlatform === packageInfo.buildPlatform)
+    .concat(dependencies.filter(dep => dep.buildPlatform !== packageInfo.buildPlatform));
+}
+
+function collectTransitiveDependenciesImpl(
+  env: Environment,
   packageInfo: PackageInfo,
-  seen: Set<string> = new Set()
+  seen: Set<string>,
+  withBuildTimeDependencies: boolean
 ): Array<PackageInfo> {
-  let packageJson = packageInfo.packageJson;
-  let dependencies = Object.keys(packageInfo.dependencyTree);
   let result = [];
-  for (let depName of dependencies) {
-    let dep = packageInfo.dependencyTree[depName];
-    if (seen.has(depName)) {
+  for (let dep of getDependencies(packageInfo, withBuildTimeDependencies)) {
+    let key = packageInfoKey(env, dep.packageInfo);
+    if (seen.has(key)) {
       continue;
     }
-    seen.add(depName);
-    result.push(dep);
-    result = result.concat(collectTransitiveDependencies(dep, seen));
+    seen.add(key);
+    result.push(dep.packageInfo);
+    result = result.concat(collectTransitiveDependenciesImpl(env, dep.packageInfo, seen, false));
   }
   return result;
 }
 
-function getEnvironment() {
+function getEnvironment(
+  targetPlatform: ?string = null,
+  targetArchitecture: ?string = null
+) {
   let platform = process.env.ESY__TEST ? 'platform' : process.platform;
   let architecture = process.env.ESY__TEST ? 'architecture' : process.arch;
   return {
@@ -261,39 +566,104 @@ function getEnvironment() {
 
     // platform and architecture of the target machine, so that we can do cross
     // compilation
-    'esy__target_platform': platform,
-    'esy__target_architecture': architecture,
+    'esy__target_platform': targetPlatform || platform,
+    'esy__target_architecture': targetArchitecture || architecture,
   };
 }
 
+/**
+ * Environment a package is built within: packages built for the host see the
+ * host platform and architecture as their target.
+ */
+function getPackageBuildEnvironment(
+  env: Environment,
+  packageInfo: PackageInfo
+): Environment {
+  if (packageInfo.buildPlatform === 'host') {
+    return {
+      ...env,
+      'esy__target_platform': env.esy__platform,
+      'esy__target_architecture': env.esy__architecture,
+    };
+  } else {
+    return env;
+  }
+}
+
+/**
+ * Resolve dependencies and build package infos for them.
+ *
+ * Peer dependencies resolve to what the dependers of the package resolved
+ * packages with the same names to, like package managers install them. Only
+ * if none of them depends on the package it is resolved as a regular
+ * dependency (yarn never locks peer dependencies).
+ */
 async function buildDependencyTree(
   baseDir: string,
   dependencySpecList: Array<string>,
-  context: SandboxBuildContext
+  context: SandboxBuildContext,
+  peerDependencySpecList: Array<string> = []
 ): Promise<[DependencyTree, Array<{message: string}>]> {
   let dependencyTree: {[name: string]: PackageInfo} = {};
   let errors = [];
   let missingPackages = [];
+  let mismatchedPackages = [];
+  let resolutions: Map<string, ResolvedDependency> = new Map();
+  let versionSpecs: Map<string, string> = new Map();
 
-  for (let dependencySpec of dependencySpecList) {
-    const {name} = parseDependencySpec(dependencySpec);
+  async function resolveDependency(dependencySpec, isPeerDependency) {
+    const {name, versionSpec} = parseDependencySpec(dependencySpec);
+
+    // Regular dependency wins over a peer dependency with the same name.
+    if (isPeerDependency && resolutions.has(name)) {
+      return;
+    }
 
     if (context.packageDependencyTrace.indexOf(name) > -1) {
       errors.push({
         message: formatCircularDependenciesError(name, context)
       });
-      continue;
+      return;
     }
 
-    let dependencyPackageJsonPath = '/does/not/exists';
-    try {
-      dependencyPackageJsonPath = await context.resolve(`${name}/package.json`, baseDir);
-    } catch (_err) {
-      missingPackages.push(name);
-      continue;
+    let resolution = isPeerDependency ? context.peerResolutions.get(name) : null;
+    if (resolution == null) {
+      try {
+        resolution = await context.resolve(name, versionSpec, baseDir);
+      } catch (_err) {
+        missingPackages.push(name);
+        return;
+      }
     }
+    resolutions.set(name, resolution);
+    versionSpecs.set(name, versionSpec);
+  }
+
+  for (let dependencySpec of dependencySpecList) {
+    await resolveDependency(dependencySpec, false);
+  }
+  for (let dependencySpec of peerDependencySpecList) {
+    await resolveDependency(dependencySpec, true);
+  }
 
-    const packageInfo = await context.buildPackageInfo(dependencyPackageJsonPath, context);
+  // Dependencies are resolved before their package infos are built so that
+  // their peer dependencies can resolve to their siblings.
+  const dependencyContext = {
+    ...context,
+    peerResolutions: new Map([...context.peerResolutions, ...resolutions]),
+  };
+  for (let [name, resolution] of resolutions) {
+    const versionSpec = versionSpecs.get(name) || '*';
+    const packageInfo = await context.buildPackageInfo(resolution, dependencyContext);
+
+    if (!satisfiesVersionSpec(name, versionSpec, packageInfo.packageJson.version)) {
+      mismatchedPackages.push({
+        name,
+        versionSpec,
+        version: packageInfo.packageJson.version,
+        rootDirectory: packageInfo.rootDirectory,
+      });
+    }
 
     errors = errors.concat(packageInfo.errors);
     dependencyTree[name] = packageInfo;
@@ -305,44 +675,160 @@ async function buildDependencyTree(
     });
   }
 
+  if (mismatchedPackages.length > 0) {
+    errors.push({
+      message: formatMismatchedPackagesError(mismatchedPackages, context)
+    });
+  }
+
   return [dependencyTree, errors];
 }
 
-async function buildPackageInfo(baseDirectory, context) {
-  const dependencyBaseDir = path.dirname(baseDirectory);
-  const packageJson = await readPackageJson(baseDirectory);
+async function buildPackageInfo(resolution: ResolvedDependency, context) {
+  const dependencyBaseDir = path.dirname(resolution.packageJsonPath);
+  const packageJson = await readPackageJson(resolution.packageJsonPath);
+  if (resolution.resolved != null) {
+    packageJson._resolved = resolution.resolved;
+  }
+  const overrides = applyOverrides(packageJson, context.overrides);
+  // Build time tools and everything they depend on are built for the host.
+  const buildPlatform = packageJson.esy.buildTimeOnly
+    ? 'host'
+    : context.buildPlatform;
+  const packageDependencyTrace = context.packageDependencyTrace.concat(packageJson.name);
   const [packageDependencyTree, packageErrors] = await buildDependencyTree(
     dependencyBaseDir,
-    objectToDependencySpecList(
-      packageJson.dependencies,
-      packageJson.peerDependencies
-    ),
-    {
-      ...context,
-      packageDependencyTrace: context.packageDependencyTrace.concat(packageJson.name),
-    }
+    objectToDependencySpecList(packageJson.dependencies),
+    {...context, packageDependencyTrace, buildPlatform},
+    objectToDependencySpecList(packageJson.peerDependencies)
+  );
+  // Build time dependencies are executed during the build and thus are built
+  // for the host.
+  const [packageBuildTimeDependencyTree, packageBuildTimeErrors] = await buildDependencyTree(
+    dependencyBaseDir,
+    objectToDependencySpecList(packageJson.buildTimeDependencies),
+    {...context, packageDependencyTrace, buildPlatform: 'host'}
   );
   const isLocalModule =
     !packageJson._resolved ||
     (packageJson._resolved.indexOf &&
     packageJson._resolved.indexOf('file:') === 0);
+  /**
+   * Local packages could have been edited since last time installed, or
+   * reinstalled. So we fingerprint their sources so that the build key changes
+   * along with them.
+   */
+  const sourceFingerprint = isLocalModule
+    ? await computeSourceFingerprint(
+        dependencyBaseDir,
+        context.sourceFingerprintCachePath != null
+          ? getManifestPath(
+              context.sourceFingerprintCachePath,
+              normalizeName(packageJson.name),
+              dependencyBaseDir
+            )
+          : null
+      )
+    : null;
   return {
-    errors: packageErrors,
+    errors: packageErrors.concat(packageBuildTimeErrors),
     version: packageJson.version,
-    /**
-     * TODO: Need to consider _resolved file: as also being local. They could
-     * have also been edited since last time installed, or reinstalled.
-     * Perhaps just checksumming the files is sufficient?
-     */
     source: !isLocalModule ? packageJson._resolved : `local:${await fs.realpath(dependencyBaseDir)}`,
     sourceType: !isLocalModule ? 'remote' : 'local',
+    buildPlatform,
+    sourceFingerprint,
+    overrides,
     rootDirectory: dependencyBaseDir,
     packageJson,
     normalizedName: normalizeName(packageJson.name),
     dependencyTree: packageDependencyTree,
+    buildTimeDependencyTree: packageBuildTimeDependencyTree,
   };
 }
 
+function parseOverrides(
+  overrides: ?{[packageSpec: string]: EsyConfigOverride}
+): Array<PackageOverride> {
+  if (overrides == null) {
+    return [];
+  }
+  return Object.keys(overrides).map(packageSpec => {
+    let {name, versionSpec} = parseDependencySpec(packageSpec);
+    return {packageSpec, name, versionSpec, override: overrides[packageSpec]};
+  });
+}
+
+/**
+ * Apply overrides which match the package to its esy config, in the order
+ * they are declared. Returns the applied ones.
+ */
+function applyOverrides(
+  packageJson: PackageJson,
+  overrides: Array<PackageOverride>
+): Array<PackageOverride> {
+  let applied = overrides.filter(({name, versionSpec}) => {
+    if (name !== packageJson.name) {
+      return false;
+    }
+    let matchesVersion = createVersionMatcher(name, versionSpec);
+    return matchesVersion != null && matchesVersion(packageJson.version);
+  });
+  for (let {override} of applied) {
+    let esy = packageJson.esy;
+    // Overridden packages are esy packages, even if they weren't before.
+    delete esy.__noEsyConfigPresent;
+    if (override.build !== undefined) {
+      esy.build = override.build;
+    }
+    if (override.buildsInSource !== undefined) {
+      esy.buildsInSource = override.buildsInSource;
+    }
+    if (override.exportedEnv !== undefined) {
+      esy.exportedEnv = override.exportedEnv;
+    }
+    let {extend} = override;
+    if (extend != null && extend.build != null) {
+      esy.build = [].concat(esy.build != null ? esy.build : [], extend.build);
+    }
+    if (extend != null && extend.exportedEnv != null) {
+      esy.exportedEnv = {...esy.exportedEnv, ...extend.exportedEnv};
+    }
+  }
+  return applied;
+}
+
+/**
+ * Matcher of package versions for a version spec of an override, null if the
+ * spec isn't valid (`esy lint` reports those). Versions which aren't valid
+ * semver don't match any range but `*`.
+ *
+ * opam packages keep their opam versions so they are matched with opam
+ * constraints instead.
+ */
+function createVersionMatcher(
+  name: string,
+  versionSpec: string
+): ?(version: ?string) => boolean {
+  if (versionSpec === '*') {
+    return () => true;
+  }
+  if (name.startsWith(`@${OPAM_SCOPE}/`)) {
+    try {
+      opamVersion.parseConstraint(versionSpec);
+    } catch (_err) {
+      return null;
+    }
+    return version => version != null && opamVersion.satisfies(version, versionSpec);
+  }
+  if (semver.validRange(versionSpec, true) == null) {
+    return null;
+  }
+  return version =>
+    version != null &&
+    semver.valid(version, true) != null &&
+    semver.satisfies(version, versionSpec, true);
+}
+
 function formatMissingPackagesError(missingPackages, context) {
   let packagesToReport = missingPackages.slice(0, 3);
   let packagesMessage = packagesToReport.map(p => `"${p}"`).join(', ');
@@ -362,6 +848,40 @@ function formatMissingPackagesError(missingPackages, context) {
   `;
 }
 
+function formatMismatchedPackagesError(mismatchedPackages, context) {
+  let packagesMessage = mismatchedPackages.map(p =>
+    `"${p.name}@${p.versionSpec}" resolved to ${p.version || 'a package without version'} at ${p.rootDirectory}`
+  ).join('\n  ');
+  let problemPackage = context.packageDependencyTrace[context.packageDependencyTrace.length - 1] || 'NotFound';
+  let traceMsg =
+    context.packageDependencyTrace.length > 1 ?
+    `Package ${problemPackage} is depended on by "${context.packageDependencyTrace.join('" -> "')}"` :
+    '';
+  return outdent`
+    The following dependencies of package "${problemPackage}" are installed with versions
+    which don't satisfy the declared ones:
+
+      ${packagesMessage}
+
+    ${traceMsg}
+    Did you forget to run "esy install" command after changing dependencies?
+  `;
+}
+
+function formatAmbiguousPackageError(spec, matches) {
+  let matchesMessage = matches.map(({packageInfo, trace}) => {
+    let {name, version} = packageInfo.packageJson;
+    return `"${name}@${version || '0.0.0'}" depended on by "${trace.join('" -> "')}"`;
+  }).join('\n  ');
+  return outdent`
+    Package "${spec}" is ambiguous, it matches the following packages:
+
+      ${matchesMessage}
+
+    Use "name@version" to pick one of them.
+  `;
+}
+
 function formatCircularDependenciesError(dependency, context) {
   return outdent`
     Circular dependency "${dependency} detected
@@ -398,13 +918,35 @@ async function readPackageJson(filename): Promise<PackageJson> {
 }
 
 function parseDependencySpec(spec: string): {name: string; versionSpec: string} {
-  if (spec.startsWith('@')) {
-    let [_, name, versionSpec] = spec.split('@', 3);
-    return {name: '@' + name, versionSpec};
-  } else {
-    let [name, versionSpec] = spec.split('@');
-    return {name, versionSpec};
+  // Version spec itself can contain @ (git+ssh://git@github.com/...) so split
+  // only on the first one after the (possibly scoped) name.
+  let idx = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+  if (idx === -1) {
+    return {name: spec, versionSpec: '*'};
   }
+  return {name: spec.slice(0, idx), versionSpec: spec.slice(idx + 1)};
+}
+
+/**
+ * Check if the installed version of a package satisfies the version spec it is
+ * declared with.
+ *
+ * Only semver ranges are checked: git, github, tarball and file specs as well
+ * as dist-tags like `latest` say nothing about the version the package ends up
+ * with (and none of them is a valid range). Versions of opam packages follow
+ * opam's versioning scheme which isn't semver so those are skipped too.
+ *
+ * Installed versions which aren't valid semver (`1.0`) can't satisfy a range
+ * other than `*`.
+ */
+function satisfiesVersionSpec(name: string, versionSpec: string, version: ?string): boolean {
+  let range = semver.validRange(versionSpec, true);
+  if (name.startsWith(`@${OPAM_SCOPE}/`) || range == null || range === '*') {
+    return true;
+  }
+  return version != null &&
+    semver.valid(version, true) != null &&
+    semver.satisfies(version, versionSpec, true);
 }
 
 function objectToDependencySpecList(...objs) {
@@ -454,29 +996,84 @@ function normalizeName(name) {
     .replace(/\-/g, '_');
 }
 
+/**
+ * Build key of a package, it identifies the package build in the store.
+ *
+ * Build time dependencies are mixed only into the keys of their direct
+ * dependers. Packages further up the tree refer to dependencies by their link
+ * key (see `packageLinkKey`) so that updating a build tool rebuilds only the
+ * packages which use it and not the whole tree.
+ */
 function packageInfoKey(env: Environment, packageInfo: PackageInfo) {
-  let {packageJson: {name, version, esy}, normalizedName, source} = packageInfo;
   if (packageInfo.__cachedPackageHash == null) {
-    let h = hash({
-      env,
-      source,
-      packageInfo: {
-        packageJson: {
-          name, version, esy
-        },
-        dependencyTree: mapObject(packageInfo.dependencyTree, (dep: PackageInfo) =>
+    let key = packageKeySpec(env, packageInfo);
+    let {buildTimeDependencyTree} = packageInfo;
+    // Only mix build time dependencies in when present so that packages
+    // without them have their build key equal to their link key.
+    if (Object.keys(buildTimeDependencyTree).length > 0) {
+      key = {
+        ...key,
+        buildTimeDependencyTree: mapObject(buildTimeDependencyTree, (dep: PackageInfo) =>
           packageInfoKey(env, dep)),
-      },
-    });
-    if (process.env.ESY__TEST) {
-      packageInfo.__cachedPackageHash = `${normalizedName}-${version || '0.0.0'}`;
-    } else {
-      packageInfo.__cachedPackageHash = `${normalizedName}-${version || '0.0.0'}-${h}`;
+      };
     }
+    packageInfo.__cachedPackageHash = formatPackageKey(packageInfo, hash(key));
   }
   return packageInfo.__cachedPackageHash;
 }
 
+/**
+ * Key of a package as seen by its dependers, it doesn't include build time
+ * dependencies of the package.
+ */
+function packageLinkKey(env: Environment, packageInfo: PackageInfo) {
+  if (packageInfo.__cachedPackageLinkHash == null) {
+    packageInfo.__cachedPackageLinkHash =
+      formatPackageKey(packageInfo, hash(packageKeySpec(env, packageInfo)));
+  }
+  return packageInfo.__cachedPackageLinkHash;
+}
+
+function packageKeySpec(env: Environment, packageInfo: PackageInfo) {
+  let {packageJson: {name, version, esy}, source, sourceFingerprint} = packageInfo;
+  let key = {
+    env: getPackageBuildEnvironment(env, packageInfo),
+    source,
+    packageInfo: {
+      packageJson: {
+        name, version, esy
+      },
+      dependencyTree: mapObject(packageInfo.dependencyTree, (dep: PackageInfo) =>
+        packageLinkKey(env, dep)),
+    },
+  };
+  // Only mix the fingerprint in when present so keys of remote packages stay
+  // the same.
+  if (sourceFingerprint != null) {
+    key = {...key, sourceFingerprint};
+  }
+  // The same goes for overrides. The config they produce is in the key already
+  // but builds made with and without overrides should never be mixed up, even
+  // if an override happens to change nothing.
+  let {overrides} = packageInfo;
+  if (overrides != null && overrides.length > 0) {
+    key = {
+      ...key,
+      overrides: overrides.map(({packageSpec, override}) => ({packageSpec, override})),
+    };
+  }
+  return key;
+}
+
+function formatPackageKey(packageInfo: PackageInfo, h: string) {
+  let {packageJson: {version}, normalizedName} = packageInfo;
+  if (process.env.ESY__TEST) {
+    return `${normalizedName}-${version || '0.0.0'}`;
+  } else {
+    return `${normalizedName}-${version || '0.0.0'}-${h}`;
+  }
+}
+
 function hash(value: mixed) {
   if (typeof value === 'object') {
     if (value === null) {
@@ -500,7 +1097,12 @@ function hash(value: mixed) {
 
 module.exports = {
   fromDirectory,
+  fromLockfile,
+  lookupPackage,
+  getPackageBuildEnvironment,
   traversePackageDependencyTree,
+  traverseVisibleDependencyTree,
   collectTransitiveDependencies,
   packageInfoKey,
+  createVersionMatcher,
 };
@@ -0,0 +1,152 @@
+/**
+ * Source fingerprints for local (linked or `file:`) packages.
+ *
+ * A fingerprint is a hash over the paths and contents of all source files of a
+ * package, files matched by ignore rules (`.gitignore`, `.esyignore`) and
+ * build/VCS directories are not considered.
+ *
+ * To avoid rehashing unchanged files on each invocation we keep a manifest of
+ * file mtimes, sizes and content hashes computed last time, file contents are
+ * rehashed only if their mtime or size changed.
+ *
+ * @flow
+ */
+
+import type {IgnoreFilter} from '../util/filter';
+
+const crypto = require('crypto');
+const path = require('path');
+import * as fs from '../util/fs';
+import {sortFilter, ignoreLinesToRegex} from '../util/filter';
+
+export type SourceFingerprintManifest = {
+  fingerprint: string;
+  files: {
+    [relative: string]: {
+      mtime: number;
+      size: number;
+      hash: string;
+    };
+  };
+};
+
+const IGNORE_FILENAMES = [
+  '.esyignore',
+  '.gitignore',
+];
+
+const FOLDERS_IGNORE = [
+  // version control
+  '.git',
+  'CVS',
+  '.svn',
+  '.hg',
+
+  'node_modules',
+
+  // build artifacts
+  '_build',
+  '_install',
+  '_insttmp',
+  '_esy',
+];
+
+const NEVER_IGNORE = ignoreLinesToRegex([
+  '!/package.json',
+]);
+
+/**
+ * Compute source fingerprint of a package located at `rootDirectory`.
+ *
+ * If `manifestPath` is provided then the manifest of the previous computation
+ * is read from there and the new manifest is written back.
+ */
+async function computeSourceFingerprint(
+  rootDirectory: string,
+  manifestPath: ?string = null
+): Promise<string> {
+  let prevManifest = manifestPath != null
+    ? await readManifest(manifestPath)
+    : null;
+
+  let files = await fs.walk(rootDirectory, null, new Set(FOLDERS_IGNORE));
+
+  let filters: Array<IgnoreFilter> = NEVER_IGNORE.slice();
+  for (let file of files) {
+    if (IGNORE_FILENAMES.indexOf(file.basename) > -1) {
+      let lines = (await fs.readFile(file.absolute)).split('\n');
+      filters = filters.concat(ignoreLinesToRegex(lines, path.dirname(file.relative)));
+    }
+  }
+  let {keepFiles} = sortFilter(files, filters);
+
+  let manifest: SourceFingerprintManifest = {fingerprint: '', files: {}};
+  let hasher = crypto.createHash('sha1');
+
+  for (let relative of Array.from(keepFiles).sort()) {
+    let absolute = path.join(rootDirectory, relative);
+    let stat = await fs.lstat(absolute);
+    if (stat.isDirectory()) {
+      continue;
+    }
+    let mtime = +stat.mtime;
+    let size = stat.size;
+    let prev = prevManifest != null ? prevManifest.files[relative] : null;
+    let hash;
+    if (prev != null && prev.mtime === mtime && prev.size === size) {
+      hash = prev.hash;
+    } else if (stat.isSymbolicLink()) {
+      hash = hashContent(await fs.readlink(absolute));
+    } else {
+      hash = hashContent(await fs.readFileBuffer(absolute));
+    }
+    manifest.files[relative] = {mtime, size, hash};
+    hasher.update(`${relative}\0${hash}\n`);
+  }
+
+  manifest.fingerprint = hasher.digest('hex');
+
+  if (manifestPath != null) {
+    await fs.mkdirp(path.dirname(manifestPath));
+    await fs.writeFile(manifestPath, JSON.stringify(manifest));
+  }
+
+  return manifest.fingerprint;
+}
+
+async function readManifest(manifestPath: string): Promise<?SourceFingerprintManifest> {
+  if (!await fs.exists(manifestPath)) {
+    return null;
+  }
+  try {
+    return await fs.readJson(manifestPath);
+  } catch (_err) {
+    // Corrupted manifest is no different from a missing one: we just rehash
+    // everything.
+    return null;
+  }
+}
+
+/**
+ * Path of the manifest for a package inside the directory with manifests.
+ *
+ * Manifests are keyed by the source directory as well as by the name as
+ * different checkouts of the same package can be linked into the sandbox.
+ */
+function getManifestPath(
+  cachePath: string,
+  normalizedName: string,
+  sourcePath: string
+): string {
+  let sourceHash = hashContent(sourcePath).slice(0, 8);
+  return path.join(cachePath, `${normalizedName}-${sourceHash}.json`);
+}
+
+function hashContent(content: string | Buffer): string {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+module.exports = {
+  computeSourceFingerprint,
+  getManifestPath,
+};
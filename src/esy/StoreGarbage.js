@@ -0,0 +1,216 @@
+/**
+ * Selection of store entries to remove, see `esy gc`.
+ *
+ * Without explicitly given sandboxes only the local store of the current
+ * sandbox is pruned, the global store is shared by all projects on the machine
+ * and we don't know which of its builds those need (see `selectStoreGarbage`).
+ *
+ * @flow
+ */
+
+import type {Sandbox, PackageInfo} from './Sandbox';
+
+const path = require('path');
+const {packageInfoKey, traversePackageDependencyTree} = require('./Sandbox');
+const {isRootPackage} = require('./BuildConfig');
+const {getManifestPath} = require('./SourceFingerprint');
+import * as fs from '../util/fs';
+
+export type StoreEntry = {
+  key: string;
+  packageName: string;
+  paths: Array<string>;
+  lastUsed: number;
+};
+
+export type GarbageOptions = {
+  // Whether sandboxes to keep builds of were given explicitly, otherwise only
+  // the current sandbox is known and the global store (which is shared by all
+  // projects on the machine) is pruned only by age.
+  explicitSandboxes: boolean;
+  // Number of most recently used builds to keep per package in the local
+  // store, builds used by the sandbox are always kept and counted.
+  keep: number;
+  // Remove builds which were not used for that many days (if not used by the
+  // sandboxes).
+  maxAge: ?number;
+};
+
+const STORE_TREES = ['_install', '_build', '_insttmp'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build keys of all packages the sandbox needs to build: the closure of
+ * dependencies and build time dependencies `Builder.build` schedules, each
+ * package once per build key (so host and target builds of a package as well
+ * as different versions of it are all there).
+ */
+function collectLiveKeys(sandbox: Sandbox): Set<string> {
+  let keys = new Set();
+
+  function visit(packageInfo: PackageInfo) {
+    let key = packageInfoKey(sandbox.env, packageInfo);
+    if (keys.has(key)) {
+      return;
+    }
+    if (!isRootPackage(sandbox, packageInfo)) {
+      keys.add(key);
+    }
+    let {dependencyTree, buildTimeDependencyTree} = packageInfo;
+    Object.keys(dependencyTree).forEach(name => visit(dependencyTree[name]));
+    Object.keys(buildTimeDependencyTree).forEach(name => visit(buildTimeDependencyTree[name]));
+  }
+
+  visit(sandbox.packageInfo);
+  return keys;
+}
+
+/**
+ * Paths of source fingerprint manifests of local packages of the sandbox
+ * inside `cachePath`, see `SourceFingerprint`.
+ */
+function collectLiveManifests(sandbox: Sandbox, cachePath: string): Set<string> {
+  let manifests = new Set();
+  traversePackageDependencyTree(sandbox.env, sandbox.packageInfo, packageInfo => {
+    if (packageInfo.sourceType === 'local') {
+      manifests.add(
+        getManifestPath(cachePath, packageInfo.normalizedName, packageInfo.rootDirectory)
+      );
+    }
+  });
+  return manifests;
+}
+
+/**
+ * Whether a name inside `_insttmp` belongs to an artifact staged for import
+ * (`<artifact>.import`) or fetched from the build cache (`<build key>.tar.gz`)
+ * rather than to a build. Those are removed as soon as the import is done.
+ */
+function isStagingArtifact(name: string): boolean {
+  return name.endsWith('.import') || name.endsWith('.tar.gz');
+}
+
+/**
+ * Read entries of a store, grouping `_install`, `_build` and `_insttmp`
+ * directories of the same build together.
+ */
+async function readStore(storePath: string): Promise<Array<StoreEntry>> {
+  let entries: Map<string, StoreEntry> = new Map();
+  for (let tree of STORE_TREES) {
+    let treePath = path.join(storePath, tree);
+    if (!await fs.exists(treePath)) {
+      continue;
+    }
+    for (let key of await fs.readdir(treePath)) {
+      if (tree === '_insttmp' && isStagingArtifact(key)) {
+        continue;
+      }
+      let entryPath = path.join(treePath, key);
+      let stat = await fs.lstat(entryPath);
+      let entry = entries.get(key);
+      if (entry == null) {
+        // Build keys are `<normalized name>-<version>-<hash>` and normalized
+        // names do not contain hyphens.
+        entry = {key, packageName: key.split('-')[0], paths: [], lastUsed: 0};
+        entries.set(key, entry);
+      }
+      entry.paths.push(entryPath);
+      entry.lastUsed = Math.max(entry.lastUsed, +stat.mtime);
+    }
+  }
+  return Array.from(entries.values());
+}
+
+/**
+ * Source fingerprint manifests inside `cachePath` which don't belong to any
+ * of the local packages of the sandboxes.
+ */
+async function readFingerprintGarbage(
+  cachePath: string,
+  liveManifests: Set<string>
+): Promise<Array<StoreEntry>> {
+  if (!await fs.exists(cachePath)) {
+    return [];
+  }
+  let garbage = [];
+  for (let name of await fs.readdir(cachePath)) {
+    let manifestPath = path.join(cachePath, name);
+    if (liveManifests.has(manifestPath)) {
+      continue;
+    }
+    let stat = await fs.lstat(manifestPath);
+    garbage.push({
+      key: name,
+      packageName: name.split('-')[0],
+      paths: [manifestPath],
+      lastUsed: +stat.mtime,
+    });
+  }
+  return garbage;
+}
+
+function isExpired(entry: StoreEntry, options: GarbageOptions, now: number): boolean {
+  return options.maxAge != null && now - entry.lastUsed > options.maxAge * DAY;
+}
+
+/**
+ * Global store is shared by all projects on the machine so builds which are
+ * not used by the sandboxes are removed only if the sandboxes to keep builds
+ * of were given explicitly or if they were not used for `maxAge` days.
+ */
+function selectStoreGarbage(
+  entries: Array<StoreEntry>,
+  liveKeys: Set<string>,
+  options: GarbageOptions,
+  now: number
+): Array<StoreEntry> {
+  if (!options.explicitSandboxes && options.maxAge == null) {
+    return [];
+  }
+  return entries.filter(entry =>
+    !liveKeys.has(entry.key) &&
+    (options.maxAge == null || isExpired(entry, options, now)));
+}
+
+/**
+ * Local store keeps builds of linked packages which change often, we keep only
+ * a few most recently used builds for each of them (and none of those which
+ * were not used for too long) along with those used by the sandbox.
+ */
+function selectLocalStoreGarbage(
+  entries: Array<StoreEntry>,
+  liveKeys: Set<string>,
+  options: GarbageOptions,
+  now: number
+): Array<StoreEntry> {
+  let byPackageName: Map<string, Array<StoreEntry>> = new Map();
+  for (let entry of entries) {
+    let packageEntries = byPackageName.get(entry.packageName) || [];
+    packageEntries.push(entry);
+    byPackageName.set(entry.packageName, packageEntries);
+  }
+  let garbage = [];
+  for (let packageEntries of byPackageName.values()) {
+    let live = packageEntries.filter(entry => liveKeys.has(entry.key));
+    let rest = packageEntries
+      .filter(entry => !liveKeys.has(entry.key))
+      .sort((a, b) => b.lastUsed - a.lastUsed);
+    let keep = Math.max(options.keep - live.length, 0);
+    rest.forEach((entry, idx) => {
+      if (idx >= keep || isExpired(entry, options, now)) {
+        garbage.push(entry);
+      }
+    });
+  }
+  return garbage;
+}
+
+module.exports = {
+  collectLiveKeys,
+  collectLiveManifests,
+  readStore,
+  readFingerprintGarbage,
+  selectStoreGarbage,
+  selectLocalStoreGarbage,
+};
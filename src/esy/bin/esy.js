@@ -2,12 +2,15 @@
  * @flow
  */
 
-let childProcess = require('child_process');
+const path = require('path');
 
-import chalk from 'chalk';
 const loudRejection = require('loud-rejection');
+const CommandEnvironment = require('../CommandEnvironment');
 const PackageEnvironment = require('../PackageEnvironment');
 const Sandbox = require('../Sandbox');
+const BuildConfig = require('../BuildConfig');
+const {formatError, exitWithError, findSandboxPath} = require('../CommandLine');
+import * as fs from '../../util/fs';
 
 /**
  * Each package can configure exportedEnvVars with:
@@ -23,7 +26,8 @@ const Sandbox = require('../Sandbox');
  *    shadows any global variables those immediate dependers can see at build
  *    time.
  *    "global": Seen by all packages that have a transitive linktime dependency
- *    on our package.
+ *    on our package (and by our package itself). Variables configured without
+ *    a scope are global.
  *
  *    You can or them together: "local|export", "local|global".
  *
@@ -129,47 +133,169 @@ const Sandbox = require('../Sandbox');
  *
  *  When thinking about conflicts, it helps to recall that different scopes are
  *  actually writing to different locations that shadow in convenient ways.
- *  We need some way to control exclusivity of writing these env vars to prevent
- *  conflicts. The current implementaiton just has a single exclusive:
- *  true/false flag and it doesn't take into account scope.
+ *  Each scope is a separate namespace and exclusive: true only prevents other
+ *  packages from writing the variable within the same scope. So a "local"
+ *  override never conflicts with an exclusive "global" variable of a
+ *  dependency, it shadows it. Variables configured without a scope are global.
  */
 
-function formatError(message: string) {
-  return `${chalk.red('ERROR')} ${message}`;
-}
-
-function error(message: string) {
-  console.log(formatError(message));
-  process.exit(1);
-}
-
 async function getValidSandbox(directory) {
-  const sandbox = await Sandbox.fromDirectory(directory);
+  const config = BuildConfig.createConfig(directory);
+  const sandbox = await Sandbox.fromDirectory(directory, {
+    ...sandboxOptions,
+    sourceFingerprintCachePath: BuildConfig.getSourceFingerprintCachePath(config),
+  });
   if (sandbox.packageInfo.errors.length > 0) {
     sandbox.packageInfo.errors.forEach(error => {
-      console.log(formatError(error.message));
+      console.error(formatError(error.message));
     });
     process.exit(1);
   }
   return sandbox;
 }
 
+function requireSandboxPath(sandboxPath) {
+  if (sandboxPath == null) {
+    exitWithError(`cannot find package.json in ${process.cwd()} or any of its parent directories`);
+  }
+  return sandboxPath;
+}
+
+async function getCommandEnv(sandboxPath) {
+  const config = BuildConfig.createConfig(sandboxPath);
+  const environment = await CommandEnvironment.getCommandEnvironment(
+    config,
+    sandboxOptions,
+    () => getValidSandbox(sandboxPath)
+  );
+  return {config, environment};
+}
+
 const builtInCommands = {
-  "build-eject": async function(curDir, ...args) {
+  "build": async function(sandboxPath, ...args) {
+    let buildCommand = require('../buildCommand');
+    const sandbox = await getValidSandbox(requireSandboxPath(sandboxPath));
+    await buildCommand(sandbox, ...args);
+  },
+  "build-shell": async function(sandboxPath, ...args) {
+    let buildShellCommand = require('../buildShellCommand');
+    const sandbox = await getValidSandbox(requireSandboxPath(sandboxPath));
+    await buildShellCommand(sandbox, ...args);
+  },
+  "build-eject": async function(sandboxPath, ...args) {
     let buildEject = require('../buildEjectCommand');
-    const sandbox = await getValidSandbox(curDir);
+    sandboxPath = requireSandboxPath(sandboxPath);
+    const sandbox = await getValidSandbox(sandboxPath);
+    if (args.length === 0) {
+      args = [path.join(sandboxPath, 'node_modules', '.cache', '_esy', 'build-eject')];
+    }
     buildEject(sandbox, ...args);
   },
+  "clean": async function(sandboxPath) {
+    sandboxPath = requireSandboxPath(sandboxPath);
+    for (let tree of ['_build', '_install', '_insttmp']) {
+      await fs.unlink(path.join(sandboxPath, tree));
+    }
+  },
+  "shell": async function(sandboxPath, ...args) {
+    let shellCommand = require('../shellCommand');
+    const {config, environment} = await getCommandEnv(requireSandboxPath(sandboxPath));
+    shellCommand(CommandEnvironment.evalCommandEnvironment(config, environment), ...args);
+  },
+  "env": async function(sandboxPath, ...args) {
+    let envCommand = require('../envCommand');
+    const {config, environment} = await getCommandEnv(requireSandboxPath(sandboxPath));
+    envCommand(config, environment, ...args);
+  },
+  "explain-env": async function(sandboxPath, ...args) {
+    let explainEnvCommand = require('../explainEnvCommand');
+    const sandbox = await getValidSandbox(requireSandboxPath(sandboxPath));
+    explainEnvCommand(sandbox, ...args);
+  },
+  // Kept for compatibility, the same as env.
+  "dump-env": async function(sandboxPath, ...args) {
+    await builtInCommands.env(sandboxPath, ...args);
+  },
+  "gc": async function(sandboxPath, ...args) {
+    let gcCommand = require('../gcCommand');
+    await gcCommand(requireSandboxPath(sandboxPath), getValidSandbox, ...args);
+  },
+  "graph": async function(sandboxPath, ...args) {
+    let graphCommand = require('../graphCommand');
+    const sandbox = await getValidSandbox(requireSandboxPath(sandboxPath));
+    await graphCommand(sandbox, ...args);
+  },
+  "lint": async function(sandboxPath, ...args) {
+    let lintCommand = require('../lintCommand');
+    await lintCommand(sandboxPath || process.cwd(), getValidSandbox, ...args);
+  },
+  "export-build": async function(sandboxPath, ...args) {
+    let exportBuildCommand = require('../exportBuildCommand');
+    const sandbox = await getValidSandbox(requireSandboxPath(sandboxPath));
+    await exportBuildCommand(sandbox, ...args);
+  },
+  "import-build": async function(sandboxPath, ...args) {
+    let importBuildCommand = require('../importBuildCommand');
+    await importBuildCommand(sandboxPath || process.cwd(), ...args);
+  },
 };
 
-// TODO: Need to change this to climb to closest package.json.
-const curDir = process.cwd();
-const actualArgs = process.argv.slice(2);
+/**
+ * Extract options which configure the sandbox itself (and so are accepted by
+ * every command) from the command line.
+ *
+ * Arguments of commands executed within the sandbox environment are passed
+ * through as is.
+ */
+function parseSandboxOptions(args) {
+  let options = {
+    targetPlatform: null,
+    targetArchitecture: null,
+    useLockfile: false,
+    yarnCacheFolder: process.env.ESY__YARN_CACHE_DIR || null,
+  };
+  let restArgs = [];
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    if (restArgs.length === 0 && !arg.startsWith('-') && builtInCommands[arg] == null) {
+      restArgs = restArgs.concat(args.slice(i));
+      break;
+    }
+    let [name, value] = arg.split('=', 2);
+    if (name === '--lockfile') {
+      options.useLockfile = true;
+    } else if (name === '--target-platform' || name === '--target-arch') {
+      if (value == null) {
+        value = args[++i];
+      }
+      if (value == null) {
+        exitWithError(`${name} option requires a value`);
+      }
+      if (name === '--target-platform') {
+        options.targetPlatform = value;
+      } else {
+        options.targetArchitecture = value;
+      }
+    } else {
+      restArgs.push(arg);
+    }
+  }
+  return {options, restArgs};
+}
+
+const {
+  sandboxPath,
+  restArgs: commandArgs,
+} = findSandboxPath(process.argv.slice(2));
+const {
+  options: sandboxOptions,
+  restArgs: actualArgs
+} = parseSandboxOptions(commandArgs);
 
 async function main() {
 
   if (actualArgs.length === 0) {
-    const sandbox = await getValidSandbox(curDir);
+    const sandbox = await getValidSandbox(requireSandboxPath(sandboxPath));
     // It's just a status command. Print the command that would be
     // used to setup the environment along with status of
     // the build processes, staleness, package validity etc.
@@ -183,13 +309,17 @@ async function main() {
     let builtInCommandName = actualArgs[0];
     let builtInCommand = builtInCommands[builtInCommandName];
     if (builtInCommand) {
-      builtInCommand(curDir, ...process.argv.slice(3));
+      await builtInCommand(sandboxPath, ...actualArgs.slice(1));
+    } else if (builtInCommandName.startsWith('-')) {
+      exitWithError(`unknown option: ${builtInCommandName}`);
     } else {
-      console.error(`unknown command: ${builtInCommandName}`);
+      let execCommand = require('../execCommand');
+      const {config, environment} = await getCommandEnv(requireSandboxPath(sandboxPath));
+      execCommand(CommandEnvironment.evalCommandEnvironment(config, environment), ...actualArgs);
     }
   }
 }
 
-main().catch(error);
+main().catch(err => exitWithError(err.message));
 
 loudRejection();
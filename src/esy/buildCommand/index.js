@@ -0,0 +1,70 @@
+/**
+ * @flow
+ */
+
+import type {Sandbox} from '../Sandbox';
+
+import JSONReporter from '../../reporters/json-reporter';
+const Builder = require('../Builder');
+const BuildConfig = require('../BuildConfig');
+const {reportBuildEvent, reportBuildEventWith} = require('../BuildReporter');
+const {lookupPackage} = require('../Sandbox');
+const {exitWithError} = require('../CommandLine');
+
+type BuildCommandOptions = {
+  target: ?string;
+  json: boolean;
+};
+
+async function buildCommand(
+  sandbox: Sandbox,
+  ...args: Array<string>
+) {
+  let options = parseArgs(args);
+  let config = BuildConfig.createConfig(sandbox.packageInfo.rootDirectory);
+  let reporter = options.json ? new JSONReporter() : null;
+
+  let target = sandbox.packageInfo;
+  if (options.target != null) {
+    let lookup = lookupPackage(sandbox.packageInfo, options.target);
+    if (lookup.type === 'error') {
+      exitWithError(lookup.message, reporter);
+      return;
+    }
+    target = lookup.packageInfo;
+  }
+
+  let onEvent = reporter != null
+    ? reportBuildEventWith.bind(null, reporter)
+    : reportBuildEvent;
+  let results = await Builder.build(sandbox, config, {target, onEvent});
+  if (reporter != null) {
+    reporter.footer(false);
+  }
+  let failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+function parseArgs(args: Array<string>): BuildCommandOptions {
+  let options = {target: null, json: false};
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--target') {
+      if (i + 1 >= args.length) {
+        exitWithError('--target option requires a package name');
+      }
+      options.target = args[++i];
+    } else if (arg.startsWith('--target=')) {
+      options.target = arg.slice('--target='.length);
+    } else {
+      exitWithError(`unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+module.exports = buildCommand;
@@ -12,7 +12,7 @@ const fs = require('fs');
 const crypto  = require('crypto');
 const path = require('path');
 const outdent = require('outdent');
-const {flattenArray} = require('../Utility');
+const {renderEnvironment} = require('../EnvironmentFormat');
 
 const RUNTIME = fs.readFileSync(require.resolve('./runtime.sh'), 'utf8');
 const fastReplaceStringSrc = fs.readFileSync(
@@ -90,6 +90,20 @@ function buildEjectCommand(
   let installTmpPath = (packageInfo, ...path) =>
     sandboxPath(packageInfo, '_insttmp', ...path);
 
+  // When cross compiling a package can be built both for the host and for the
+  // target, host builds get their own make targets and eject directories then.
+  let isCrossCompiling =
+    sandbox.env.esy__target_platform !== sandbox.env.esy__platform ||
+    sandbox.env.esy__target_architecture !== sandbox.env.esy__architecture;
+
+  let isHostBuild = (packageInfo) =>
+    isCrossCompiling && packageInfo.buildPlatform === 'host';
+
+  let packageTarget = (packageInfo, target) => {
+    let {name} = packageInfo.packageJson;
+    return `${name}${isHostBuild(packageInfo) ? '@host' : ''}.${target}`;
+  };
+
   let prelude: Array<MakeDefine | MakeRawItem> = [
 
     {
@@ -215,6 +229,7 @@ function buildEjectCommand(
   ];
 
   traversePackageDependencyTree(
+    sandbox.env,
     sandbox.packageInfo,
     (packageInfo) => {
       let {normalizedName, packageJson, rootDirectory} = packageInfo;
@@ -224,6 +239,10 @@ function buildEjectCommand(
       let packagePath = isRootPackage
         ? []
         : path.relative(sandbox.packageInfo.rootDirectory, rootDirectory).split(path.sep);
+      if (isHostBuild(packageInfo)) {
+        packagePath = packagePath.concat('_host');
+      }
+      let shellEnvName = `shell_env_for__${normalizedName}${isHostBuild(packageInfo) ? '__host' : ''}`;
 
       let buildCommand: ?string = null;
       if (packageJson.esy.build != null) {
@@ -250,12 +269,12 @@ function buildEjectCommand(
         } = rule;
         rules.push({
           type: 'rule',
-          target: packageTarget(target),
+          target: packageTarget(packageInfo, target),
           dependencies: ['esy-store', 'esy-local-store', 'esy-root', ...dependencies],
           phony: true,
           command: [
             outdent`
-              $(shell_env_for__${normalizedName}) source $(ESY__EJECT_ROOT)/bin/runtime.sh
+              $(${shellEnvName}) source $(ESY__EJECT_ROOT)/bin/runtime.sh
               cd $esy_build__source_root
             `,
             command,
@@ -263,21 +282,20 @@ function buildEjectCommand(
         });
       }
 
-      function packageTarget(target, packageName = packageJson.name) {
-        return `${packageName}.${target}`;
-      }
-
       let buildEnvironment = PackageEnvironment.calculateEnvironment(
         sandbox,
         packageInfo,
         {installDirectory: installTmpPath(packageInfo)}
       );
 
+      let {dependencyTree, buildTimeDependencyTree} = packageInfo;
       let dependencies = Object
-        .keys(packageInfo.dependencyTree)
-        .map(dep => packageTarget('build', dep));
+        .keys(dependencyTree)
+        .map(name => dependencyTree[name])
+        .concat(Object.keys(buildTimeDependencyTree).map(name => buildTimeDependencyTree[name]))
+        .map(dep => packageTarget(dep, 'build'));
 
-      let allDependencies = collectTransitiveDependencies(packageInfo);
+      let allDependencies = collectTransitiveDependencies(sandbox.env, packageInfo);
 
       emitPackageFile({
         filename: 'env',
@@ -351,7 +369,7 @@ function buildEjectCommand(
 
       rules.push({
         type: 'define',
-        name: `shell_env_for__${normalizedName}`,
+        name: shellEnvName,
         value: [
           {
             'CI': process.env.CI ? process.env.CI : null,
@@ -457,12 +475,7 @@ function hash(value: string): string {
 }
 
 function renderEnv(groups: Array<EnvironmentGroup>): string {
-  let env = flattenArray(groups.map(group => group.envVars));
-  return env
-    .filter(env => env.value != null)
-    // $FlowFixMe: make sure env.value is refined above
-    .map(env => `export ${env.name}="${env.value}";`)
-    .join('\n');
+  return renderEnvironment(groups, 'bash', {comments: false});
 }
 
 module.exports = buildEjectCommand;
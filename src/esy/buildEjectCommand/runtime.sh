@@ -28,6 +28,19 @@ ESY__SANDBOX_COMMAND=""
 
 if [[ "$esy__platform" == "darwin" ]]; then
   ESY__SANDBOX_COMMAND="sandbox-exec -f $cur__target_dir/_esy/sandbox.sb"
+elif [[ "$esy__platform" == "linux" ]] && bwrap --ro-bind / / /bin/true > /dev/null 2>&1; then
+  # Same as sandbox.sb: everything is read-only except for tmp, the source
+  # root (but not its node_modules), $cur__target_dir and $cur__install. Later
+  # mounts take precedence.
+  ESY__SANDBOX_COMMAND="bwrap --ro-bind / / --dev-bind /dev /dev --bind /tmp /tmp"
+  if [ ! -z "${TMPDIR+x}" ] && [ -d "$TMPDIR" ]; then
+    ESY__SANDBOX_COMMAND="$ESY__SANDBOX_COMMAND --bind $TMPDIR $TMPDIR"
+  fi
+  ESY__SANDBOX_COMMAND="$ESY__SANDBOX_COMMAND --bind $esy_build__source_root $esy_build__source_root"
+  if [ -d "$esy_build__source_root/node_modules" ]; then
+    ESY__SANDBOX_COMMAND="$ESY__SANDBOX_COMMAND --ro-bind $esy_build__source_root/node_modules $esy_build__source_root/node_modules"
+  fi
+  ESY__SANDBOX_COMMAND="$ESY__SANDBOX_COMMAND --bind $cur__target_dir $cur__target_dir --bind $cur__install $cur__install"
 fi
 
 _esy-prepare-build-env () {
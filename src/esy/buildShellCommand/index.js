@@ -0,0 +1,36 @@
+/**
+ * @flow
+ */
+
+import type {Sandbox} from '../Sandbox';
+
+const Builder = require('../Builder');
+const BuildConfig = require('../BuildConfig');
+const {reportBuildEvent} = require('../BuildReporter');
+const {exitWithError} = require('../CommandLine');
+
+/**
+ * Build dependencies of the sandbox and drop into a shell with the build
+ * environment of the root package.
+ */
+async function buildShellCommand(
+  sandbox: Sandbox,
+  ...args: Array<string>
+) {
+  if (args.length > 0) {
+    exitWithError(`unknown argument: ${args[0]}`);
+  }
+  let config = BuildConfig.createConfig(sandbox.packageInfo.rootDirectory);
+  let results = await Builder.build(sandbox, config, {
+    dependenciesOnly: true,
+    onEvent: reportBuildEvent,
+  });
+  let failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+  let exitCode = await Builder.buildShell(sandbox, config, sandbox.packageInfo);
+  process.exit(exitCode == null ? 1 : exitCode);
+}
+
+module.exports = buildShellCommand;
@@ -0,0 +1,50 @@
+/**
+ * @flow
+ */
+
+import type {BuildConfig} from '../BuildConfig';
+import type {Environment} from '../PackageEnvironment';
+
+const {FORMATS, renderEnvironment, isEnvironmentFormat} = require('../EnvironmentFormat');
+const {getCommandEnvironmentScope} = require('../CommandEnvironment');
+const {resolveEnvironment} = require('../PackageEnvironment');
+const {exitWithError} = require('../CommandLine');
+
+/**
+ * Print the command environment of the sandbox, `--format` selects the syntax
+ * (bash by default) and `--resolved` prints values with all references
+ * expanded.
+ */
+function envCommand(
+  config: BuildConfig,
+  environment: Environment,
+  ...args: Array<string>
+) {
+  let format = 'bash';
+  let resolved = false;
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let [name, value] = arg.split('=', 2);
+    if (arg === '--resolved') {
+      resolved = true;
+      continue;
+    }
+    if (name !== '--format') {
+      exitWithError(`unknown argument: ${arg}`);
+    }
+    if (value == null) {
+      value = args[++i];
+    }
+    if (value == null || !isEnvironmentFormat(value)) {
+      exitWithError(`--format option requires one of: ${FORMATS.join(', ')}`);
+    }
+    format = value;
+  }
+  if (resolved) {
+    environment = resolveEnvironment(environment, getCommandEnvironmentScope(config));
+  }
+  // $FlowFixMe: format is checked with isEnvironmentFormat above
+  console.log(renderEnvironment(environment, format));
+}
+
+module.exports = envCommand;
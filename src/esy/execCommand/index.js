@@ -0,0 +1,33 @@
+/**
+ * @flow
+ */
+
+const childProcess = require('child_process');
+
+/**
+ * Execute a command as if it was executed inside of `esy shell`.
+ */
+function execCommand(
+  env: {[name: string]: string},
+  command: string,
+  ...args: Array<string>
+) {
+  let proc = childProcess.spawn(command, args, {env, stdio: 'inherit'});
+  proc.on('error', err => {
+    if (err.code === 'ENOENT') {
+      console.error(`${command} command is not installed.`);
+    } else {
+      console.error(`${command}: ${err.message}`);
+    }
+    process.exit(1);
+  });
+  proc.on('close', (code, signal) => {
+    if (signal != null) {
+      process.kill(process.pid, signal);
+    } else {
+      process.exit(code);
+    }
+  });
+}
+
+module.exports = execCommand;
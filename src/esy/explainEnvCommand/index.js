@@ -0,0 +1,121 @@
+/**
+ * @flow
+ */
+
+import type {Sandbox} from '../Sandbox';
+import type {EnvironmentVarContribution} from '../PackageEnvironment';
+
+import chalk from 'chalk';
+const BuildConfig = require('../BuildConfig');
+const PackageEnvironment = require('../PackageEnvironment');
+const {getBuildEnvironmentScope} = require('../Builder');
+const {getCommandEnvironmentScope} = require('../CommandEnvironment');
+const {lookupPackage} = require('../Sandbox');
+const {exitWithError} = require('../CommandLine');
+
+type ExplainEnvCommandOptions = {
+  name: ?string;
+  target: ?string;
+  build: boolean;
+};
+
+/**
+ * Print packages which contribute to the value of an environment variable, in
+ * the order they are applied.
+ */
+function explainEnvCommand(sandbox: Sandbox, ...args: Array<string>) {
+  let options = parseArgs(args);
+  let {name} = options;
+  if (name == null) {
+    exitWithError('usage: esy explain-env <VAR> [--target <package>] [--build]');
+    return;
+  }
+  let config = BuildConfig.createConfig(sandbox.packageInfo.rootDirectory);
+
+  let target = sandbox.packageInfo;
+  if (options.target != null) {
+    let lookup = lookupPackage(sandbox.packageInfo, options.target);
+    if (lookup.type === 'error') {
+      exitWithError(lookup.message);
+      return;
+    }
+    target = lookup.packageInfo;
+  }
+
+  let groups = PackageEnvironment.calculateEnvironment(
+    sandbox,
+    target,
+    {useLooseEnvironment: !options.build}
+  );
+  let scope = options.build
+    ? getBuildEnvironmentScope(config)
+    : getCommandEnvironmentScope(config);
+  let {inheritedValue, contributions} = PackageEnvironment.explainEnvironmentVar(
+    groups,
+    name,
+    scope
+  );
+
+  let envName = options.build ? 'build environment' : 'command environment';
+  console.log(`${chalk.bold(name)} in the ${envName} of ${target.packageJson.name}:`);
+  console.log('');
+  if (inheritedValue != null) {
+    console.log(`  ${chalk.bold('inherited')}`);
+    console.log(`    value: ${inheritedValue}`);
+    console.log('');
+  }
+  if (inheritedValue == null && contributions.length === 0) {
+    console.log(`  not set`);
+    return;
+  }
+  contributions.forEach(contribution => {
+    console.log(formatContribution(contribution));
+    console.log('');
+  });
+}
+
+function formatContribution(contribution: EnvironmentVarContribution): string {
+  let {packageName, packageJsonPath, scope, builtIn} = contribution;
+  let header = [chalk.bold(packageName)];
+  if (packageJsonPath !== '') {
+    header.push(packageJsonPath);
+  }
+  if (builtIn) {
+    header.push('(built-in)');
+  } else if (scope != null) {
+    header.push(`(scope: ${scope})`);
+  }
+  let lines = [
+    `  ${header.join(' ')}`,
+    `    val:   ${contribution.value}`,
+    `    value: ${contribution.expandedValue}`,
+  ];
+  if (contribution.shadowedValue != null) {
+    lines.push(`    shadows: ${contribution.shadowedValue}`);
+  }
+  return lines.join('\n');
+}
+
+function parseArgs(args: Array<string>): ExplainEnvCommandOptions {
+  let options = {name: null, target: null, build: false};
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    if (arg === '--build') {
+      options.build = true;
+    } else if (arg === '--target') {
+      if (i + 1 >= args.length) {
+        exitWithError('--target option requires a package name');
+      }
+      options.target = args[++i];
+    } else if (arg.startsWith('--target=')) {
+      options.target = arg.slice('--target='.length);
+    } else if (arg.startsWith('-') || options.name != null) {
+      exitWithError(`unknown argument: ${arg}`);
+    } else {
+      options.name = arg;
+    }
+  }
+  return options;
+}
+
+module.exports = explainEnvCommand;
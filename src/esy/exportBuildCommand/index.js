@@ -0,0 +1,47 @@
+/**
+ * @flow
+ */
+
+import type {Sandbox} from '../Sandbox';
+
+const path = require('path');
+const BuildConfig = require('../BuildConfig');
+const {exportBuild} = require('../BuildArtifact');
+const {lookupPackage, packageInfoKey} = require('../Sandbox');
+const {exitWithError} = require('../CommandLine');
+import {MessageError} from '../../errors';
+
+/**
+ * Export a built package from the store as a tarball which can be imported
+ * into another store with `esy import-build`.
+ */
+async function exportBuildCommand(
+  sandbox: Sandbox,
+  packageSpec: ?string,
+  ...rest: Array<string>
+) {
+  if (packageSpec == null || rest.length > 0) {
+    exitWithError('usage: esy export-build <package>');
+    return;
+  }
+  let lookup = lookupPackage(sandbox.packageInfo, packageSpec);
+  if (lookup.type === 'error') {
+    exitWithError(lookup.message);
+    return;
+  }
+  let {packageInfo} = lookup;
+  let config = BuildConfig.createConfig(sandbox.packageInfo.rootDirectory);
+  let outputPath = path.resolve(`${packageInfoKey(sandbox.env, packageInfo)}.tar.gz`);
+  try {
+    await exportBuild(sandbox, config, packageInfo, outputPath);
+  } catch (err) {
+    if (err instanceof MessageError) {
+      exitWithError(err.message);
+      return;
+    }
+    throw err;
+  }
+  console.log(outputPath);
+}
+
+module.exports = exportBuildCommand;
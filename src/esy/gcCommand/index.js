@@ -0,0 +1,156 @@
+/**
+ * @flow
+ */
+
+import type {Sandbox} from '../Sandbox';
+
+import chalk from 'chalk';
+const bytes = require('bytes');
+const path = require('path');
+const BuildConfig = require('../BuildConfig');
+const {
+  collectLiveKeys,
+  collectLiveManifests,
+  readStore,
+  readFingerprintGarbage,
+  selectStoreGarbage,
+  selectLocalStoreGarbage,
+} = require('../StoreGarbage');
+const {exitWithError} = require('../CommandLine');
+import * as fs from '../../util/fs';
+
+type GCCommandOptions = {
+  dryRun: boolean;
+  sandboxPaths: Array<string>;
+  keep: number;
+  maxAge: ?number;
+};
+
+/**
+ * Prune local stores of the sandboxes and remove builds which are not used by
+ * any of them from the global store, see `StoreGarbage`.
+ *
+ * The global store is pruned only if sandboxes are given with `--sandbox` or
+ * if `--max-age` is set, otherwise only the current sandbox is known and the
+ * builds it doesn't use could still be used by other projects.
+ */
+async function gcCommand(
+  curDir: string,
+  loadSandbox: (directory: string) => Promise<Sandbox>,
+  ...args: Array<string>
+) {
+  let options = parseArgs(args);
+  let sandboxPaths = options.sandboxPaths.length > 0
+    ? options.sandboxPaths
+    : [curDir];
+
+  let storePath = null;
+  let liveKeys = new Set();
+  let liveManifests = new Set();
+  let localStorePaths = new Set();
+  let fingerprintCachePaths = new Set();
+  for (let sandboxPath of sandboxPaths) {
+    let sandbox = await loadSandbox(path.resolve(sandboxPath));
+    let config = BuildConfig.createConfig(sandbox.packageInfo.rootDirectory);
+    storePath = config.storePath;
+    let fingerprintCachePath = BuildConfig.getSourceFingerprintCachePath(config);
+    localStorePaths.add(config.localStorePath);
+    fingerprintCachePaths.add(fingerprintCachePath);
+    collectLiveKeys(sandbox).forEach(key => liveKeys.add(key));
+    collectLiveManifests(sandbox, fingerprintCachePath)
+      .forEach(manifestPath => liveManifests.add(manifestPath));
+  }
+
+  let garbageOptions = {
+    explicitSandboxes: options.sandboxPaths.length > 0,
+    keep: options.keep,
+    maxAge: options.maxAge,
+  };
+  let now = Date.now();
+  let garbage = [];
+  if (storePath != null) {
+    if (!garbageOptions.explicitSandboxes && garbageOptions.maxAge == null) {
+      console.log(
+        'skipping the global store as it is shared by all projects, ' +
+        'use --sandbox or --max-age to prune it'
+      );
+    } else {
+      let entries = await readStore(storePath);
+      garbage = garbage.concat(selectStoreGarbage(entries, liveKeys, garbageOptions, now));
+    }
+  }
+  for (let localStorePath of localStorePaths) {
+    let entries = await readStore(localStorePath);
+    garbage = garbage.concat(selectLocalStoreGarbage(entries, liveKeys, garbageOptions, now));
+  }
+  for (let cachePath of fingerprintCachePaths) {
+    garbage = garbage.concat(await readFingerprintGarbage(cachePath, liveManifests));
+  }
+
+  let total = 0;
+  for (let entry of garbage) {
+    for (let entryPath of entry.paths) {
+      let size = await getSize(entryPath);
+      total += size;
+      console.log(`${options.dryRun ? 'would remove' : 'removing'} ${entryPath} (${bytes(size)})`);
+      if (!options.dryRun) {
+        await fs.unlink(entryPath);
+      }
+    }
+  }
+  let summary = options.dryRun
+    ? `${bytes(total)} would be freed`
+    : `${bytes(total)} freed`;
+  console.log(chalk.green(summary));
+}
+
+function parseArgs(args: Array<string>): GCCommandOptions {
+  let options = {dryRun: false, sandboxPaths: [], keep: 3, maxAge: null};
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let [name, value] = arg.split('=', 2);
+    if (name === '--dry-run') {
+      options.dryRun = true;
+      continue;
+    }
+    if (name !== '--sandbox' && name !== '--keep' && name !== '--max-age') {
+      exitWithError(`unknown argument: ${arg}`);
+    }
+    if (value == null) {
+      value = args[++i];
+    }
+    if (value == null) {
+      exitWithError(`${name} option requires a value`);
+    }
+    if (name === '--sandbox') {
+      options.sandboxPaths.push(value);
+    } else if (name === '--keep') {
+      options.keep = parseNumber(name, value);
+    } else {
+      options.maxAge = parseNumber(name, value);
+    }
+  }
+  return options;
+}
+
+function parseNumber(name: string, value: string): number {
+  let number = Number(value);
+  if (!/^\d+$/.test(value)) {
+    exitWithError(`${name} option requires a non negative integer, got: ${value}`);
+  }
+  return number;
+}
+
+async function getSize(p: string): Promise<number> {
+  let stat = await fs.lstat(p);
+  if (!stat.isDirectory()) {
+    return stat.size;
+  }
+  let size = stat.size;
+  for (let name of await fs.readdir(p)) {
+    size += await getSize(path.join(p, name));
+  }
+  return size;
+}
+
+module.exports = gcCommand;
@@ -0,0 +1,42 @@
+/**
+ * @flow
+ */
+
+import type {Sandbox} from '../Sandbox';
+
+const BuildConfig = require('../BuildConfig');
+const {collectDependencyGraph, renderGraphAsDot} = require('../DependencyGraph');
+const {exitWithError} = require('../CommandLine');
+
+const FORMATS = ['dot', 'json'];
+
+/**
+ * Print the build graph of the sandbox, `--format` selects Graphviz dot
+ * (default) or JSON.
+ */
+async function graphCommand(sandbox: Sandbox, ...args: Array<string>) {
+  let format = 'dot';
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let [name, value] = arg.split('=', 2);
+    if (name !== '--format') {
+      exitWithError(`unknown argument: ${arg}`);
+    }
+    if (value == null) {
+      value = args[++i];
+    }
+    if (value == null || FORMATS.indexOf(value) === -1) {
+      exitWithError(`--format option requires one of: ${FORMATS.join(', ')}`);
+    }
+    format = value;
+  }
+  let config = BuildConfig.createConfig(sandbox.packageInfo.rootDirectory);
+  let graph = await collectDependencyGraph(sandbox, config);
+  if (format === 'json') {
+    console.log(JSON.stringify(graph, null, 2));
+  } else {
+    console.log(renderGraphAsDot(graph));
+  }
+}
+
+module.exports = graphCommand;
@@ -0,0 +1,43 @@
+/**
+ * @flow
+ */
+
+import chalk from 'chalk';
+const path = require('path');
+const BuildConfig = require('../BuildConfig');
+const {importBuild} = require('../BuildArtifact');
+const {exitWithError} = require('../CommandLine');
+import {MessageError} from '../../errors';
+
+/**
+ * Import a tarball made by `esy export-build` into the store.
+ */
+async function importBuildCommand(
+  sandboxPath: string,
+  artifactPath: ?string,
+  ...rest: Array<string>
+) {
+  if (artifactPath == null || rest.length > 0) {
+    exitWithError('usage: esy import-build <tarball>');
+    return;
+  }
+  let config = BuildConfig.createConfig(sandboxPath);
+  let result;
+  try {
+    result = await importBuild(config, path.resolve(artifactPath));
+  } catch (err) {
+    if (err instanceof MessageError) {
+      exitWithError(err.message);
+      return;
+    }
+    throw err;
+  }
+  let {manifest, imported} = result;
+  if (imported) {
+    console.log(chalk.green(`${manifest.name}: imported into ${config.storePath}`));
+  } else {
+    console.log(`${manifest.name}: already in ${config.storePath}`);
+  }
+}
+
+module.exports = importBuildCommand;
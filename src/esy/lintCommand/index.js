@@ -0,0 +1,78 @@
+/**
+ * @flow
+ */
+
+import type {Sandbox} from '../Sandbox';
+
+import chalk from 'chalk';
+const path = require('path');
+const {traversePackageDependencyTree} = require('../Sandbox');
+const {validatePackageJson} = require('../PackageJsonValidator');
+const {exitWithError} = require('../CommandLine');
+import * as fs from '../../util/fs';
+
+/**
+ * Validate package.json files: the one of the sandbox by default, the ones
+ * passed as arguments or, with `--all`, of every package in the sandbox.
+ */
+async function lintCommand(
+  sandboxPath: string,
+  loadSandbox: (directory: string) => Promise<Sandbox>,
+  ...args: Array<string>
+) {
+  let all = false;
+  let filenames = [];
+  for (let arg of args) {
+    if (arg === '--all') {
+      all = true;
+    } else if (arg.startsWith('-')) {
+      exitWithError(`unknown argument: ${arg}`);
+    } else {
+      filenames.push(path.resolve(arg));
+    }
+  }
+  if (all) {
+    let sandbox = await loadSandbox(sandboxPath);
+    traversePackageDependencyTree(sandbox.env, sandbox.packageInfo, packageInfo => {
+      filenames.push(path.join(packageInfo.rootDirectory, 'package.json'));
+    });
+  } else if (filenames.length === 0) {
+    filenames.push(path.join(sandboxPath, 'package.json'));
+  }
+
+  let problems = 0;
+  for (let filename of filenames) {
+    if ((await fs.exists(filename)) && (await fs.stat(filename)).isDirectory()) {
+      filename = path.join(filename, 'package.json');
+    }
+    let displayName = path.relative(process.cwd(), filename) || filename;
+    let source;
+    let packageJson;
+    try {
+      source = await fs.readFile(filename);
+      packageJson = JSON.parse(source);
+    } catch (err) {
+      console.log(`${displayName}: ${chalk.red(err.message)}`);
+      problems += 1;
+      continue;
+    }
+    let errors = validatePackageJson(packageJson, source)
+      .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+    for (let error of errors) {
+      let location = error.line != null
+        ? `${displayName}:${error.line}:${error.column || 0}`
+        : displayName;
+      console.log(`${location}: ${chalk.bold(error.path.join('.'))}: ${error.message}`);
+      problems += 1;
+    }
+  }
+
+  if (problems > 0) {
+    console.log(chalk.red(`${problems} ${problems === 1 ? 'problem' : 'problems'} found`));
+    process.exit(1);
+  } else {
+    console.log(chalk.green('no problems found'));
+  }
+}
+
+module.exports = lintCommand;
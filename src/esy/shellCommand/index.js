@@ -0,0 +1,20 @@
+/**
+ * @flow
+ */
+
+const childProcess = require('child_process');
+
+/**
+ * Drop into `$SHELL` with the command environment of the sandbox.
+ */
+function shellCommand(env: {[name: string]: string}, ...args: Array<string>) {
+  let shell = process.env.SHELL || '/bin/sh';
+  let proc = childProcess.spawn(shell, args, {env, stdio: 'inherit'});
+  proc.on('error', err => {
+    console.error(`${shell}: ${err.message}`);
+    process.exit(1);
+  });
+  proc.on('close', code => process.exit(code == null ? 1 : code));
+}
+
+module.exports = shellCommand;
@@ -0,0 +1,42 @@
+/**
+ * Common misspellings of keys of package.json fields esy understands, checked
+ * before falling back to edit distance based suggestions.
+ *
+ * @flow
+ */
+
+module.exports = {
+  // top level
+  buildTimeDependancies: 'buildTimeDependencies',
+  buildTimeDeps: 'buildTimeDependencies',
+  buildDependencies: 'buildTimeDependencies',
+  buildtimeDependencies: 'buildTimeDependencies',
+
+  // esy
+  buildInSource: 'buildsInSource',
+  buildInsource: 'buildsInSource',
+  buildsInsource: 'buildsInSource',
+  inSource: 'buildsInSource',
+  buildtimeOnly: 'buildTimeOnly',
+  buildOnly: 'buildTimeOnly',
+  exportEnv: 'exportedEnv',
+  exportedEnvVars: 'exportedEnv',
+  exportedEnvironment: 'exportedEnv',
+  exportedVars: 'exportedEnv',
+  env: 'exportedEnv',
+  builds: 'build',
+  buildCommand: 'build',
+  script: 'build',
+  override: 'overrides',
+  packageOverrides: 'overrides',
+
+  // esy.overrides.<package>
+  extends: 'extend',
+  append: 'extend',
+
+  // esy.exportedEnv.<name>
+  scopes: 'scope',
+  value: 'val',
+  exlusive: 'exclusive',
+  exclusivity: 'exclusive',
+};
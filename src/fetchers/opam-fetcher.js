@@ -5,10 +5,27 @@
 import type {FetchedOverride} from '../types.js';
 import path from 'path';
 import http from 'http';
-import {SecurityError} from '../errors.js';
+import {MessageError, SecurityError} from '../errors.js';
 import type {OpamManifest} from '../resolvers/exotics/opam-resolver';
 import {parseOpamResolution, lookupOpamPackageManifest} from '../resolvers/exotics/opam-resolver';
+import type {Checksum} from '../opam/checksum.js';
+import {
+  formatChecksum,
+  getChecksums,
+  getStrongestChecksum,
+  isStrongChecksum,
+  parseChecksum,
+} from '../opam/checksum.js';
+import type {ArchiveFormat, GitSource} from '../opam/source.js';
+import {
+  ARCHIVE_HEADER_LENGTH,
+  detectArchiveFormat,
+  getArchiveFormatFromFilename,
+  parseGitSource,
+} from '../opam/source.js';
 import BaseFetcher from '../fetchers/base-fetcher.js';
+import GitFetcher from '../fetchers/git-fetcher.js';
+import Git from '../util/git.js';
 import * as constants from '../constants.js';
 import * as fs from '../util/fs.js';
 import * as child from '../util/child.js';
@@ -24,10 +41,17 @@ export default class OpamFetcher extends BaseFetcher {
     const manifest = await lookupOpamPackageManifest(resolution.name, resolution.version, this.config);
     let hash = this.hash || '';
 
-    if (manifest.opam.url != null) {
+    const {url} = manifest.opam;
+    const gitSource = url != null ? parseGitSource(url) : null;
+    if (gitSource != null) {
+      hash = await this._fetchGit(manifest, gitSource);
+    } else if (url != null) {
+      const checksums = this._getChecksums(manifest);
       const tarballStorePath = path.join(dest, constants.TARBALL_FILENAME);
-      const tarballFormat = getTarballFormatFromFilename(manifest.opam.url);
-      hash = await this._fetchTarball(manifest, tarballStorePath, tarballFormat);
+      await this._fetchTarball(url, tarballStorePath, checksums);
+      const strongest = getStrongestChecksum(checksums);
+      hash = strongest != null ? formatChecksum(strongest) : hash;
+      const tarballFormat = await getArchiveFormat(tarballStorePath, url);
       await unpackTarball(tarballStorePath, dest, tarballFormat);
     }
 
@@ -55,9 +79,53 @@ export default class OpamFetcher extends BaseFetcher {
     return fetchOverride;
   }
 
-  _fetchTarball(manifest: OpamManifest, filename: string): Promise<string> {
+  /**
+   * Git sources are resolved to commits by `OpamResolver`, those are fetched
+   * the same way git dependencies are.
+   */
+  async _fetchGit(manifest: OpamManifest, source: GitSource): Promise<string> {
+    const commit = this.hash;
+    if (commit == null || !Git.isCommitHash(commit)) {
+      throw new SecurityError(
+        `${manifest.name}@${manifest.version}: ${source.url} is not resolved to a commit`,
+      );
+    }
+    const fetcher = new GitFetcher(this.dest, {
+      type: 'git',
+      registry: this.registry,
+      reference: source.url,
+      hash: commit,
+    }, this.config);
+    await fetcher.fetchFromExternal();
+    return commit;
+  }
+
+  /**
+   * Checksums to verify the source against: the ones of the package and the
+   * one recorded in the lockfile. At least one of those should be strong
+   * unless `opam-allow-weak-checksums` option is set.
+   */
+  _getChecksums(manifest: OpamManifest): Array<Checksum> {
+    const checksums = getChecksums(manifest);
+    const locked = this.hash ? parseChecksum(this.hash) : null;
+    if (locked != null) {
+      checksums.push(locked);
+    }
+    if (!checksums.some(isStrongChecksum) && !this.config.getOption('opam-allow-weak-checksums')) {
+      const found = checksums.length > 0
+        ? `only ${checksums.map((checksum) => checksum.algorithm).join(', ')} checksums found`
+        : 'no checksums found';
+      throw new SecurityError(
+        `${manifest.name}@${manifest.version}: sha256 or sha512 checksum is required to verify ` +
+        `${manifest.opam.url}, ${found}`,
+      );
+    }
+    return checksums;
+  }
+
+  _fetchTarball(url: string, filename: string, checksums: Array<Checksum>): Promise<void> {
     const registry = this.config.registries[this.registry];
-    return registry.request(manifest.opam.url, {
+    return registry.request(url, {
       headers: {
         'Accept-Encoding': 'gzip',
         'Accept': 'application/octet-stream',
@@ -77,20 +145,23 @@ export default class OpamFetcher extends BaseFetcher {
         };
 
         req.on('response', handleRequestError);
-        writeValidatedStream(req, filename, manifest.opam.checksum).then(resolve, reject);
+        writeValidatedStream(req, filename, checksums).then(resolve, reject);
       },
     });
   }
 
 }
 
-function writeValidatedStream(stream, filename, md5checksum = null): Promise<string> {
-  const hasher = nodeCrypto.createHash('md5');
+function writeValidatedStream(stream, filename, checksums: Array<Checksum>): Promise<void> {
+  const hashers = new Map();
+  for (const {algorithm} of checksums) {
+    hashers.set(algorithm, nodeCrypto.createHash(algorithm));
+  }
   return new Promise((resolve, reject) => {
     const out = nodeFs.createWriteStream(filename);
     stream
       .on('data', (chunk) => {
-        if (md5checksum != null) {
+        for (const hasher of hashers.values()) {
           hasher.update(chunk);
         }
       })
@@ -99,16 +170,20 @@ function writeValidatedStream(stream, filename, md5checksum = null): Promise<str
         reject(err);
       })
       .on('finish', () => {
-        const actualChecksum = hasher.digest('hex');
-        if (md5checksum != null) {
-          if (actualChecksum !== md5checksum) {
+        const digests = new Map();
+        for (const [algorithm, hasher] of hashers) {
+          digests.set(algorithm, hasher.digest('hex'));
+        }
+        for (const {algorithm, digest} of checksums) {
+          const actualDigest = digests.get(algorithm);
+          if (actualDigest !== digest) {
             reject(new SecurityError(
-              `Incorrect md5sum (expected ${md5checksum}, got ${actualChecksum})`,
+              `Incorrect ${algorithm} checksum (expected ${digest}, got ${String(actualDigest)})`,
             ));
             return;
           }
         }
-        resolve(actualChecksum);
+        resolve();
       });
     if (stream.resume) {
       stream.resume();
@@ -124,12 +199,12 @@ function writeJson(filename, object): Promise<void> {
 function unpackTarball(
   filename,
   dest,
-  format: 'gzip' | 'bzip' | 'zip' | 'xz',
+  format: ArchiveFormat,
 ): Promise<void> {
   if (format === 'zip') {
     return extractZipIntoDirectory(filename, dest, {strip: 1});
   } else {
-    const unpackOptions = format === 'gzip' ? '-xzf' : format === 'xz' ? '-xJf' : '-xjf';
+    const unpackOptions = {gzip: '-xzf', xz: '-xJf', bzip: '-xjf', tar: '-xf'}[format];
     return child.exec(`tar ${unpackOptions} ${filename} --strip-components 1 -C ${dest}`);
   }
 }
@@ -156,21 +231,25 @@ function extractZipIntoDirectory(filename, dest, options): Promise<void> {
   });
 }
 
-function getTarballFormatFromFilename(filename): 'gzip' | 'bzip' | 'zip' | 'xz' {
-  if (filename.endsWith('.tgz') || filename.endsWith('.tar.gz')) {
-    return 'gzip';
-  } else if (
-    filename.endsWith('.tar.bz') ||
-    filename.endsWith('.tar.bz2') ||
-    filename.endsWith('.tbz')
-  ) {
-    return 'bzip';
-  } else if (filename.endsWith('.zip')) {
-    return 'zip';
-  } else if (filename.endsWith('.xz')) {
-    return 'xz';
-  } else {
-    // XXX: default to gzip? Is this safe?
-    return 'gzip';
+/**
+ * Detect archive format by its magic bytes, file extension is used only for
+ * formats we can't detect this way.
+ */
+async function getArchiveFormat(filename: string, url: string): Promise<ArchiveFormat> {
+  const header = await readHeader(filename, ARCHIVE_HEADER_LENGTH);
+  const format = detectArchiveFormat(header) || getArchiveFormatFromFilename(url);
+  if (format == null) {
+    throw new MessageError(`Unknown archive format of ${url}`);
   }
+  return format;
+}
+
+function readHeader(filename: string, length: number): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    nodeFs.createReadStream(filename, {start: 0, end: length - 1})
+      .on('data', (chunk) => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
 }
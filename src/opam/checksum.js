@@ -0,0 +1,86 @@
+/* @flow */
+
+/**
+ * Checksums of opam package sources.
+ *
+ * Those are written as `<algorithm>=<hex digest>` like in opam `url` sections,
+ * a bare md5 digest is accepted too as that's what opam 1.2 `url` files have.
+ */
+
+import type {OpamManifest} from '../resolvers/exotics/opam-resolver.js';
+
+import {MessageError} from '../errors.js';
+
+export type ChecksumAlgorithm = 'md5' | 'sha256' | 'sha512';
+
+export type Checksum = {
+  algorithm: ChecksumAlgorithm,
+  digest: string,
+};
+
+// Known algorithms from the weakest to the strongest.
+export const ALGORITHMS: Array<ChecksumAlgorithm> = ['md5', 'sha256', 'sha512'];
+
+const STRONG_ALGORITHMS: Set<ChecksumAlgorithm> = new Set(['sha256', 'sha512']);
+
+const DIGEST_LENGTH = {
+  md5: 32,
+  sha256: 64,
+  sha512: 128,
+};
+
+/**
+ * Parse checksum, returns null for checksums of algorithms we don't know.
+ */
+export function parseChecksum(value: string): ?Checksum {
+  if (/^[a-f0-9]{32}$/.test(value)) {
+    return {algorithm: 'md5', digest: value};
+  }
+  const match = value.match(/^([a-z0-9]+)=([a-fA-F0-9]+)$/);
+  if (match == null) {
+    throw new MessageError(`Invalid checksum "${value}"`);
+  }
+  const algorithm = ALGORITHMS.find((known) => known === match[1]);
+  if (algorithm == null) {
+    return null;
+  }
+  const digest = match[2].toLowerCase();
+  if (digest.length !== DIGEST_LENGTH[algorithm]) {
+    throw new MessageError(`Invalid ${algorithm} checksum "${value}"`);
+  }
+  return {algorithm, digest};
+}
+
+export function formatChecksum(checksum: Checksum): string {
+  return `${checksum.algorithm}=${checksum.digest}`;
+}
+
+export function isStrongChecksum(checksum: Checksum): boolean {
+  return STRONG_ALGORITHMS.has(checksum.algorithm);
+}
+
+/**
+ * Checksums of the package source we know how to verify.
+ */
+export function getChecksums(manifest: OpamManifest): Array<Checksum> {
+  const {opam} = manifest;
+  const values = opam.checksums || (opam.checksum != null ? [opam.checksum] : []);
+  const checksums = [];
+  for (const value of values) {
+    const checksum = parseChecksum(value);
+    if (checksum != null) {
+      checksums.push(checksum);
+    }
+  }
+  return checksums;
+}
+
+export function getStrongestChecksum(checksums: Array<Checksum>): ?Checksum {
+  let strongest = null;
+  for (const checksum of checksums) {
+    if (strongest == null || ALGORITHMS.indexOf(checksum.algorithm) > ALGORITHMS.indexOf(strongest.algorithm)) {
+      strongest = checksum;
+    }
+  }
+  return strongest;
+}
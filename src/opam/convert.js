@@ -0,0 +1,781 @@
+/* @flow */
+
+/**
+ * Conversion of opam packages into package.json manifests of `@opam-alpha/*`
+ * packages, see `OpamResolver`.
+ *
+ * Build and install commands are translated into esy build commands:
+ *
+ *  - opam variables are replaced with esy environment variables (`prefix`
+ *    becomes `$cur__install`, `pkg:installed` becomes `$pkg_installed`, ...),
+ *    unknown variables are reported as errors.
+ *  - filters which can be decided at conversion time are evaluated, the rest is
+ *    compiled into shell conditionals.
+ *  - `substs` and `patches` are performed before the build.
+ *
+ * Package versions are kept as they are and version constraints are written
+ * in the format `src/opam/version.js` understands. Packages which are needed
+ * only to run tests or build docs are skipped. Alternatives between packages
+ * (`"a" | "b"`) resolve to the first of them, the rest is reported.
+ *
+ * Optional dependencies (`depopts`) are installed unless those are known not to
+ * build with esy, see `src/opam/overrides.js` which also has adjustments of
+ * particular packages.
+ */
+
+import type {OpamManifest} from '../resolvers/exotics/opam-resolver.js';
+import type {Reporter} from '../reporters/index.js';
+import type {OpamFile, OpamValue} from './parse.js';
+import type {VersionConstraint} from './version.js';
+
+import parse, {getField} from './parse.js';
+import {formatConstraint} from './version.js';
+import {formatChecksum, parseChecksum} from './checksum.js';
+import {toGitSource} from './source.js';
+import {EXTRA_DEPENDENCIES, OPAM_DEPOPT_BLACKLIST, getOverride, isDependencyAllowed} from './overrides.js';
+import {MessageError} from '../errors.js';
+import * as fs from '../util/fs.js';
+
+const path = require('path');
+
+export const OPAM_SCOPE = 'opam-alpha';
+
+const DEFAULT_OCAML_RANGE = '>= 4.2.3';
+
+const ALWAYS_DEPENDENCIES = {
+  substs: 'esy-ocaml/substs',
+  'opam-installer-bin': 'esy-ocaml/opam-installer-bin',
+};
+
+// Dependency flags, packages with any of those are not installed.
+const SKIPPED_DEPENDENCY_FLAGS = new Set(['test', 'doc', 'with-test', 'with-doc', 'dev', 'post']);
+
+const DEPENDENCY_FLAGS = new Set([...SKIPPED_DEPENDENCY_FLAGS, 'build']);
+
+// Flags which can appear in filters of commands, none of those is set when
+// building with esy.
+const FILTER_FLAGS = new Set(['test', 'doc', 'with-test', 'with-doc', 'dev', 'pinned', 'build-test', 'build-doc']);
+
+const DIRECTORY_VARIABLES = {
+  prefix: '$cur__install',
+  bin: '$cur__bin',
+  sbin: '$cur__sbin',
+  lib: '$cur__lib',
+  man: '$cur__man',
+  doc: '$cur__doc',
+  share: '$cur__share',
+  etc: '$cur__etc',
+  stublibs: '$cur__stublibs',
+  toplevel: '$cur__toplevel',
+};
+
+export type OpamPackage = {
+  name: string,
+  version: string,
+  opam: OpamFile,
+  // opam 1.2 keeps the source in a separate `url` file.
+  url: ?OpamFile,
+  files: Array<{name: string, content: string}>,
+};
+
+// Value which is either known at conversion time or computed by the shell.
+type Value = {static: true, value: string} | {static: false, shell: string};
+
+// Condition which is either known at conversion time or a shell command.
+type Condition = boolean | string;
+
+export async function readOpamPackage(name: string, version: string, dir: string): Promise<OpamPackage> {
+  const opamPath = path.join(dir, 'opam');
+  const urlPath = path.join(dir, 'url');
+  const filesPath = path.join(dir, 'files');
+
+  const opam = parse(await fs.readFile(opamPath), opamPath);
+  const url = (await fs.exists(urlPath)) ? parse(await fs.readFile(urlPath), urlPath) : null;
+
+  const files = [];
+  if (await fs.exists(filesPath)) {
+    for (const filename of (await fs.readdir(filesPath)).sort()) {
+      const filePath = path.join(filesPath, filename);
+      if (!(await fs.stat(filePath)).isFile()) {
+        throw new MessageError(`Only plain files are supported in ${filesPath}: ${filename}`);
+      }
+      const content = await fs.readFile(filePath);
+      // loosy check for binary
+      if (content.indexOf('\0') > -1) {
+        throw new MessageError(`Binary files are not supported: ${filePath}`);
+      }
+      files.push({name: filename, content});
+    }
+  }
+
+  return {name, version, opam, url, files};
+}
+
+/**
+ * Mirrors how esy turns package names into environment variable names:
+ *
+ *    @    (removed)
+ *    .    __dot__
+ *    /    __slash__
+ *    -    _
+ *    _    ___
+ */
+export function normalizeVarName(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/@/g, '')
+    .replace(/_+/g, (underscores) => `${underscores}__`)
+    .replace(/\./g, '__dot__')
+    .replace(/\//g, '__slash__')
+    .replace(/-/g, '_');
+}
+
+function normalizeVersionSegment(segment: string): string {
+  return segment.replace(/[^0-9]/g, '').replace(/^0+/, '') || '0';
+}
+
+/**
+ * Convert opam version into semver compatible version, those are needed only
+ * for dependencies on packages which come from npm.
+ */
+export function toNpmVersion(version: string): string {
+  let suffix = '';
+  const plus = version.indexOf('+');
+  if (plus > -1) {
+    suffix = version.slice(plus + 1).replace(/[^0-9]/g, '');
+    version = version.slice(0, plus);
+  }
+  const [major, minor, ...patch] = version.split('.');
+  if (minor == null) {
+    return `${normalizeVersionSegment(major)}.${normalizeVersionSegment(suffix)}.0`;
+  } else if (patch.length === 0) {
+    return `${normalizeVersionSegment(major)}.${normalizeVersionSegment(minor + suffix)}.0`;
+  } else {
+    // Segments after the third one and the suffix go into patch version.
+    const rest = normalizeVersionSegment(patch.join('') + suffix);
+    return `${normalizeVersionSegment(major)}.${normalizeVersionSegment(minor)}.${rest}`;
+  }
+}
+
+export function scopedName(name: string): string {
+  return `@${OPAM_SCOPE}/${name}`;
+}
+
+// Strings which don't need quoting in shell.
+const SAFE_WORD_RE = /^[a-zA-Z0-9_\-+=.,/:@%^]+$/;
+
+export function quoteShell(word: string): string {
+  if (SAFE_WORD_RE.test(word)) {
+    return word;
+  }
+  return `'${word.replace(/'/g, `'\\''`)}'`;
+}
+
+function escapeDoubleQuoted(value: string): string {
+  return value.replace(/[\\"$`]/g, (c) => `\\${c}`);
+}
+
+function describe(value: OpamValue): string {
+  switch (value.type) {
+    case 'String':
+      return JSON.stringify(value.value);
+    case 'Ident':
+      return value.name;
+    default:
+      return value.type.toLowerCase();
+  }
+}
+
+class Converter {
+  constructor(pkg: OpamPackage, reporter: ?Reporter) {
+    this.pkg = pkg;
+    this.reporter = reporter;
+    this.varName = normalizeVarName(pkg.name);
+  }
+
+  pkg: OpamPackage;
+  reporter: ?Reporter;
+  varName: string;
+
+  error(msg: string): MessageError {
+    return new MessageError(`${this.pkg.name}.${this.pkg.version}: ${msg}`);
+  }
+
+  warn(msg: string) {
+    if (this.reporter != null) {
+      this.reporter.warn(`${this.pkg.name}.${this.pkg.version}: ${msg}`);
+    }
+  }
+
+  resolveVariable(name: string): Value {
+    const {pkg} = this;
+    let packageName = null;
+    let variable = name;
+    const colon = name.indexOf(':');
+    if (colon > -1) {
+      packageName = name.slice(0, colon);
+      variable = name.slice(colon + 1);
+      if (packageName === '_' || packageName === pkg.name) {
+        packageName = null;
+      }
+    }
+
+    if (packageName != null) {
+      const varName = normalizeVarName(packageName.split('+')[0]);
+      switch (variable) {
+        case 'installed':
+          return {static: false, shell: `\${${varName}_installed:-false}`};
+        case 'enable':
+          return {static: false, shell: `\${${varName}_enable:-disable}`};
+        case 'version':
+          return {static: false, shell: `\${${varName}_version}`};
+        default:
+          if (DIRECTORY_VARIABLES[variable] != null && variable !== 'prefix') {
+            return {static: false, shell: `$${normalizeVarName(scopedName(packageName))}__${variable}`};
+          }
+          throw this.error(`unknown variable "${name}"`);
+      }
+    }
+
+    switch (variable) {
+      case 'name':
+        return {static: true, value: pkg.name};
+      case 'version':
+        return {static: true, value: pkg.version};
+      case 'make':
+        return {static: true, value: 'make'};
+      case 'jobs':
+        return {static: true, value: '4'};
+      case 'installed':
+        return {static: true, value: 'true'};
+      case 'enable':
+        return {static: true, value: 'enable'};
+      case 'ocaml-native':
+      case 'ocaml-native-dynlink':
+      case 'ocaml-native-tools':
+      case 'preinstalled':
+        return {static: true, value: 'true'};
+      case 'pinned':
+        return {static: true, value: 'false'};
+      case 'os':
+        return {static: false, shell: '$(uname -s | tr A-Z a-z)'};
+      default:
+        if (DIRECTORY_VARIABLES[variable] != null) {
+          return {static: false, shell: DIRECTORY_VARIABLES[variable]};
+        }
+        throw this.error(`unknown variable "${name}"`);
+    }
+  }
+
+  /**
+   * Expand `%{var}%` interpolations within a string.
+   */
+  interpolate(value: string): Value {
+    const parts: Array<Value> = [];
+    const re = /%\{([^}]*)\}%/g;
+    let last = 0;
+    let match;
+    while ((match = re.exec(value)) != null) {
+      parts.push({static: true, value: value.slice(last, match.index)});
+      parts.push(this.resolveVariable(match[1]));
+      last = match.index + match[0].length;
+    }
+    parts.push({static: true, value: value.slice(last)});
+    if (parts.every((part) => part.static)) {
+      return {static: true, value: parts.map((part) => (part.static ? part.value : '')).join('')};
+    }
+    const shell = parts.map((part) => (part.static ? escapeDoubleQuoted(part.value) : part.shell)).join('');
+    return {static: false, shell};
+  }
+
+  evalValue(value: OpamValue): Value {
+    switch (value.type) {
+      case 'String':
+        return this.interpolate(value.value);
+      case 'Ident':
+        return this.resolveVariable(value.name);
+      case 'Int':
+        return {static: true, value: String(value.value)};
+      case 'Bool':
+        return {static: true, value: value.value ? 'true' : 'false'};
+      default:
+        throw this.error(`expected a string or a variable, got ${describe(value)}`);
+    }
+  }
+
+  renderWord(value: OpamValue): string {
+    const result = this.evalValue(value);
+    return result.static ? quoteShell(result.value) : `"${result.shell}"`;
+  }
+
+  evalCondition(value: OpamValue): Condition {
+    switch (value.type) {
+      case 'Bool':
+        return value.value;
+      case 'Group':
+        if (value.items.length !== 1) {
+          throw this.error('expected a single filter within parens');
+        }
+        return this.evalCondition(value.items[0]);
+      case 'String':
+      case 'Ident': {
+        if (value.type === 'Ident' && FILTER_FLAGS.has(value.name)) {
+          return false;
+        }
+        const result = this.evalValue(value);
+        if (result.static) {
+          if (result.value !== 'true' && result.value !== 'false') {
+            throw this.error(`expected a boolean in a filter, got ${describe(value)} = "${result.value}"`);
+          }
+          return result.value === 'true';
+        }
+        return `[ "${result.shell}" = "true" ]`;
+      }
+      case 'Not': {
+        const cond = this.evalCondition(value.value);
+        return typeof cond === 'boolean' ? !cond : `! ${group(cond)}`;
+      }
+      case 'Logop': {
+        const left = this.evalCondition(value.left);
+        const right = this.evalCondition(value.right);
+        if (value.op === '&') {
+          if (left === false || right === false) {
+            return false;
+          } else if (left === true) {
+            return right;
+          } else if (right === true) {
+            return left;
+          }
+          return `${group(left)} && ${group(right)}`;
+        } else {
+          if (left === true || right === true) {
+            return true;
+          } else if (left === false) {
+            return right;
+          } else if (right === false) {
+            return left;
+          }
+          return `${group(left)} || ${group(right)}`;
+        }
+      }
+      case 'Relop': {
+        const left = this.evalValue(value.left);
+        const right = this.evalValue(value.right);
+        if (value.op !== '=' && value.op !== '!=') {
+          throw this.error(`comparison "${value.op}" is not supported in filters`);
+        }
+        if (left.static && right.static) {
+          return (left.value === right.value) === (value.op === '=');
+        }
+        const op = value.op === '=' ? '=' : '!=';
+        return `[ ${shellOperand(left)} ${op} ${shellOperand(right)} ]`;
+      }
+      default:
+        throw this.error(`unsupported filter: ${describe(value)}`);
+    }
+  }
+
+  /**
+   * Commands of a `build`/`install` like field, both `[cmd args]` and
+   * `[[cmd args] [cmd args]]` forms are accepted.
+   */
+  convertCommands(value: ?OpamValue): Array<string> {
+    if (value == null) {
+      return [];
+    }
+    if (value.type !== 'List') {
+      throw this.error(`expected a list of commands, got ${describe(value)}`);
+    }
+    const isCommand = (item) => item.type === 'List' || (item.type === 'Option' && item.value.type === 'List');
+    const commands = value.items.length > 0 && value.items.every(isCommand) ? value.items : [value];
+    const result = [];
+    for (const command of commands) {
+      const rendered = this.convertCommand(command);
+      if (rendered != null) {
+        result.push(rendered);
+      }
+    }
+    return result;
+  }
+
+  convertCommand(command: OpamValue): ?string {
+    let cond = true;
+    if (command.type === 'Option') {
+      cond = this.evalFilters(command.options);
+      command = command.value;
+    }
+    if (cond === false || command.type !== 'List') {
+      return null;
+    }
+    const words = [];
+    for (let arg of command.items) {
+      if (arg.type === 'Option') {
+        const argCond = this.evalFilters(arg.options);
+        if (typeof argCond === 'string') {
+          throw this.error(`filters on arguments which depend on the build environment are not supported: ${argCond}`);
+        }
+        if (!argCond) {
+          continue;
+        }
+        arg = arg.value;
+      }
+      words.push(this.renderWord(arg));
+    }
+    if (words.length === 0) {
+      return null;
+    }
+    const line = words.join(' ');
+    return cond === true ? line : `if ${cond}; then ${line}; fi`;
+  }
+
+  evalFilters(filters: Array<OpamValue>): Condition {
+    if (filters.length === 0) {
+      return true;
+    }
+    if (filters.length > 1) {
+      throw this.error('expected a single filter');
+    }
+    return this.evalCondition(filters[0]);
+  }
+
+  /**
+   * Convert version constraint of a dependency, collects flags of the
+   * dependency too.
+   */
+  convertConstraint(value: OpamValue, flags: Set<string>): VersionConstraint {
+    switch (value.type) {
+      case 'Ident':
+        if (!DEPENDENCY_FLAGS.has(value.name)) {
+          throw this.error(`unknown dependency flag "${value.name}"`);
+        }
+        flags.add(value.name);
+        return {type: 'any'};
+      case 'Group':
+        if (value.items.length !== 1) {
+          throw this.error('expected a single constraint within parens');
+        }
+        return this.convertConstraint(value.items[0], flags);
+      case 'PrefixRelop': {
+        const result = this.evalValue(value.value);
+        if (!result.static) {
+          throw this.error(`version constraint should be known at conversion time: ${describe(value.value)}`);
+        }
+        if (value.op === '~') {
+          throw this.error('"~" constraints are not supported');
+        }
+        return {type: 'version', op: value.op, version: result.value};
+      }
+      case 'Logop': {
+        const left = this.convertConstraint(value.left, flags);
+        const right = this.convertConstraint(value.right, flags);
+        return {type: value.op === '&' ? 'and' : 'or', left, right};
+      }
+      default:
+        throw this.error(`unsupported version constraint: ${describe(value)}`);
+    }
+  }
+
+  convertConstraints(options: Array<OpamValue>): {constraint: VersionConstraint, flags: Set<string>} {
+    const flags = new Set();
+    const constraints = options.map((option) => this.convertConstraint(option, flags));
+    return {constraint: allOf(constraints), flags};
+  }
+
+  /**
+   * Flatten dependency formula into a list of `{name, constraint}`.
+   */
+  convertDependencies(value: ?OpamValue): Array<{name: string, constraint: VersionConstraint}> {
+    if (value == null) {
+      return [];
+    }
+    const result = [];
+    const visit = (formula: OpamValue) => {
+      switch (formula.type) {
+        case 'List':
+          formula.items.forEach(visit);
+          break;
+        case 'Group':
+          formula.items.forEach(visit);
+          break;
+        case 'Logop':
+          visit(formula.left);
+          if (formula.op === '&') {
+            visit(formula.right);
+          } else {
+            const skipped = dependencyNames(formula.right).map((name) => `"${name}"`).join(', ');
+            this.warn(`only the first of alternative dependencies is installed, skipping ${skipped}`);
+          }
+          break;
+        case 'String':
+          result.push({name: formula.value, constraint: {type: 'any'}});
+          break;
+        case 'Option': {
+          if (formula.value.type !== 'String') {
+            throw this.error(`expected a package name, got ${describe(formula.value)}`);
+          }
+          const {constraint, flags} = this.convertConstraints(formula.options);
+          if ([...flags].some((flag) => SKIPPED_DEPENDENCY_FLAGS.has(flag))) {
+            break;
+          }
+          result.push({name: formula.value.value, constraint});
+          break;
+        }
+        default:
+          throw this.error(`expected a package name, got ${describe(formula)}`);
+      }
+    };
+    visit(value);
+    return result;
+  }
+
+  /**
+   * Constraints on OCaml version, from `ocaml-version` in `available`.
+   */
+  convertAvailable(value: ?OpamValue): Array<VersionConstraint> {
+    if (value == null) {
+      return [];
+    }
+    const constraints = [];
+    const visit = (formula: OpamValue) => {
+      if (formula.type === 'List' || formula.type === 'Group') {
+        formula.items.forEach(visit);
+      } else if (formula.type === 'Logop' && formula.op === '&') {
+        visit(formula.left);
+        visit(formula.right);
+      } else if (
+        formula.type === 'Relop' &&
+        formula.left.type === 'Ident' &&
+        formula.left.name === 'ocaml-version'
+      ) {
+        const prefixRelop = {type: 'PrefixRelop', op: formula.op, value: formula.right};
+        constraints.push(this.convertConstraints([prefixRelop]).constraint);
+      }
+    };
+    visit(value);
+    return constraints;
+  }
+
+  /**
+   * Virtual packages (`conf-*` ones which check for system libraries, for
+   * example) don't have sources.
+   */
+  convertSource(): {url: ?string, checksums: Array<string>} {
+    const {pkg} = this;
+    const file = pkg.url || pkg.opam;
+    const prefix = pkg.url != null ? '' : 'url.';
+    let urlField = null;
+    let urlValue = null;
+    for (const field of ['archive', 'http', 'src', 'git']) {
+      urlValue = getField(file, `${prefix}${field}`);
+      if (urlValue != null) {
+        urlField = field;
+        break;
+      }
+    }
+    if (urlValue == null) {
+      return {url: null, checksums: []};
+    }
+    if (urlValue.type !== 'String') {
+      throw this.error(`expected source url to be a string, got ${describe(urlValue)}`);
+    }
+    const checksumValue = getField(file, `${prefix}checksum`);
+    const checksums = [];
+    if (checksumValue != null) {
+      const items = checksumValue.type === 'List' ? checksumValue.items : [checksumValue];
+      for (const item of items) {
+        if (item.type !== 'String') {
+          throw this.error(`expected checksum to be a string, got ${describe(item)}`);
+        }
+        let checksum;
+        try {
+          checksum = parseChecksum(item.value);
+        } catch (err) {
+          throw this.error(err.message);
+        }
+        // Checksums of algorithms we don't know are kept as they are.
+        checksums.push(checksum != null ? formatChecksum(checksum) : item.value);
+      }
+    }
+    // opam 1.2 `git` field has urls of repositories without `git+` prefix
+    const url = urlField === 'git' ? toGitSource(urlValue.value) : urlValue.value;
+    return {url, checksums};
+  }
+
+  convert(): OpamManifest {
+    const {pkg, varName} = this;
+    const {opam} = pkg;
+    const override = getOverride(pkg.name);
+    const version = override.version != null ? override.version(pkg.version) : pkg.version;
+
+    let build = [];
+    const substs = getField(opam, 'substs');
+    if (substs != null) {
+      const items = substs.type === 'List' ? substs.items : [substs];
+      for (const item of items) {
+        const subst = this.stripFilter(item, 'substs');
+        if (subst != null) {
+          build.push(`substs ${this.renderWord(subst)}.in`);
+        }
+      }
+    }
+    const patches = getField(opam, 'patches');
+    if (patches != null) {
+      const items = patches.type === 'List' ? patches.items : [patches];
+      for (const item of items) {
+        const patch = this.stripFilter(item, 'patches');
+        if (patch != null) {
+          build.push(`patch -p1 < ${this.renderWord(patch)}`);
+        }
+      }
+    }
+    build.push(...this.convertCommands(getField(opam, 'build')));
+    build.push(...this.convertCommands(getField(opam, 'install')));
+    build.push('(opam-installer --prefix=$cur__install || true)');
+    if (override.build != null) {
+      build = override.build;
+    }
+
+    const dependencies = {...ALWAYS_DEPENDENCIES};
+    const ocamlConstraints = this.convertAvailable(getField(opam, 'available'));
+    const allDependencies = [
+      ...this.convertDependencies(getField(opam, 'depends')),
+      ...this.convertDependencies(getField(opam, 'depopts')).filter(({name}) => !OPAM_DEPOPT_BLACKLIST.has(name)),
+    ];
+    for (const {name, constraint} of allDependencies) {
+      if (name.startsWith('base-') || !isDependencyAllowed(pkg.name, name)) {
+        continue;
+      }
+      if (name === 'ocaml') {
+        ocamlConstraints.push(constraint);
+        continue;
+      }
+      dependencies[scopedName(name)] = formatConstraint(constraint);
+    }
+    Object.assign(dependencies, EXTRA_DEPENDENCIES[pkg.name]);
+    // OCaml comes from npm and has semver versions.
+    const ocamlRange = toNpmRange(allOf(ocamlConstraints));
+
+    const {url, checksums} = this.convertSource();
+    const opamInfo: Object = {url, files: pkg.files};
+    if (checksums.length > 0) {
+      opamInfo.checksums = checksums;
+    }
+
+    const exportedEnv = {
+      [`${varName}_version`]: {val: version, scope: 'global'},
+      [`${varName}_enable`]: {val: 'enable', scope: 'global'},
+      [`${varName}_installed`]: {val: 'true', scope: 'global'},
+    };
+    if (override.camlLdLibraryPath != null) {
+      const libPath = override.camlLdLibraryPath === 'stublibs' ? 'stublibs' : pkg.name;
+      exportedEnv.CAML_LD_LIBRARY_PATH = {
+        val: `$${normalizeVarName(scopedName(pkg.name))}__lib/${libPath}:$CAML_LD_LIBRARY_PATH`,
+        scope: 'global',
+      };
+    }
+
+    return {
+      name: scopedName(pkg.name),
+      version,
+      scripts: {},
+      peerDependencies: {
+        ocaml: ocamlRange === '*' ? DEFAULT_OCAML_RANGE : ocamlRange,
+      },
+      dependencies,
+      esy: {
+        build,
+        buildsInSource: true,
+        exportedEnv,
+      },
+      opam: opamInfo,
+    };
+  }
+
+  /**
+   * Value of a list item which might have a filter, null if filtered out.
+   */
+  stripFilter(item: OpamValue, field: string): ?OpamValue {
+    if (item.type !== 'Option') {
+      return item;
+    }
+    const cond = this.evalFilters(item.options);
+    if (typeof cond === 'string') {
+      throw this.error(`filters in "${field}" which depend on the build environment are not supported: ${cond}`);
+    }
+    return cond ? item.value : null;
+  }
+}
+
+function group(cond: string): string {
+  return /&&|\|\|/.test(cond) ? `( ${cond} )` : cond;
+}
+
+function shellOperand(value: Value): string {
+  return value.static ? quoteShell(value.value) : `"${value.shell}"`;
+}
+
+/**
+ * Names of packages a dependency formula refers to.
+ */
+function dependencyNames(formula: OpamValue): Array<string> {
+  switch (formula.type) {
+    case 'String':
+      return [formula.value];
+    case 'Option':
+      return dependencyNames(formula.value);
+    case 'List':
+    case 'Group':
+      return [].concat(...formula.items.map(dependencyNames));
+    case 'Logop':
+      return [...dependencyNames(formula.left), ...dependencyNames(formula.right)];
+    default:
+      return [];
+  }
+}
+
+function allOf(constraints: Array<VersionConstraint>): VersionConstraint {
+  return constraints.reduce((left, right) => ({type: 'and', left, right}), {type: 'any'});
+}
+
+/**
+ * Convert constraint into an npm range.
+ */
+export function toNpmRange(constraint: VersionConstraint): string {
+  const alternatives = (c: VersionConstraint): Array<Array<string>> => {
+    switch (c.type) {
+      case 'any':
+        return [[]];
+      case 'or':
+        return alternatives(c.left).concat(alternatives(c.right));
+      case 'and': {
+        const result = [];
+        for (const l of alternatives(c.left)) {
+          for (const r of alternatives(c.right)) {
+            result.push(l.concat(r));
+          }
+        }
+        return result;
+      }
+      default: {
+        const version = toNpmVersion(c.version);
+        switch (c.op) {
+          case '=':
+            return [[version]];
+          case '!=':
+            return [[`<${version}`], [`>${version}`]];
+          default:
+            return [[`${c.op}${version}`]];
+        }
+      }
+    }
+  };
+  const result = alternatives(constraint);
+  if (result.some((comparators) => comparators.length === 0)) {
+    return '*';
+  }
+  return result.map((comparators) => comparators.join(' ')).join(' || ');
+}
+
+export function convertOpamPackage(pkg: OpamPackage, reporter: ?Reporter): OpamManifest {
+  return new Converter(pkg, reporter).convert();
+}
@@ -0,0 +1,122 @@
+/* @flow */
+
+/**
+ * Per package adjustments of converted opam packages, ported from the
+ * configuration of the `opam-packages-conversion` scripts.
+ */
+
+export type OpamOverride = {
+  version?: (version: string) => string,
+  build?: Array<string>,
+  // Export `CAML_LD_LIBRARY_PATH` with the `stublibs` directory of the
+  // package or with its `lib/<name>` directory.
+  camlLdLibraryPath?: 'stublibs' | 'lib',
+  // Dependencies (or optional dependencies) which are not installed.
+  excludeDependencies?: Set<string>,
+};
+
+// Optional dependencies which are never installed, those either don't build
+// with esy or pull in too much.
+export const OPAM_DEPOPT_BLACKLIST = new Set([
+  'conf-libev',
+  'lablgtk',
+  'ssl',
+  'mirage-xen',
+  'mirage-xen-ocaml',
+  'tyxml',
+  'reactiveData',
+  'deriving',
+  'ocamlbuild',
+  'js_of_ocaml',
+]);
+
+// Dependencies which are added to converted packages.
+export const EXTRA_DEPENDENCIES: {[name: string]: {[dep: string]: string}} = {
+  camomile: {
+    '@opam-alpha/cppo': '*',
+    '@opam-alpha/camlp4': '*',
+  },
+  'conf-pkg-config': {
+    'yarn-pkg-config': 'reasonml/yarn-pkg-config#esy',
+  },
+  ctypes: {
+    libffi: 'reasonml/libffi#esy',
+  },
+};
+
+const CLEANUP = '(make clean || true)';
+const OPAM_INSTALL = '(opam-installer --prefix=$cur__install || true)';
+
+const dropBetaFromVersion = (version) => version.replace('-beta', '');
+
+export const OVERRIDES: {[name: string]: OpamOverride} = {
+  'ocp-build': {version: dropBetaFromVersion},
+  'conf-gmp': {build: ['cc -c $CFLAGS -I/usr/local/include test.c']},
+  'typerex-build': {
+    version: dropBetaFromVersion,
+    build: ['./configure --prefix $cur__install', 'make', 'make install', OPAM_INSTALL],
+  },
+  ocamlbuild: {build: ['true']},
+  cppo: {
+    build: [
+      CLEANUP,
+      'make all',
+      'make opt',
+      'make ocamlbuild',
+      'make LIBDIR=$cur__lib install-lib',
+      'make BINDIR=$cur__bin install-bin',
+      OPAM_INSTALL,
+    ],
+  },
+  ctypes: {camlLdLibraryPath: 'lib'},
+  zarith: {camlLdLibraryPath: 'lib'},
+  cstruct: {camlLdLibraryPath: 'lib'},
+  launchd: {camlLdLibraryPath: 'lib'},
+  lwt: {camlLdLibraryPath: 'lib'},
+  'lambda-term': {camlLdLibraryPath: 'lib'},
+  bin_prot: {camlLdLibraryPath: 'stublibs'},
+  core_kernel: {camlLdLibraryPath: 'stublibs'},
+  core: {camlLdLibraryPath: 'stublibs'},
+  async_extra: {camlLdLibraryPath: 'stublibs'},
+  async_ssl: {camlLdLibraryPath: 'stublibs'},
+  jenga: {camlLdLibraryPath: 'stublibs'},
+  re2: {camlLdLibraryPath: 'stublibs'},
+  ppx_expect: {camlLdLibraryPath: 'stublibs'},
+  ocaml_plugin: {camlLdLibraryPath: 'stublibs'},
+  async_unix: {camlLdLibraryPath: 'stublibs'},
+  inotify: {camlLdLibraryPath: 'lib'},
+  'io-page': {camlLdLibraryPath: 'lib'},
+  pcre: {camlLdLibraryPath: 'lib'},
+  cohttp: {excludeDependencies: new Set(['mirage-net'])},
+  conduit: {excludeDependencies: new Set(['mirage-dns'])},
+  ocamlgraph: {excludeDependencies: new Set(['conf-gnomecanvas'])},
+  utop: {excludeDependencies: new Set(['camlp4'])},
+  vchan: {
+    excludeDependencies: new Set(['xen-evtchn', 'xen-gnt']),
+    camlLdLibraryPath: 'lib',
+  },
+  nocrypto: {
+    excludeDependencies: new Set(['mirage-xen', 'mirage-entropy-xen', 'zarith-xen']),
+    camlLdLibraryPath: 'lib',
+  },
+  mtime: {
+    excludeDependencies: new Set(['js_of_ocaml']),
+    camlLdLibraryPath: 'stublibs',
+  },
+};
+
+export function getOverride(name: string): OpamOverride {
+  return OVERRIDES[name] || {};
+}
+
+/**
+ * ocamlbuild is shipped with the compiler we use so packages never depend on
+ * it.
+ */
+export function isDependencyAllowed(name: string, dep: string): boolean {
+  if (dep === 'ocamlbuild') {
+    return false;
+  }
+  const {excludeDependencies} = getOverride(name);
+  return excludeDependencies == null || !excludeDependencies.has(dep);
+}
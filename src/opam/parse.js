@@ -0,0 +1,456 @@
+/* @flow */
+
+/**
+ * Parser of the opam file format (`opam`, `url` and other opam metadata
+ * files), see https://opam.ocaml.org/doc/Manual.html#Common-file-format
+ *
+ *    file    ::= item*
+ *    item    ::= ident ':' value
+ *              | ident string? '{' item* '}'
+ *    value   ::= bool | int | string | ident
+ *              | '[' value* ']'
+ *              | '(' value* ')'
+ *              | value '{' value* '}'
+ *              | value ('&' | '|') value
+ *              | ('!' | '?') value
+ *              | value relop value
+ *              | relop value
+ *
+ * `|` binds weaker than `&` which binds weaker than `!` and relops.
+ */
+
+import {MessageError} from '../errors.js';
+
+export type Relop = '=' | '!=' | '<' | '<=' | '>' | '>=' | '~';
+
+export type Logop = '&' | '|';
+
+export type OpamValue =
+  | {type: 'String', value: string}
+  | {type: 'Int', value: number}
+  | {type: 'Bool', value: boolean}
+  | {type: 'Ident', name: string}
+  | {type: 'List', items: Array<OpamValue>}
+  | {type: 'Group', items: Array<OpamValue>}
+  | {type: 'Option', value: OpamValue, options: Array<OpamValue>}
+  | {type: 'Relop', op: Relop, left: OpamValue, right: OpamValue}
+  | {type: 'PrefixRelop', op: Relop, value: OpamValue}
+  | {type: 'Logop', op: Logop, left: OpamValue, right: OpamValue}
+  | {type: 'Not', value: OpamValue}
+  | {type: 'Defined', value: OpamValue};
+
+export type OpamItem =
+  | {type: 'Field', name: string, value: OpamValue, line: number}
+  | {type: 'Section', kind: string, name: ?string, items: Array<OpamItem>, line: number};
+
+export type OpamFile = {
+  type: 'File',
+  items: Array<OpamItem>,
+};
+
+const TOKEN_TYPES = {
+  string: 'STRING',
+  int: 'INT',
+  bool: 'BOOL',
+  ident: 'IDENT',
+  colon: 'COLON',
+  lbracket: 'LBRACKET',
+  rbracket: 'RBRACKET',
+  lbrace: 'LBRACE',
+  rbrace: 'RBRACE',
+  lparen: 'LPAREN',
+  rparen: 'RPAREN',
+  relop: 'RELOP',
+  and: 'AND',
+  or: 'OR',
+  not: 'NOT',
+  defined: 'DEFINED',
+  eof: 'EOF',
+};
+
+type Token = {
+  type: string,
+  value: any,
+  line: number,
+  col: number,
+};
+
+const IDENT_START_RE = /[a-zA-Z_]/;
+const IDENT_CHAR_RE = /[a-zA-Z0-9_+\-]/;
+const BLANK_RE = /[ \t\r\n]/;
+
+const SIMPLE_TOKENS = {
+  '[': TOKEN_TYPES.lbracket,
+  ']': TOKEN_TYPES.rbracket,
+  '{': TOKEN_TYPES.lbrace,
+  '}': TOKEN_TYPES.rbrace,
+  '(': TOKEN_TYPES.lparen,
+  ')': TOKEN_TYPES.rparen,
+  '&': TOKEN_TYPES.and,
+  '|': TOKEN_TYPES.or,
+  '?': TOKEN_TYPES.defined,
+  ':': TOKEN_TYPES.colon,
+};
+
+export function tokenise(input: string, filename: string = 'opam'): Array<Token> {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let col = 1;
+
+  function fail(msg: string, atLine: number = line, atCol: number = col) {
+    throw new MessageError(`${filename}:${atLine}:${atCol}: ${msg}`);
+  }
+
+  function advance(count: number = 1) {
+    for (let i = 0; i < count; i++) {
+      if (input[pos] === '\n') {
+        line++;
+        col = 1;
+      } else {
+        col++;
+      }
+      pos++;
+    }
+  }
+
+  function push(type: string, value: any, startLine: number, startCol: number) {
+    tokens.push({type, value, line: startLine, col: startCol});
+  }
+
+  function readString(): string {
+    const startLine = line;
+    const startCol = col;
+    const triple = input.startsWith('"""', pos);
+    const delimiter = triple ? '"""' : '"';
+    advance(delimiter.length);
+    let value = '';
+    while (!input.startsWith(delimiter, pos)) {
+      if (pos >= input.length) {
+        fail('unterminated string', startLine, startCol);
+      }
+      const c = input[pos];
+      if (c !== '\\') {
+        value += c;
+        advance();
+        continue;
+      }
+      advance();
+      const e = input[pos];
+      if (e === '\n') {
+        // line continuation, leading blanks of the next line are skipped
+        advance();
+        while (input[pos] === ' ' || input[pos] === '\t') {
+          advance();
+        }
+      } else if (e === 'n') {
+        value += '\n';
+        advance();
+      } else if (e === 't') {
+        value += '\t';
+        advance();
+      } else if (e === 'r') {
+        value += '\r';
+        advance();
+      } else if (e === 'b') {
+        value += '\b';
+        advance();
+      } else if (/[0-9]/.test(e)) {
+        const code = input.slice(pos, pos + 3);
+        if (!/^[0-9]{3}$/.test(code)) {
+          fail(`invalid escape sequence \\${code}`);
+        }
+        value += String.fromCharCode(parseInt(code, 10));
+        advance(3);
+      } else if (e === 'x') {
+        const code = input.slice(pos + 1, pos + 3);
+        if (!/^[0-9a-fA-F]{2}$/.test(code)) {
+          fail(`invalid escape sequence \\x${code}`);
+        }
+        value += String.fromCharCode(parseInt(code, 16));
+        advance(3);
+      } else if (e === '\\' || e === '"' || e === '\'' || e === ' ') {
+        value += e;
+        advance();
+      } else {
+        fail(`invalid escape sequence \\${e}`);
+      }
+    }
+    advance(delimiter.length);
+    return value;
+  }
+
+  function skipComment() {
+    // (* ... *), those nest
+    const startLine = line;
+    const startCol = col;
+    let depth = 0;
+    do {
+      if (pos >= input.length) {
+        fail('unterminated comment', startLine, startCol);
+      }
+      if (input.startsWith('(*', pos)) {
+        depth++;
+        advance(2);
+      } else if (input.startsWith('*)', pos)) {
+        depth--;
+        advance(2);
+      } else {
+        advance();
+      }
+    } while (depth > 0);
+  }
+
+  while (pos < input.length) {
+    const c = input[pos];
+    const startLine = line;
+    const startCol = col;
+
+    if (BLANK_RE.test(c)) {
+      advance();
+    } else if (c === '#') {
+      while (pos < input.length && input[pos] !== '\n') {
+        advance();
+      }
+    } else if (input.startsWith('(*', pos)) {
+      skipComment();
+    } else if (c === '"') {
+      push(TOKEN_TYPES.string, readString(), startLine, startCol);
+    } else if (input.startsWith('!=', pos) || input.startsWith('<=', pos) || input.startsWith('>=', pos)) {
+      push(TOKEN_TYPES.relop, input.slice(pos, pos + 2), startLine, startCol);
+      advance(2);
+    } else if (c === '=' || c === '<' || c === '>' || c === '~') {
+      push(TOKEN_TYPES.relop, c, startLine, startCol);
+      advance();
+    } else if (c === '!') {
+      push(TOKEN_TYPES.not, c, startLine, startCol);
+      advance();
+    } else if (SIMPLE_TOKENS[c] != null) {
+      push(SIMPLE_TOKENS[c], c, startLine, startCol);
+      advance();
+    } else if (/[0-9]/.test(c) || (c === '-' && /[0-9]/.test(input[pos + 1] || ''))) {
+      let value = c;
+      advance();
+      while (pos < input.length && /[0-9]/.test(input[pos])) {
+        value += input[pos];
+        advance();
+      }
+      push(TOKEN_TYPES.int, parseInt(value, 10), startLine, startCol);
+    } else if (IDENT_START_RE.test(c)) {
+      let value = '';
+      while (pos < input.length && IDENT_CHAR_RE.test(input[pos])) {
+        value += input[pos];
+        advance();
+      }
+      // Package variables: `pkg:var`, as opposed to fields (`name: value`)
+      // those don't have blanks around the colon.
+      if (input[pos] === ':' && IDENT_START_RE.test(input[pos + 1] || '')) {
+        value += ':';
+        advance();
+        while (pos < input.length && IDENT_CHAR_RE.test(input[pos])) {
+          value += input[pos];
+          advance();
+        }
+      }
+      if (value === 'true' || value === 'false') {
+        push(TOKEN_TYPES.bool, value === 'true', startLine, startCol);
+      } else {
+        push(TOKEN_TYPES.ident, value, startLine, startCol);
+      }
+    } else {
+      fail(`unexpected character ${JSON.stringify(c)}`);
+    }
+  }
+
+  push(TOKEN_TYPES.eof, null, line, col);
+  return tokens;
+}
+
+export class Parser {
+  constructor(input: string, filename: string = 'opam') {
+    this.filename = filename;
+    this.tokens = tokenise(input, filename);
+    this.pos = 0;
+  }
+
+  filename: string;
+  tokens: Array<Token>;
+  pos: number;
+
+  get token(): Token {
+    return this.tokens[this.pos];
+  }
+
+  peek(offset: number = 1): Token {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next(): Token {
+    const token = this.token;
+    if (token.type !== TOKEN_TYPES.eof) {
+      this.pos++;
+    }
+    return token;
+  }
+
+  unexpected(msg: string = 'unexpected token') {
+    const {token} = this;
+    const what = token.type === TOKEN_TYPES.eof ? 'end of file' : JSON.stringify(token.value);
+    throw new MessageError(`${this.filename}:${token.line}:${token.col}: ${msg}, got ${what}`);
+  }
+
+  expect(tokType: string, msg: string): Token {
+    if (this.token.type !== tokType) {
+      this.unexpected(msg);
+    }
+    return this.next();
+  }
+
+  parseFile(): OpamFile {
+    const items = this.parseItems(TOKEN_TYPES.eof);
+    return {type: 'File', items};
+  }
+
+  parseItems(until: string): Array<OpamItem> {
+    const items = [];
+    while (this.token.type !== until) {
+      items.push(this.parseItem());
+    }
+    this.next();
+    return items;
+  }
+
+  parseItem(): OpamItem {
+    const {line} = this.token;
+    const name = this.expect(TOKEN_TYPES.ident, 'expected a field or a section name').value;
+    if (this.token.type === TOKEN_TYPES.colon) {
+      this.next();
+      return {type: 'Field', name, value: this.parseValue(), line};
+    }
+    let sectionName = null;
+    if (this.token.type === TOKEN_TYPES.string) {
+      sectionName = this.next().value;
+    }
+    this.expect(TOKEN_TYPES.lbrace, `expected ":" or "{" after "${name}"`);
+    return {type: 'Section', kind: name, name: sectionName, items: this.parseItems(TOKEN_TYPES.rbrace), line};
+  }
+
+  parseValues(until: string): Array<OpamValue> {
+    const values = [];
+    while (this.token.type !== until) {
+      if (this.token.type === TOKEN_TYPES.eof) {
+        this.unexpected(`expected a value or "${CLOSING[until]}"`);
+      }
+      values.push(this.parseValue());
+    }
+    this.next();
+    return values;
+  }
+
+  parseValue(): OpamValue {
+    return this.parseOr();
+  }
+
+  parseOr(): OpamValue {
+    let left = this.parseAnd();
+    while (this.token.type === TOKEN_TYPES.or) {
+      this.next();
+      left = {type: 'Logop', op: '|', left, right: this.parseAnd()};
+    }
+    return left;
+  }
+
+  parseAnd(): OpamValue {
+    let left = this.parseUnary();
+    while (this.token.type === TOKEN_TYPES.and) {
+      this.next();
+      left = {type: 'Logop', op: '&', left, right: this.parseUnary()};
+    }
+    return left;
+  }
+
+  parseUnary(): OpamValue {
+    const {token} = this;
+    if (token.type === TOKEN_TYPES.not) {
+      this.next();
+      return {type: 'Not', value: this.parseUnary()};
+    } else if (token.type === TOKEN_TYPES.defined) {
+      this.next();
+      return {type: 'Defined', value: this.parseUnary()};
+    } else if (token.type === TOKEN_TYPES.relop) {
+      this.next();
+      return {type: 'PrefixRelop', op: token.value, value: this.parseWithOptions()};
+    }
+    const left = this.parseWithOptions();
+    if (this.token.type === TOKEN_TYPES.relop) {
+      const op = this.next().value;
+      return {type: 'Relop', op, left, right: this.parseWithOptions()};
+    }
+    return left;
+  }
+
+  parseWithOptions(): OpamValue {
+    let value = this.parseAtom();
+    while (this.token.type === TOKEN_TYPES.lbrace) {
+      this.next();
+      value = {type: 'Option', value, options: this.parseValues(TOKEN_TYPES.rbrace)};
+    }
+    return value;
+  }
+
+  parseAtom(): OpamValue {
+    const token = this.token;
+    switch (token.type) {
+      case TOKEN_TYPES.string:
+        this.next();
+        return {type: 'String', value: token.value};
+      case TOKEN_TYPES.int:
+        this.next();
+        return {type: 'Int', value: token.value};
+      case TOKEN_TYPES.bool:
+        this.next();
+        return {type: 'Bool', value: token.value};
+      case TOKEN_TYPES.ident:
+        this.next();
+        return {type: 'Ident', name: token.value};
+      case TOKEN_TYPES.lbracket:
+        this.next();
+        return {type: 'List', items: this.parseValues(TOKEN_TYPES.rbracket)};
+      case TOKEN_TYPES.lparen:
+        this.next();
+        return {type: 'Group', items: this.parseValues(TOKEN_TYPES.rparen)};
+      default:
+        this.unexpected('expected a value');
+        // unreachable, makes flow happy
+        throw new Error();
+    }
+  }
+}
+
+const CLOSING = {
+  [TOKEN_TYPES.rbracket]: ']',
+  [TOKEN_TYPES.rbrace]: '}',
+  [TOKEN_TYPES.rparen]: ')',
+};
+
+/**
+ * Value of a field, fields of sections are looked up with `section.field`.
+ */
+export function getField(file: OpamFile, name: string): ?OpamValue {
+  let items = file.items;
+  const path = name.split('.');
+  for (let i = 0; i < path.length - 1; i++) {
+    const section = items.find((item) => item.type === 'Section' && item.kind === path[i]);
+    if (section == null || section.type !== 'Section') {
+      return null;
+    }
+    items = section.items;
+  }
+  const field = items.find((item) => item.type === 'Field' && item.name === path[path.length - 1]);
+  return field != null && field.type === 'Field' ? field.value : null;
+}
+
+export default function parse(input: string, filename?: string): OpamFile {
+  const parser = new Parser(input, filename);
+  return parser.parseFile();
+}
@@ -0,0 +1,182 @@
+/* @flow */
+
+/**
+ * Opam packages from an opam repository, either a local checkout of one or a
+ * tarball, configured with the `opam-repository` option (`.yarnrc` or
+ * `YARN_OPAM_REPOSITORY` environment variable).
+ *
+ * Packages are read from `packages/<name>/<name>.<version>` and converted on
+ * demand. Converted packages are cached in the yarn cache keyed by the commit
+ * of the checkout or by the hash of the tarball, checkouts with uncommitted
+ * changes aren't cached.
+ */
+
+import type Config from '../config.js';
+import type {OpamManifestCollection} from '../resolvers/exotics/opam-resolver.js';
+
+import {readOpamPackage, convertOpamPackage} from './convert.js';
+import {MessageError} from '../errors.js';
+import * as child from '../util/child.js';
+import * as fs from '../util/fs.js';
+
+const crypto = require('crypto');
+const nodeFs = require('fs');
+const path = require('path');
+const pkg: {version: string} = require('../../package.json');
+
+export type OpamRepository = {
+  // Directory with `packages/` in it.
+  path: string,
+  // Identifies the state of the repository, null if it can't be cached.
+  cacheKey: ?string,
+};
+
+const repositories: Map<string, Promise<OpamRepository>> = new Map();
+const collections: Map<string, Promise<?OpamManifestCollection>> = new Map();
+
+export function getOpamRepository(config: Config): ?Promise<OpamRepository> {
+  const location = config.getOption('opam-repository');
+  if (location == null || location === '') {
+    return null;
+  }
+  const repositoryPath = path.resolve(config.cwd, String(location));
+  let repository = repositories.get(repositoryPath);
+  if (repository == null) {
+    repository = openOpamRepository(repositoryPath, config);
+    repositories.set(repositoryPath, repository);
+  }
+  return repository;
+}
+
+export async function openOpamRepository(location: string, config: Config): Promise<OpamRepository> {
+  if (!(await fs.exists(location))) {
+    throw new MessageError(`Opam repository not found at ${location}`);
+  }
+  if ((await fs.stat(location)).isDirectory()) {
+    return {path: location, cacheKey: await getCheckoutCommit(location)};
+  }
+
+  const hash = await hashFile(location);
+  const dest = path.join(config.cacheFolder, '.opam-repository', hash);
+  if (!(await fs.exists(dest))) {
+    // Extract into a temporary location first so that interrupted extractions
+    // don't leave a broken repository around.
+    const tmp = `${dest}.tmp`;
+    await fs.unlink(tmp);
+    await fs.mkdirp(tmp);
+    await child.spawn('tar', ['-xf', location, '-C', tmp]);
+    await fs.rename(tmp, dest);
+  }
+  return {path: await findRepositoryRoot(dest, location), cacheKey: hash};
+}
+
+/**
+ * Read and convert all versions of the package, null if the repository doesn't
+ * have it.
+ */
+export function readOpamPackageCollection(
+  repository: OpamRepository,
+  name: string,
+  config: Config,
+): Promise<?OpamManifestCollection> {
+  const key = `${repository.path}:${name}`;
+  let collection = collections.get(key);
+  if (collection == null) {
+    collection = readOpamPackageCollectionUncached(repository, name, config);
+    collections.set(key, collection);
+  }
+  return collection;
+}
+
+async function readOpamPackageCollectionUncached(
+  repository: OpamRepository,
+  name: string,
+  config: Config,
+): Promise<?OpamManifestCollection> {
+  const packageDir = path.join(repository.path, 'packages', name);
+  if (!(await fs.exists(packageDir))) {
+    return null;
+  }
+
+  let cachePath = null;
+  if (repository.cacheKey != null) {
+    const cacheKey = `${repository.cacheKey}-${pkg.version}`;
+    cachePath = path.join(config.cacheFolder, '.opam-repository', 'converted', cacheKey, `${name}.json`);
+    if (await fs.exists(cachePath)) {
+      return await fs.readJson(cachePath);
+    }
+  }
+
+  const collection = {versions: {}};
+  let firstError = null;
+  for (const entry of (await fs.readdir(packageDir)).sort()) {
+    if (!entry.startsWith(`${name}.`)) {
+      continue;
+    }
+    const version = entry.slice(name.length + 1);
+    try {
+      const manifest = convertOpamPackage(
+        await readOpamPackage(name, version, path.join(packageDir, entry)),
+        config.reporter,
+      );
+      collection.versions[manifest.version] = manifest;
+    } catch (err) {
+      // Versions we can't convert are skipped, old versions of packages
+      // often use features we don't support.
+      if (!(err instanceof MessageError)) {
+        throw err;
+      }
+      const reason = err.message.startsWith(`${entry}: `) ? err.message.slice(entry.length + 2) : err.message;
+      config.reporter.warn(`Skipping opam package ${entry}: ${reason}`);
+      firstError = firstError || err;
+    }
+  }
+  if (Object.keys(collection.versions).length === 0 && firstError != null) {
+    throw firstError;
+  }
+
+  if (cachePath != null) {
+    await fs.mkdirp(path.dirname(cachePath));
+    await fs.writeFile(cachePath, JSON.stringify(collection));
+  }
+  return collection;
+}
+
+async function getCheckoutCommit(location: string): Promise<?string> {
+  if (!(await fs.exists(path.join(location, '.git')))) {
+    return null;
+  }
+  try {
+    const status = await child.spawn('git', ['status', '--porcelain'], {cwd: location});
+    if (status !== '') {
+      return null;
+    }
+    return await child.spawn('git', ['rev-parse', 'HEAD'], {cwd: location});
+  } catch (err) {
+    return null;
+  }
+}
+
+function hashFile(location: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    nodeFs.createReadStream(location)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Tarballs of repositories usually have everything in a top level directory.
+ */
+async function findRepositoryRoot(dir: string, location: string): Promise<string> {
+  if (await fs.exists(path.join(dir, 'packages'))) {
+    return dir;
+  }
+  const entries = await fs.readdir(dir);
+  if (entries.length === 1 && (await fs.exists(path.join(dir, entries[0], 'packages')))) {
+    return path.join(dir, entries[0]);
+  }
+  throw new MessageError(`No packages directory found in opam repository ${location}`);
+}
@@ -0,0 +1,79 @@
+/* @flow */
+
+/**
+ * Sources of opam packages: archives fetched over http and git repositories.
+ *
+ * Git sources are written as `git+<url>#<ref>` (or `git://<host>/...#<ref>`)
+ * where ref is a branch, a tag or a commit, it defaults to `master`.
+ */
+
+import {explodeHashedUrl} from '../util/version.js';
+
+export type GitSource = {
+  url: string,
+  ref: string,
+};
+
+export type ArchiveFormat = 'gzip' | 'bzip' | 'xz' | 'zip' | 'tar';
+
+const GIT_SOURCE_RE = /^git(\+[a-z]+)?:\/\//;
+
+export function isGitSource(source: string): boolean {
+  return GIT_SOURCE_RE.test(source);
+}
+
+export function parseGitSource(source: string): ?GitSource {
+  if (!isGitSource(source)) {
+    return null;
+  }
+  const {url, hash} = explodeHashedUrl(source);
+  return {url, ref: hash || 'master'};
+}
+
+/**
+ * Convert url of a git repository as opam 1.2 `git:` field has it into a git
+ * source.
+ */
+export function toGitSource(url: string): string {
+  return isGitSource(url) ? url : `git+${url}`;
+}
+
+const MAGIC_BYTES: Array<[ArchiveFormat, number, Array<number>]> = [
+  ['gzip', 0, [0x1f, 0x8b]],
+  ['bzip', 0, [0x42, 0x5a, 0x68]],
+  ['xz', 0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]],
+  ['zip', 0, [0x50, 0x4b, 0x03, 0x04]],
+  // "ustar" in the header of the first entry
+  ['tar', 257, [0x75, 0x73, 0x74, 0x61, 0x72]],
+];
+
+// Enough to see the header of the first tar entry.
+export const ARCHIVE_HEADER_LENGTH = 512;
+
+/**
+ * Detect format of an archive by its first bytes.
+ */
+export function detectArchiveFormat(header: Buffer): ?ArchiveFormat {
+  for (const [format, offset, bytes] of MAGIC_BYTES) {
+    if (bytes.every((byte, i) => header[offset + i] === byte)) {
+      return format;
+    }
+  }
+  return null;
+}
+
+export function getArchiveFormatFromFilename(filename: string): ?ArchiveFormat {
+  if (filename.endsWith('.tgz') || filename.endsWith('.tar.gz')) {
+    return 'gzip';
+  } else if (filename.endsWith('.tar.bz') || filename.endsWith('.tar.bz2') || filename.endsWith('.tbz')) {
+    return 'bzip';
+  } else if (filename.endsWith('.zip')) {
+    return 'zip';
+  } else if (filename.endsWith('.xz')) {
+    return 'xz';
+  } else if (filename.endsWith('.tar')) {
+    return 'tar';
+  } else {
+    return null;
+  }
+}
@@ -0,0 +1,337 @@
+/* @flow */
+
+/**
+ * Opam versions and version constraints.
+ *
+ * Versions are ordered the way Debian orders them: versions are split into
+ * alternating non-digit and digit parts, non-digit parts are compared
+ * character by character with letters sorting before other characters and `~`
+ * sorting before anything (even the end of the version, so `1.0~beta` comes
+ * before `1.0`), digit parts are compared as numbers.
+ *
+ * Constraints are formulas over versions as used in opam `depends` fields but
+ * without quotes around versions:
+ *
+ *    >= 4.02.3 & < 4.05 | = dev
+ *
+ * Constraints next to each other are combined with `&` so npm-like ranges
+ * (`>=1.0.0 <2.0.0`) work too. A version on its own means `= version`, `*`,
+ * `latest` and an empty constraint mean any version.
+ *
+ * npm caret (`^1.2.3`), tilde (`~1.2.3`), x (`1.2.x`) and hyphen
+ * (`1.2.3 - 2.3.4`) ranges are translated into constraints over opam versions
+ * with upper bounds written the way opam packages do: `< 2~` is below any
+ * version starting with `2`, including `2~beta`.
+ */
+
+import {MessageError} from '../errors.js';
+
+export type VersionConstraint =
+  | {type: 'any'}
+  | {type: 'version', op: '=' | '!=' | '<' | '<=' | '>' | '>=', version: string}
+  | {type: 'and', left: VersionConstraint, right: VersionConstraint}
+  | {type: 'or', left: VersionConstraint, right: VersionConstraint};
+
+function charOrder(c: ?string): number {
+  if (c == null) {
+    return 0;
+  } else if (c === '~') {
+    return -1;
+  } else if (/[a-zA-Z]/.test(c)) {
+    return c.charCodeAt(0);
+  } else {
+    return c.charCodeAt(0) + 256;
+  }
+}
+
+function compareNonDigits(a: string, b: string): number {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = charOrder(a[i]) - charOrder(b[i]);
+    if (diff !== 0) {
+      return diff < 0 ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function compareDigits(a: string, b: string): number {
+  a = a.replace(/^0+/, '');
+  b = b.replace(/^0+/, '');
+  if (a.length !== b.length) {
+    return a.length < b.length ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const PART_RE = /^([^0-9]*)([0-9]*)/;
+
+export function compareVersions(a: string, b: string): number {
+  while (a !== '' || b !== '') {
+    const matchA = a.match(PART_RE) || ['', '', ''];
+    const matchB = b.match(PART_RE) || ['', '', ''];
+    const result = compareNonDigits(matchA[1], matchB[1]) || compareDigits(matchA[2], matchB[2]);
+    if (result !== 0) {
+      return result;
+    }
+    a = a.slice(matchA[0].length);
+    b = b.slice(matchB[0].length);
+  }
+  return 0;
+}
+
+const NPM_RANGE_RE = /^([\^~]?)(\d+)(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(.*)$/;
+
+function isWildcard(part: ?string): boolean {
+  return part == null || /^[xX*]$/.test(part);
+}
+
+/**
+ * Upper bound of versions which start with `parts` up to `idx` with the part
+ * at `idx` incremented.
+ */
+function bump(parts: Array<string>, idx: number): VersionConstraint {
+  const bumped = parts.slice(0, idx).concat(String(Number(parts[idx]) + 1));
+  return {type: 'version', op: '<', version: `${bumped.join('.')}~`};
+}
+
+/**
+ * Translate npm caret, tilde and x range, null if version isn't one of those.
+ */
+function parseNpmRange(version: string): ?VersionConstraint {
+  const match = version.match(NPM_RANGE_RE);
+  if (match == null) {
+    return null;
+  }
+  const [, op, ...rest] = match;
+  const parts = rest.slice(0, 3);
+  const suffix = rest[3];
+  const fixed = [];
+  for (const part of parts) {
+    if (isWildcard(part)) {
+      break;
+    }
+    fixed.push(part);
+  }
+  const hasWildcard = parts.slice(1).some((part) => part != null && isWildcard(part));
+  if ((op === '' && !hasWildcard) || (hasWildcard && suffix !== '')) {
+    return null;
+  }
+
+  let idx;
+  if (op === '^') {
+    idx = fixed.findIndex((part) => Number(part) !== 0);
+    if (idx === -1) {
+      idx = fixed.length - 1;
+    }
+  } else if (op === '~') {
+    idx = Math.min(1, fixed.length - 1);
+  } else {
+    idx = fixed.length - 1;
+  }
+  const lower = fixed.join('.') + (fixed.length === 3 ? suffix : '');
+  return {
+    type: 'and',
+    left: {type: 'version', op: '>=', version: lower},
+    right: bump(fixed, idx),
+  };
+}
+
+/**
+ * Upper bound of npm hyphen range, partial versions (`1.2`) include all the
+ * versions which start with them.
+ */
+function hyphenUpperBound(version: string): VersionConstraint {
+  const match = version.match(/^(\d+)(?:\.(\d+))?$/);
+  if (match == null) {
+    return {type: 'version', op: '<=', version};
+  }
+  const parts = match.slice(1).filter((part) => part != null);
+  return bump(parts, parts.length - 1);
+}
+
+const TOKEN_RE = /\s*(\|\||[&|()]|!=|<=|>=|==?|<|>|"[^"]*"|[^\s&|()!=<>"]+)/g;
+
+export function parseConstraint(spec: string): VersionConstraint {
+  const tokens = [];
+  let match;
+  let last = 0;
+  TOKEN_RE.lastIndex = 0;
+  while ((match = TOKEN_RE.exec(spec)) != null) {
+    if (match.index !== last) {
+      break;
+    }
+    tokens.push(match[1]);
+    last = TOKEN_RE.lastIndex;
+  }
+  if (spec.slice(last).trim() !== '') {
+    throw new MessageError(`Invalid version constraint "${spec}"`);
+  }
+
+  let pos = 0;
+
+  function fail() {
+    const at = pos < tokens.length ? `"${tokens[pos]}"` : 'end of constraint';
+    throw new MessageError(`Invalid version constraint "${spec}": unexpected ${at}`);
+  }
+
+  function isVersion(token: ?string): boolean {
+    return token != null && !/^(\|\||[&|()]|!=|<=|>=|==?|<|>)$/.test(token);
+  }
+
+  function parseVersion(): string {
+    const token = tokens[pos];
+    if (!isVersion(token)) {
+      fail();
+    }
+    pos++;
+    return token.replace(/^"(.*)"$/, '$1');
+  }
+
+  function parseOr(): VersionConstraint {
+    let left = parseAnd();
+    while (tokens[pos] === '|' || tokens[pos] === '||') {
+      pos++;
+      left = {type: 'or', left, right: parseAnd()};
+    }
+    return left;
+  }
+
+  function parseAnd(): VersionConstraint {
+    let left = parseAtom();
+    while (pos < tokens.length && tokens[pos] !== '|' && tokens[pos] !== '||' && tokens[pos] !== ')') {
+      if (tokens[pos] === '&') {
+        pos++;
+      }
+      left = {type: 'and', left, right: parseAtom()};
+    }
+    return left;
+  }
+
+  function parseAtom(): VersionConstraint {
+    const token = tokens[pos];
+    if (token === '(') {
+      pos++;
+      const value = parseOr();
+      if (tokens[pos] !== ')') {
+        fail();
+      }
+      pos++;
+      return value;
+    } else if (token === '*' || token === 'latest') {
+      pos++;
+      return {type: 'any'};
+    } else if (isVersion(token)) {
+      if (tokens[pos + 1] === '-' && isVersion(tokens[pos + 2])) {
+        const lower = parseVersion();
+        pos++;
+        return {
+          type: 'and',
+          left: {type: 'version', op: '>=', version: lower},
+          right: hyphenUpperBound(parseVersion()),
+        };
+      }
+      const range = parseNpmRange(token);
+      if (range != null) {
+        pos++;
+        return range;
+      }
+      return {type: 'version', op: '=', version: parseVersion()};
+    }
+    switch (token) {
+      case '=':
+      case '==':
+        pos++;
+        return {type: 'version', op: '=', version: parseVersion()};
+      case '!=':
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        pos++;
+        return {type: 'version', op: token, version: parseVersion()};
+      default:
+        fail();
+        // unreachable, makes flow happy
+        return {type: 'any'};
+    }
+  }
+
+  if (tokens.length === 0) {
+    return {type: 'any'};
+  }
+  const result = parseOr();
+  if (pos < tokens.length) {
+    fail();
+  }
+  return result;
+}
+
+function evaluate(version: string, constraint: VersionConstraint): boolean {
+  switch (constraint.type) {
+    case 'any':
+      return true;
+    case 'and':
+      return evaluate(version, constraint.left) && evaluate(version, constraint.right);
+    case 'or':
+      return evaluate(version, constraint.left) || evaluate(version, constraint.right);
+    default: {
+      const result = compareVersions(version, constraint.version);
+      switch (constraint.op) {
+        case '=':
+          return result === 0;
+        case '!=':
+          return result !== 0;
+        case '<':
+          return result < 0;
+        case '<=':
+          return result <= 0;
+        case '>':
+          return result > 0;
+        default:
+          return result >= 0;
+      }
+    }
+  }
+}
+
+/**
+ * Format constraint the way `parseConstraint` reads it back.
+ */
+export function formatConstraint(constraint: VersionConstraint): string {
+  switch (constraint.type) {
+    case 'any':
+      return '*';
+    case 'version':
+      return `${constraint.op} ${constraint.version}`;
+    case 'or': {
+      const left = formatConstraint(constraint.left);
+      const right = formatConstraint(constraint.right);
+      return left === '*' || right === '*' ? '*' : `${left} | ${right}`;
+    }
+    default: {
+      const parts = [];
+      for (const c of [constraint.left, constraint.right]) {
+        const formatted = formatConstraint(c);
+        if (formatted !== '*') {
+          parts.push(c.type === 'or' ? `(${formatted})` : formatted);
+        }
+      }
+      return parts.length > 0 ? parts.join(' & ') : '*';
+    }
+  }
+}
+
+export function satisfies(version: string, spec: string): boolean {
+  return evaluate(version, parseConstraint(spec));
+}
+
+export function maxSatisfying(versions: Array<string>, spec: string): ?string {
+  const constraint = parseConstraint(spec);
+  let max = null;
+  for (const version of versions) {
+    if (evaluate(version, constraint) && (max == null || compareVersions(version, max) > 0)) {
+      max = version;
+    }
+  }
+  return max;
+}
@@ -10,6 +10,8 @@ import type {
   Package,
   ReporterSpinner,
   QuestionOptions,
+  PackageBuildStart,
+  PackageBuildFinish,
 } from './types.js';
 import type {LanguageKeys} from './lang/en.js';
 import type {Formatter} from './format.js';
@@ -175,6 +177,13 @@ export default class BaseReporter {
   //
   table(head: Array<string>, body: Array<Array<string>>) {}
 
+  // a package build has been started by esy build
+  packageBuildStart(data: PackageBuildStart) {}
+
+  // a package build has finished: it was built, taken from the store, failed
+  // or skipped because of a failed dependency
+  packageBuildFinish(data: PackageBuildFinish) {}
+
   // render an activity spinner and return a function that will trigger an update
   activity(): ReporterSpinner {
     return {
@@ -4,6 +4,8 @@ import type {
   ReporterSpinnerSet,
   Trees,
   ReporterSpinner,
+  PackageBuildStart,
+  PackageBuildFinish,
 } from './types.js';
 import BaseReporter from './base-reporter.js';
 
@@ -62,6 +64,14 @@ export default class JSONReporter extends BaseReporter {
     this._dump('table', {head, body});
   }
 
+  packageBuildStart(data: PackageBuildStart) {
+    this._dump('packageBuildStart', data);
+  }
+
+  packageBuildFinish(data: PackageBuildFinish) {
+    this._dump('packageBuildFinish', data);
+  }
+
   success(msg: string) {
     this._dump('success', msg);
   }
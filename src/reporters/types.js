@@ -47,3 +47,21 @@ export type QuestionOptions = {
   password?: boolean,
   required?: boolean,
 };
+
+export type PackageBuildStart = {
+  name: string,
+  version: ?string,
+  sourceType: 'remote' | 'local',
+  buildKey: string,
+};
+
+export type PackageBuildFinish = {
+  name: string,
+  version: ?string,
+  sourceType: 'remote' | 'local',
+  buildKey: string,
+  status: 'built' | 'cached' | 'fetched' | 'failed' | 'skipped',
+  duration: number,
+  logPath: ?string,
+  error: ?string,
+};
@@ -6,6 +6,11 @@ import type {Manifest} from '../../types.js';
 import type Config from '../../config';
 import type PackageRequest from '../../package-request.js';
 import ExoticResolver from './exotic-resolver.js';
+import {getOpamRepository, readOpamPackageCollection} from '../../opam/repository.js';
+import {maxSatisfying} from '../../opam/version.js';
+import {formatChecksum, getChecksums, getStrongestChecksum} from '../../opam/checksum.js';
+import {parseGitSource} from '../../opam/source.js';
+import Git from '../../util/git.js';
 import * as fs from '../../util/fs.js';
 
 export type OpamManifestCollection = {
@@ -21,8 +26,12 @@ type File = {
 
 export type OpamManifest = Manifest & {
   opam: {
-    url: string,
+    // Virtual packages have no sources.
+    url: ?string,
     files?: Array<File>,
+    // `<algorithm>=<hex digest>` items, see `src/opam/checksum.js`.
+    checksums?: Array<string>,
+    // md5 digest, packages converted by older versions have only this one.
     checksum?: string,
     patch?: string,
   }
@@ -65,13 +74,25 @@ export default class OpamResolver extends ExoticResolver {
 
     const manifest = await lookupOpamPackageManifest(this.name, this.version, this.config);
     const reference = `${manifest.name}@${manifest.version}`;
+    let hash = '';
+    const gitSource = manifest.opam.url != null ? parseGitSource(manifest.opam.url) : null;
+    if (gitSource != null) {
+      // pin git sources to the commit the ref points to
+      const git = new Git(this.config, gitSource.url, gitSource.ref);
+      hash = await git.init();
+      manifest._uid = hash;
+    } else {
+      const checksum = getStrongestChecksum(getChecksums(manifest));
+      hash = checksum != null ? formatChecksum(checksum) : '';
+    }
 
     manifest._remote = {
       type: 'opam',
       registry: 'npm',
-      hash: manifest.opam.checksum,
+      hash,
       reference,
-      resolved: reference,
+      // lockfile keeps the hash so that sources are verified against it later
+      resolved: hash ? `${reference}#${hash}` : reference,
     };
 
     return manifest;
@@ -92,23 +113,40 @@ export async function lookupOpamPackageManifest(
   versionRange: string,
   config: Config,
 ): Promise<OpamManifest> {
-  const packageRecordFilename = path.join(OPAM_METADATA_STORE, `${name}.json`);
-
-  if (!await fs.exists(packageRecordFilename)) {
+  const packageCollection = await readPackageCollection(name, config);
+  if (packageCollection == null) {
     throw new Error(`No package found: @${OPAM_SCOPE}/${name}`);
   }
 
-  const packageCollection = await fs.readJson(packageRecordFilename);
   const versions = Object.keys(packageCollection.versions);
   if (versionRange == null || versionRange === 'latest') {
     versionRange = '*';
   }
-  const version = await config.resolveConstraints(versions, versionRange);
+  // Versions of opam packages are ordered by opam rules, not by semver ones.
+  const version = maxSatisfying(versions, versionRange);
   if (version == null) {
     // TODO: figure out how to report error
     throw new Error(`No compatible version found: ${versionRange}`);
   }
   const packageJson = packageCollection.versions[version];
-  packageJson._uid = packageJson.opam.checksum || packageJson.version;
+  const checksum = getStrongestChecksum(getChecksums(packageJson));
+  packageJson._uid = checksum != null ? formatChecksum(checksum) : packageJson.version;
   return packageJson;
 }
+
+/**
+ * Packages come from the configured opam repository if there's one and from
+ * the bundled store of converted packages otherwise.
+ */
+async function readPackageCollection(name: string, config: Config): Promise<?OpamManifestCollection> {
+  const repository = getOpamRepository(config);
+  if (repository != null) {
+    return readOpamPackageCollection(await repository, name, config);
+  }
+
+  const packageRecordFilename = path.join(OPAM_METADATA_STORE, `${name}.json`);
+  if (!await fs.exists(packageRecordFilename)) {
+    return null;
+  }
+  return fs.readJson(packageRecordFilename);
+}
@@ -31,8 +31,8 @@ export default async function (
 ): Promise<void> {
   const files = await fs.readdir(moduleLoc);
 
-  // clean info.version
-  if (typeof info.version === 'string' && !semver.valid(info.version)) {
+  // clean info.version, opam packages keep their versions as those are not semver
+  if (typeof info.version === 'string' && !semver.valid(info.version) && info.opam == null) {
     info.version = semver.clean(info.version, looseSemver) || info.version;
   }
 